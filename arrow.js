@@ -0,0 +1,275 @@
+/* arrow.js
+   Apache Arrow IPC file writer (the "Feather v2" format that pyarrow.ipc.open_file,
+   pyarrow.feather.read_table and pandas.read_feather load), no dependencies.
+   DOM-free: loaded by the page and by simulator.js in Node.
+
+   - arrowFile(columns, {length, metadata}) -> Uint8Array with one record batch
+       columns: [{name, type, values, valid?, dictionary?}]
+         type 'int8' | 'int16' | 'int32'  values: Int8Array / Int16Array / Int32Array
+              'float64'                   values: Float64Array
+              'date'                      values: Int32Array, days since 1970-01-01
+              'timestamp'                 values: BigInt64Array, UTC milliseconds
+              'dictionary'                values: Int32Array indices into `dictionary` (strings);
+                                          pandas reads these as categoricals
+         valid: optional Uint8Array, 0 = null at that row
+       metadata: {key: string} stored on the schema
+   - the metadata (schema, record batch, footer) is FlatBuffers; flatbuffer()
+     below lays out the few tables / vectors Arrow's schema needs
+*/
+const ARROW_MAGIC = [0x41, 0x52, 0x52, 0x4f, 0x57, 0x31]; // "ARROW1"
+const ARROW_VERSION = 4; // MetadataVersion.V5
+const ARROW_HEADER = {Schema: 1, DictionaryBatch: 2, RecordBatch: 3};
+const ARROW_TYPE = {Int: 2, FloatingPoint: 3, Utf8: 5, Date: 8, Timestamp: 10};
+
+/* -------------------------
+   FLATBUFFERS (write only)
+   - a value tree: FB.table([...fields by id]), FB.vector([children]),
+     FB.structs(size, items, write), FB.string(s); scalars are {t, v}
+     with t = 'bool' | 'u8' | 'i16' | 'i32' | 'i64'
+   - laid out front to back: a parent first, its children after it, so every
+     uoffset points forward as the format requires
+   ------------------------- */
+const FB = {
+  table: (fields)=>({kind: 'table', fields}),
+  vector: (items)=>({kind: 'vector', items}),
+  structs: (size, items, write)=>({kind: 'structs', size, items, write}),
+  string: (s)=>({kind: 'string', s}),
+  bool: (v)=>({t: 'bool', v}),
+  u8: (v)=>({t: 'u8', v}),
+  i16: (v)=>({t: 'i16', v}),
+  i32: (v)=>({t: 'i32', v}),
+  i64: (v)=>({t: 'i64', v})
+};
+const FB_SIZE = {bool: 1, u8: 1, i16: 2, i32: 4, i64: 8};
+
+function flatbuffer(root){
+  let bytes = new Uint8Array(1024);
+  let view = new DataView(bytes.buffer);
+  let len = 0;
+  const reserve = (n)=>{
+    if (len + n > bytes.length){
+      const next = new Uint8Array(Math.max(bytes.length * 2, len + n));
+      next.set(bytes);
+      bytes = next;
+      view = new DataView(bytes.buffer);
+    }
+    const at = len;
+    len += n;
+    return at;
+  };
+  const padTo = (align, rest=0)=>{ while (len % align !== rest) reserve(1); };
+  const scalar = (pos, {t, v})=>{
+    if (t === 'i64') view.setBigInt64(pos, BigInt(v), true);
+    else if (t === 'i32') view.setInt32(pos, v, true);
+    else if (t === 'i16') view.setInt16(pos, v, true);
+    else view.setUint8(pos, t === 'bool' ? (v ? 1 : 0) : v);
+  };
+  const link = (slot, child)=>{
+    const at = place(child);
+    view.setUint32(slot, at - slot, true);
+  };
+
+  function place(node){
+    if (node.kind === 'string'){
+      const text = new TextEncoder().encode(node.s);
+      padTo(4);
+      const at = reserve(4 + text.length + 1);
+      view.setUint32(at, text.length, true);
+      bytes.set(text, at + 4);
+      return at;
+    }
+    if (node.kind === 'structs'){
+      padTo(8, 4); // elements start 8-aligned after the length
+      const at = reserve(4 + node.size * node.items.length);
+      view.setUint32(at, node.items.length, true);
+      node.items.forEach((item, i)=>node.write(view, at + 4 + i * node.size, item));
+      return at;
+    }
+    if (node.kind === 'vector'){
+      padTo(4);
+      const at = reserve(4 + 4 * node.items.length);
+      view.setUint32(at, node.items.length, true);
+      node.items.forEach((child, i)=>link(at + 4 + 4 * i, child));
+      return at;
+    }
+    // table: vtable, then soffset + fields (widest first, so each lands aligned)
+    const fields = node.fields.map((f, id)=>f && {id, f, size: f.kind ? 4 : FB_SIZE[f.t]}).filter(Boolean);
+    fields.sort((a, b)=>b.size - a.size);
+    padTo(2);
+    const vtable = reserve(4 + 2 * node.fields.length);
+    padTo(fields.some(x=>x.size === 8) ? 8 : 4, fields.some(x=>x.size === 8) ? 4 : 0);
+    const at = reserve(4);
+    for (let x of fields) x.pos = reserve(x.size);
+    view.setInt32(at, at - vtable, true);
+    view.setUint16(vtable, 4 + 2 * node.fields.length, true);
+    view.setUint16(vtable + 2, len - at, true);
+    for (let x of fields){
+      view.setUint16(vtable + 4 + 2 * x.id, x.pos - at, true);
+      if (!x.f.kind) scalar(x.pos, x.f);
+    }
+    for (let x of fields) if (x.f.kind) link(x.pos, x.f);
+    return at;
+  }
+
+  reserve(4);
+  const at = place(root); // before touching `view`: placing may grow the buffer
+  view.setUint32(0, at, true);
+  padTo(8);
+  return bytes.slice(0, len);
+}
+
+/* -------------------------
+   ARROW SCHEMA & MESSAGES
+   ------------------------- */
+function arrowIntType(bitWidth){
+  return FB.table([FB.i32(bitWidth), FB.bool(true)]);
+}
+
+function arrowField(col, dictionaryId){
+  const nullable = FB.bool(true);
+  const children = FB.vector([]);
+  if (col.type === 'dictionary'){
+    const encoding = FB.table([FB.i64(dictionaryId), arrowIntType(32), FB.bool(false)]);
+    return FB.table([FB.string(col.name), nullable, FB.u8(ARROW_TYPE.Utf8), FB.table([]), encoding, children]);
+  }
+  const types = {
+    int8: [ARROW_TYPE.Int, ()=>arrowIntType(8)],
+    int16: [ARROW_TYPE.Int, ()=>arrowIntType(16)],
+    int32: [ARROW_TYPE.Int, ()=>arrowIntType(32)],
+    float64: [ARROW_TYPE.FloatingPoint, ()=>FB.table([FB.i16(2)])], // DOUBLE
+    date: [ARROW_TYPE.Date, ()=>FB.table([FB.i16(0)])], // DAY
+    timestamp: [ARROW_TYPE.Timestamp, ()=>FB.table([FB.i16(1), FB.string('UTC')])] // MILLISECOND
+  };
+  if (!types[col.type]) throw new Error(`Unsupported Arrow column type "${col.type}" (${col.name}).`);
+  const [typeId, type] = types[col.type];
+  return FB.table([FB.string(col.name), nullable, FB.u8(typeId), type(), null, children]);
+}
+
+function arrowSchema(columns, metadata){
+  let dictionaryId = 0;
+  const fields = columns.map(col=>arrowField(col, col.type === 'dictionary' ? dictionaryId++ : null));
+  const pairs = Object.entries(metadata).map(([k, v])=>FB.table([FB.string(k), FB.string(String(v))]));
+  return FB.table([FB.i16(0), FB.vector(fields), FB.vector(pairs)]); // little endian
+}
+
+// body buffers, each starting 8-aligned -> {body, buffers: [{offset, length}]}
+function arrowBody(parts){
+  const buffers = [];
+  let size = 0;
+  for (let p of parts){
+    buffers.push({offset: size, length: p.byteLength});
+    size += Math.ceil(p.byteLength / 8) * 8;
+  }
+  const body = new Uint8Array(size);
+  parts.forEach((p, i)=>body.set(new Uint8Array(p.buffer, p.byteOffset, p.byteLength), buffers[i].offset));
+  return {body, buffers};
+}
+
+function arrowRecordBatch(length, nodes, buffers){
+  return FB.table([
+    FB.i64(length),
+    FB.structs(16, nodes, (view, at, n)=>{
+      view.setBigInt64(at, BigInt(n.length), true);
+      view.setBigInt64(at + 8, BigInt(n.nullCount), true);
+    }),
+    FB.structs(16, buffers, (view, at, b)=>{
+      view.setBigInt64(at, BigInt(b.offset), true);
+      view.setBigInt64(at + 8, BigInt(b.length), true);
+    })
+  ]);
+}
+
+function arrowMessage(headerType, header, bodyLength){
+  return flatbuffer(FB.table([FB.i16(ARROW_VERSION), FB.u8(headerType), header, FB.i64(bodyLength)]));
+}
+
+// validity bitmap (bit set = value present), or an empty buffer when nothing is null
+function arrowValidity(valid, length){
+  if (!valid) return {bitmap: new Uint8Array(0), nullCount: 0};
+  const bitmap = new Uint8Array(Math.ceil(length / 8));
+  let nullCount = 0;
+  for (let i=0;i<length;i++){
+    if (valid[i]) bitmap[i >> 3] |= 1 << (i & 7);
+    else nullCount++;
+  }
+  return nullCount ? {bitmap, nullCount} : {bitmap: new Uint8Array(0), nullCount: 0};
+}
+
+function arrowStrings(strings){
+  const encoder = new TextEncoder();
+  const encoded = strings.map(s=>encoder.encode(String(s)));
+  const offsets = new Int32Array(strings.length + 1);
+  encoded.forEach((e, i)=>{ offsets[i+1] = offsets[i] + e.length; });
+  const data = new Uint8Array(offsets[strings.length]);
+  encoded.forEach((e, i)=>data.set(e, offsets[i]));
+  return {offsets, data};
+}
+
+/* -------------------------
+   ARROW IPC FILE
+   magic, schema message, one dictionary batch per dictionary column, the record
+   batch, end-of-stream marker, footer (schema + block index), footer size, magic
+   ------------------------- */
+function arrowFile(columns, {length, metadata={}}={}){
+  for (let col of columns){
+    if (col.values.length !== length) throw new Error(`Arrow column "${col.name}" has ${col.values.length} values, expected ${length}.`);
+  }
+  const chunks = [];
+  let size = 0;
+  const push = (bytes)=>{ chunks.push(bytes); size += bytes.length; };
+  const blocks = {dictionaries: [], recordBatches: []};
+  const writeMessage = (meta, body, kind)=>{
+    const offset = size;
+    const prefix = new DataView(new ArrayBuffer(8));
+    prefix.setUint32(0, 0xFFFFFFFF, true); // continuation marker
+    prefix.setInt32(4, meta.length, true);
+    push(new Uint8Array(prefix.buffer));
+    push(meta);
+    if (body) push(body);
+    if (kind) blocks[kind].push({offset, metaDataLength: 8 + meta.length, bodyLength: body ? body.length : 0});
+  };
+
+  push(new Uint8Array([...ARROW_MAGIC, 0, 0]));
+  const schema = arrowSchema(columns, metadata);
+  writeMessage(arrowMessage(ARROW_HEADER.Schema, schema, 0), null, null);
+
+  let dictionaryId = 0;
+  for (let col of columns){
+    if (col.type !== 'dictionary') continue;
+    const {offsets, data} = arrowStrings(col.dictionary);
+    const {body, buffers} = arrowBody([new Uint8Array(0), offsets, data]);
+    const batch = arrowRecordBatch(col.dictionary.length, [{length: col.dictionary.length, nullCount: 0}], buffers);
+    const header = FB.table([FB.i64(dictionaryId++), batch, FB.bool(false)]);
+    writeMessage(arrowMessage(ARROW_HEADER.DictionaryBatch, header, body.length), body, 'dictionaries');
+  }
+
+  const nodes = [], parts = [];
+  for (let col of columns){
+    const {bitmap, nullCount} = arrowValidity(col.valid, length);
+    nodes.push({length, nullCount});
+    parts.push(bitmap, col.values);
+  }
+  const {body, buffers} = arrowBody(parts);
+  writeMessage(arrowMessage(ARROW_HEADER.RecordBatch, arrowRecordBatch(length, nodes, buffers), body.length), body, 'recordBatches');
+  push(new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF, 0, 0, 0, 0])); // end of stream
+
+  const block = (list)=>FB.structs(24, list, (view, at, b)=>{
+    view.setBigInt64(at, BigInt(b.offset), true);
+    view.setInt32(at + 8, b.metaDataLength, true);
+    view.setBigInt64(at + 16, BigInt(b.bodyLength), true);
+  });
+  const footer = flatbuffer(FB.table([FB.i16(ARROW_VERSION), schema, block(blocks.dictionaries), block(blocks.recordBatches)]));
+  push(footer);
+  const tail = new DataView(new ArrayBuffer(4));
+  tail.setInt32(0, footer.length, true);
+  push(new Uint8Array(tail.buffer));
+  push(new Uint8Array(ARROW_MAGIC));
+
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (let c of chunks){
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
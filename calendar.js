@@ -0,0 +1,221 @@
+/* calendar.js
+   Festival & holiday calendar for the crowd density predictor.
+   DOM-free: rule parsing, date matching and ICS import.
+
+   An event is {name, type, when, locations, intensity}:
+   - type: "festival" or "holiday"
+   - when: {kind:"once", start, end} with YYYY-MM-DD dates, or
+           {kind:"yearly", start, end} with MM-DD (may wrap past new year); end inclusive
+   - locations: registry ids the event applies to ([] = every location)
+   - intensity: footfall multiplier while the event is on
+*/
+
+const DEFAULT_FESTIVAL_INTENSITY = 2.0;
+const DEFAULT_HOLIDAY_INTENSITY = 1.4;
+const CALENDAR_TYPES = ["festival","holiday"];
+
+const DEFAULT_CALENDAR = {
+  weekendHolidays: true,
+  events: [
+    // public holidays (fixed dates)
+    {name:"Republic Day", type:"holiday", when:{kind:"yearly", start:"01-26", end:"01-26"}, locations:[], intensity:1.6},
+    {name:"May Day", type:"holiday", when:{kind:"yearly", start:"05-01", end:"05-01"}, locations:[], intensity:1.4},
+    {name:"Independence Day", type:"holiday", when:{kind:"yearly", start:"08-15", end:"08-15"}, locations:[], intensity:1.6},
+    {name:"Gandhi Jayanti", type:"holiday", when:{kind:"yearly", start:"10-02", end:"10-02"}, locations:[], intensity:1.4},
+    {name:"Kannada Rajyotsava", type:"holiday", when:{kind:"yearly", start:"11-01", end:"11-01"}, locations:[], intensity:1.5},
+    {name:"Christmas", type:"holiday", when:{kind:"yearly", start:"12-25", end:"12-25"}, locations:[], intensity:1.5},
+    // festivals on fixed solar dates
+    {name:"Makar Sankranti", type:"festival", when:{kind:"yearly", start:"01-14", end:"01-14"}, locations:[], intensity:2.0},
+    {name:"Valentine's Day", type:"festival", when:{kind:"yearly", start:"02-14", end:"02-14"}, locations:["Brindavan_Gardens","KRS_Dam","Mysore_Palace"], intensity:1.5},
+    // lunar-calendar festivals move every year, so they are listed per year
+    {name:"Maha Shivaratri", type:"festival", when:{kind:"once", start:"2024-03-08", end:"2024-03-08"}, locations:["Chamundi_Temple","Nanjangud_Temple","Srirangapatna_Temple"], intensity:2.5},
+    {name:"Holi", type:"festival", when:{kind:"once", start:"2024-03-25", end:"2024-03-25"}, locations:[], intensity:1.5},
+    {name:"Ugadi", type:"festival", when:{kind:"once", start:"2024-04-09", end:"2024-04-09"}, locations:[], intensity:2.0},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2024-04-22", end:"2024-04-22"}, locations:[], intensity:2.0},
+    {name:"Dasara", type:"festival", when:{kind:"once", start:"2024-10-03", end:"2024-10-12"}, locations:["Mysore_Palace","Chamundi_Temple"], intensity:3.0},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2024-10-24", end:"2024-10-24"}, locations:[], intensity:2.0},
+    {name:"Deepavali", type:"festival", when:{kind:"once", start:"2024-10-31", end:"2024-11-02"}, locations:[], intensity:2.0},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2024-11-12", end:"2024-11-12"}, locations:[], intensity:2.0},
+    {name:"Holi", type:"festival", when:{kind:"once", start:"2025-03-14", end:"2025-03-14"}, locations:[], intensity:1.5},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2025-03-17", end:"2025-03-17"}, locations:[], intensity:2.0},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2025-04-21", end:"2025-04-21"}, locations:[], intensity:2.0},
+    {name:"Dasara", type:"festival", when:{kind:"once", start:"2025-09-22", end:"2025-10-02"}, locations:["Mysore_Palace","Chamundi_Temple"], intensity:3.0},
+    {name:"Deepavali", type:"festival", when:{kind:"once", start:"2025-10-20", end:"2025-10-22"}, locations:[], intensity:2.0},
+    {name:"Local festival", type:"festival", when:{kind:"once", start:"2025-11-04", end:"2025-11-04"}, locations:[], intensity:2.0},
+    {name:"Dasara", type:"festival", when:{kind:"once", start:"2026-10-11", end:"2026-10-20"}, locations:["Mysore_Palace","Chamundi_Temple"], intensity:3.0},
+    {name:"Deepavali", type:"festival", when:{kind:"once", start:"2026-11-08", end:"2026-11-10"}, locations:[], intensity:2.0}
+  ]
+};
+
+/* -------------------------
+   RULE TEXT <-> STRUCTURE
+   - "2024-10-12", "2024-10-03..2024-10-12", "every 01-26", "every 12-24..01-01"
+   ------------------------- */
+function isValidISODate(s){
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s)) && new Date(s + 'T00:00:00Z').toISOString().slice(0,10) === s;
+}
+
+function isValidMonthDay(s){
+  const m = /^(\d{2})-(\d{2})$/.exec(s);
+  if (!m) return false;
+  const month = Number(m[1]), day = Number(m[2]);
+  const days = [31,29,31,30,31,30,31,31,30,31,30,31];
+  return month >= 1 && month <= 12 && day >= 1 && day <= days[month-1];
+}
+
+function parseWhenText(text){
+  const t = String(text).trim();
+  const yearly = /^every\s+(\d{2}-\d{2})(?:\s*\.\.\s*(\d{2}-\d{2}))?$/i.exec(t);
+  if (yearly){
+    const start = yearly[1], end = yearly[2] || yearly[1];
+    if (!isValidMonthDay(start) || !isValidMonthDay(end)) throw new Error(`"${t}" has an invalid month-day (use MM-DD)`);
+    return {kind:"yearly", start, end};
+  }
+  const once = /^(\d{4}-\d{2}-\d{2})(?:\s*\.\.\s*(\d{4}-\d{2}-\d{2}))?$/.exec(t);
+  if (once){
+    const start = once[1], end = once[2] || once[1];
+    if (!isValidISODate(start) || !isValidISODate(end)) throw new Error(`"${t}" has an invalid date (use YYYY-MM-DD)`);
+    if (end < start) throw new Error(`"${t}" ends before it starts`);
+    return {kind:"once", start, end};
+  }
+  throw new Error(`"${t}" should look like 2024-10-12, 2024-10-03..2024-10-12 or every 01-26`);
+}
+
+function formatWhen(when){
+  const range = when.start === when.end ? when.start : `${when.start}..${when.end}`;
+  return when.kind === "yearly" ? `every ${range}` : range;
+}
+
+// normalize a calendar from the editor / a JSON file; throws with a readable message
+function validateCalendar(raw, knownLocations){
+  if (!raw || !Array.isArray(raw.events)) throw new Error("Calendar must have an 'events' list.");
+  const events = raw.events.map((e, i)=>{
+    const where = `Event ${i+1}${e && e.name ? ` (${e.name})` : ''}`;
+    const name = String(e.name || '').trim();
+    if (!name) throw new Error(`${where}: name is required.`);
+    if (!CALENDAR_TYPES.includes(e.type)) throw new Error(`${where}: type must be festival or holiday.`);
+    let when;
+    try {
+      when = typeof e.when === 'string' ? parseWhenText(e.when) : parseWhenText(formatWhen(e.when || {}));
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}.`);
+    }
+    const locations = (Array.isArray(e.locations) ? e.locations : String(e.locations || '').split(','))
+      .map(l=>String(l).trim()).filter(l=>l && l.toLowerCase() !== 'all');
+    const unknown = locations.filter(l=>knownLocations && !knownLocations.includes(l));
+    if (unknown.length) throw new Error(`${where}: unknown location ${unknown.join(', ')}.`);
+    const fallback = e.type === "festival" ? DEFAULT_FESTIVAL_INTENSITY : DEFAULT_HOLIDAY_INTENSITY;
+    const intensity = e.intensity === undefined || e.intensity === '' ? fallback : Number(e.intensity);
+    if (!(intensity > 0)) throw new Error(`${where}: intensity must be a positive number.`);
+    return {name, type: e.type, when, locations, intensity};
+  });
+  return {weekendHolidays: raw.weekendHolidays !== false, events};
+}
+
+/* -------------------------
+   DATE MATCHING
+   - createCalendarIndex memoizes the per-date event list; location filtering
+     happens per lookup
+   ------------------------- */
+function eventOccursOn(event, dateStr){
+  const {kind, start, end} = event.when;
+  if (kind === "once") return dateStr >= start && dateStr <= end;
+  const md = dateStr.slice(5);
+  return start <= end ? (md >= start && md <= end) : (md >= start || md <= end);
+}
+
+function createCalendarIndex(calendar){
+  const byDate = new Map();
+  const eventsOn = dateStr => {
+    let list = byDate.get(dateStr);
+    if (!list){
+      list = calendar.events.filter(e=>eventOccursOn(e, dateStr));
+      byDate.set(dateStr, list);
+    }
+    return list;
+  };
+  // -> {is_festival, festival_intensity, is_holiday, holiday_intensity, festivals, holidays}
+  // an intensity is null when no event of that type matches, so a flag set without one
+  // (a ticked box, an unlisted local festival) gets the default multiplier
+  const flags = (dateStr, location, dow) => {
+    const out = {is_festival:0, festival_intensity:null, is_holiday:0, holiday_intensity:null, festivals:[], holidays:[]};
+    for (let e of eventsOn(dateStr)){
+      if (e.locations.length && !e.locations.includes(location)) continue;
+      if (e.type === "festival"){
+        out.is_festival = 1;
+        out.festival_intensity = Math.max(out.festival_intensity ?? 0, e.intensity);
+        out.festivals.push(e.name);
+      } else {
+        out.is_holiday = 1;
+        out.holiday_intensity = Math.max(out.holiday_intensity ?? 0, e.intensity);
+        out.holidays.push(e.name);
+      }
+    }
+    if (calendar.weekendHolidays && (dow === 0 || dow === 6)){
+      if (!out.is_holiday) out.holiday_intensity = DEFAULT_HOLIDAY_INTENSITY;
+      out.is_holiday = 1;
+      out.holidays.push("Weekend");
+    }
+    return out;
+  };
+  return {eventsOn, flags};
+}
+
+/* -------------------------
+   ICS IMPORT
+   - VEVENT SUMMARY / DTSTART / DTEND, RRULE FREQ=YEARLY becomes a yearly rule
+   - all-day DTEND is exclusive (RFC 5545), timed events keep their start/end dates
+   ------------------------- */
+function unescapeICS(v){
+  return v.replace(/\\n/gi,' ').replace(/\\([,;\\])/g,'$1').trim();
+}
+
+function icsDate(value){
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function parseICS(text, {type="festival", intensity, locations=[]}={}){
+  const lines = text.replace(/\r\n?/g,'\n').replace(/\n[ \t]/g,'').split('\n');
+  const events = [], skipped = [];
+  let cur = null;
+  for (let line of lines){
+    if (/^BEGIN:VEVENT/i.test(line)){ cur = {}; continue; }
+    if (/^END:VEVENT/i.test(line)){
+      if (cur) {
+        const start = icsDate(cur.DTSTART && cur.DTSTART.value);
+        if (!cur.SUMMARY || !start){
+          skipped.push(cur.SUMMARY ? unescapeICS(cur.SUMMARY.value) : '(untitled event)');
+        } else {
+          let end = start;
+          const rawEnd = cur.DTEND && icsDate(cur.DTEND.value);
+          if (rawEnd){
+            const allDay = /VALUE=DATE(?!-)/i.test(cur.DTEND.params) || /^\d{8}$/.test(cur.DTEND.value);
+            if (allDay){
+              const d = new Date(rawEnd + 'T00:00:00Z');
+              d.setUTCDate(d.getUTCDate() - 1);
+              end = d.toISOString().slice(0,10);
+            } else end = rawEnd;
+            if (end < start) end = start;
+          }
+          const yearly = cur.RRULE && /FREQ=YEARLY/i.test(cur.RRULE.value);
+          events.push({
+            name: unescapeICS(cur.SUMMARY.value),
+            type,
+            when: yearly ? {kind:"yearly", start: start.slice(5), end: end.slice(5)} : {kind:"once", start, end},
+            locations: locations.slice(),
+            intensity: intensity === undefined ? (type === "festival" ? DEFAULT_FESTIVAL_INTENSITY : DEFAULT_HOLIDAY_INTENSITY) : intensity
+          });
+        }
+      }
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const [key, ...params] = line.slice(0, colon).split(';');
+    cur[key.toUpperCase()] = {value: line.slice(colon+1), params: params.join(';')};
+  }
+  return {events, skipped};
+}
@@ -0,0 +1,447 @@
+/* charts.js
+   Small canvas chart kit for the analytics and scenario panels and the heat
+   preview (no libraries, nothing fetched). Every chart is a <figure class="chart">
+   with a caption, a canvas and a "PNG" button; hovering shows a tooltip built from
+   the hit regions the chart registered while drawing.
+
+   - boxPlotChart(title, items, opts)               items: [{label, box, color?}] (datasetProfiles boxes)
+   - lineChart(title, xLabels, series, opts)        series: [{name, values, color?, dashed?}], null = gap
+   - heatmapChart(title, xLabels, yLabels, rows, opts)  rows[y][x]: number or null
+   - barChart(title, bars, opts)                    bars: [{label, value, color?, note?}]
+   - tornadoChart(title, base, bars, opts)          bars: [{label, low, high, lowLabel?, highLabel?}]
+   opts: {width, height, xLabel, yLabel, fileName, format(v), markers: [{x, value, label, color}] (line only),
+          bands: [{name, low, high, color?}] (line only: shaded low..high ranges, null = gap)}
+   Sizes are CSS pixels; the backing store is scaled by devicePixelRatio.
+*/
+const CHART_THEME = {
+  background: '#0d1530',
+  grid: 'rgba(255,255,255,0.08)',
+  axis: 'rgba(230,233,240,0.8)',
+  muted: 'rgba(230,233,240,0.5)',
+  font: '11px Poppins, sans-serif',
+  palette: ['#4ff8ff', '#ffd479', '#ff8aa1', '#38ffb0', '#7b63ff', '#ff9f43', '#b6c6d6', '#f368e0', '#54a0ff', '#c8d6e5']
+};
+
+function chartColor(i){
+  return CHART_THEME.palette[i % CHART_THEME.palette.length];
+}
+
+function formatChartValue(v){
+  return v === null || v === undefined || Number.isNaN(v) ? '—' : Math.round(v).toLocaleString();
+}
+
+// round axis maximum and tick step covering 0..max
+function niceScale(max, ticks=5){
+  if (!(max > 0)) return {max: 1, step: 0.2};
+  const raw = max / ticks;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(m=>m * mag).find(s=>s >= raw);
+  return {max: Math.ceil(max / step) * step, step};
+}
+
+/* -------------------------
+   FRAME, AXES, TOOLTIP & EXPORT
+   ------------------------- */
+// figure + caption + canvas with a dark background; plot = the area inside the axes
+function chartFrame(title, opts={}){
+  const width = opts.width || 640, height = opts.height || 260;
+  const margin = {top: 14, right: 16, bottom: opts.xLabel ? 44 : 30, left: opts.yLabel ? 64 : 52, ...opts.margin};
+  const figure = document.createElement('figure');
+  figure.className = 'chart';
+  const caption = document.createElement('figcaption');
+  const name = document.createElement('span');
+  name.textContent = title;
+  caption.appendChild(name);
+  figure.appendChild(caption);
+
+  const canvas = document.createElement('canvas');
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = 'auto'; // keeps the aspect ratio when max-width shrinks it
+  figure.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+  ctx.fillStyle = CHART_THEME.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.font = CHART_THEME.font;
+
+  const chart = {
+    title, figure, caption, canvas, ctx, width, height, opts,
+    format: opts.format || formatChartValue,
+    plot: {left: margin.left, top: margin.top, width: width - margin.left - margin.right, height: height - margin.top - margin.bottom},
+    regions: [] // {x, y, w, h, text}
+  };
+  const png = document.createElement('button');
+  png.className = 'btn ghost chart-export';
+  png.textContent = 'PNG';
+  png.title = 'Download this chart as a PNG image';
+  png.onclick = (e)=>{ e.preventDefault(); exportChartPNG(chart); };
+  caption.appendChild(png);
+  attachChartTooltip(chart);
+  return chart;
+}
+
+// y grid lines + labels for 0..max; returns value -> y
+function drawValueAxis(chart, max){
+  const {ctx, plot} = chart;
+  const scale = niceScale(max);
+  const y = (v)=>plot.top + plot.height - (v / scale.max) * plot.height;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let v=0; v<=scale.max + 1e-9; v+=scale.step){
+    ctx.strokeStyle = CHART_THEME.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y(v));
+    ctx.lineTo(plot.left + plot.width, y(v));
+    ctx.stroke();
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.fillText(chart.format(v), plot.left - 6, y(v));
+  }
+  if (chart.opts.yLabel){
+    ctx.save();
+    ctx.translate(12, plot.top + plot.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(chart.opts.yLabel, 0, 0);
+    ctx.restore();
+  }
+  return y;
+}
+
+// category labels under equal-width slots; returns slot -> centre x
+// fit = shorten every label to its slot (named categories), else every n-th label when crowded
+function drawCategoryAxis(chart, labels, fit=false){
+  const {ctx, plot} = chart;
+  const slot = plot.width / Math.max(1, labels.length);
+  const x = (i)=>plot.left + slot * (i + 0.5);
+  const widest = Math.max(1, ...labels.map(l=>ctx.measureText(String(l)).width));
+  const every = fit ? 1 : Math.max(1, Math.ceil((widest + 6) / slot));
+  ctx.fillStyle = CHART_THEME.axis;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  labels.forEach((l, i)=>{ if (i % every === 0) ctx.fillText(fit ? fitText(ctx, String(l), slot - 4) : String(l), x(i), plot.top + plot.height + 6); });
+  ctx.strokeStyle = CHART_THEME.axis;
+  ctx.beginPath();
+  ctx.moveTo(plot.left, plot.top + plot.height);
+  ctx.lineTo(plot.left + plot.width, plot.top + plot.height);
+  ctx.stroke();
+  if (chart.opts.xLabel){
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(chart.opts.xLabel, plot.left + plot.width / 2, chart.height - 4);
+  }
+  return {x, slot};
+}
+
+function fitText(ctx, text, width){
+  if (ctx.measureText(text).width <= width) return text;
+  let s = text;
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > width) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+function drawLegend(chart, entries){
+  const {ctx, plot} = chart;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  let x = plot.left + plot.width;
+  for (let i=entries.length-1; i>=0; i--){
+    const {name, color, dashed} = entries[i];
+    x -= ctx.measureText(name).width + 26;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top - 6);
+    ctx.lineTo(x + 14, plot.top - 6);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.fillText(name, x + 18, plot.top - 6);
+  }
+}
+
+let CHART_TOOLTIP = null; // one floating tooltip shared by every chart
+
+function chartTooltip(){
+  if (!CHART_TOOLTIP){
+    CHART_TOOLTIP = document.createElement('div');
+    CHART_TOOLTIP.className = 'chart-tooltip';
+    CHART_TOOLTIP.hidden = true;
+    document.body.appendChild(CHART_TOOLTIP);
+  }
+  return CHART_TOOLTIP;
+}
+
+// region under the pointer -> tooltip next to it (canvas may be scaled down by CSS)
+function attachChartTooltip(chart){
+  const {canvas} = chart;
+  canvas.onmousemove = (e)=>{
+    const rect = canvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (chart.width / (rect.width || chart.width));
+    const py = (e.clientY - rect.top) * (chart.height / (rect.height || chart.height));
+    const hit = chart.regions.find(r=>px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h);
+    const tip = chartTooltip();
+    if (!hit){ tip.hidden = true; return; }
+    tip.textContent = hit.text;
+    tip.hidden = false;
+    tip.style.left = `${e.pageX + 12}px`;
+    tip.style.top = `${e.pageY + 12}px`;
+  };
+  canvas.onmouseleave = ()=>{ chartTooltip().hidden = true; };
+}
+
+function exportChartPNG(chart){
+  const fileName = chart.opts.fileName || `${chart.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}.png`;
+  const save = (url, revoke)=>{
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    if (revoke) URL.revokeObjectURL(url);
+  };
+  if (chart.canvas.toBlob) chart.canvas.toBlob(blob=>save(URL.createObjectURL(blob), true), 'image/png');
+  else save(chart.canvas.toDataURL('image/png'), false);
+}
+
+/* -------------------------
+   CHART TYPES
+   ------------------------- */
+// one box per item: Q1–Q3 box, median line, whiskers to the furthest values within 1.5 × IQR, mean dot;
+// the axis stops at the highest whisker (outliers are counted in the tooltip, not drawn)
+function boxPlotChart(title, items, opts={}){
+  const chart = chartFrame(title, opts);
+  const {ctx, plot} = chart;
+  const max = Math.max(1, ...items.map(it=>it.box ? Math.max(it.box.high, it.box.mean) : 0));
+  const y = drawValueAxis(chart, max);
+  const {x, slot} = drawCategoryAxis(chart, items.map(it=>it.label), true);
+  const bw = Math.min(46, slot * 0.5);
+  items.forEach((it, i)=>{
+    const b = it.box;
+    if (!b){
+      ctx.fillStyle = CHART_THEME.muted;
+      ctx.textAlign = 'center';
+      ctx.fillText('no rows', x(i), plot.top + plot.height - 12);
+      return;
+    }
+    const color = it.color || chartColor(i);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x(i), y(b.low)); ctx.lineTo(x(i), y(b.q1));
+    ctx.moveTo(x(i), y(b.q3)); ctx.lineTo(x(i), y(b.high));
+    ctx.moveTo(x(i) - bw/4, y(b.low)); ctx.lineTo(x(i) + bw/4, y(b.low));
+    ctx.moveTo(x(i) - bw/4, y(b.high)); ctx.lineTo(x(i) + bw/4, y(b.high));
+    ctx.stroke();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = color;
+    ctx.fillRect(x(i) - bw/2, y(b.q3), bw, Math.max(1, y(b.q1) - y(b.q3)));
+    ctx.globalAlpha = 1;
+    ctx.strokeRect(x(i) - bw/2, y(b.q3), bw, Math.max(1, y(b.q1) - y(b.q3)));
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    ctx.moveTo(x(i) - bw/2, y(b.median)); ctx.lineTo(x(i) + bw/2, y(b.median));
+    ctx.stroke();
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(x(i), y(b.mean), 2.5, 0, 2 * Math.PI);
+    ctx.fill();
+    chart.regions.push({x: x(i) - slot/2, y: plot.top, w: slot, h: plot.height,
+      text: `${it.label}: ${b.n.toLocaleString()} rows · min ${chart.format(b.min)} · Q1 ${chart.format(b.q1)} · median ${chart.format(b.median)} · Q3 ${chart.format(b.q3)} · max ${chart.format(b.max)} · mean ${chart.format(b.mean)}${b.outliers ? ` · ${b.outliers.toLocaleString()} outliers` : ''}`});
+  });
+  return chart;
+}
+
+function lineChart(title, xLabels, series, opts={}){
+  const chart = chartFrame(title, {...opts, margin: {top: 26, ...opts.margin}});
+  const {ctx, plot} = chart;
+  const markers = opts.markers || [];
+  const bands = opts.bands || [];
+  const values = series.flatMap(s=>s.values.filter(v=>v !== null));
+  const bandTops = bands.flatMap(b=>b.high.filter(v=>v !== null));
+  const y = drawValueAxis(chart, Math.max(1, ...values, ...bandTops, ...markers.map(m=>m.value)));
+  const {x, slot} = drawCategoryAxis(chart, xLabels);
+  for (let b of bands){
+    // one closed shape per run of non-null points: along the highs, back along the lows
+    ctx.fillStyle = b.color || 'rgba(79,248,255,0.15)';
+    let run = [];
+    const flush = ()=>{
+      if (run.length){
+        ctx.beginPath();
+        run.forEach((i, k)=>k ? ctx.lineTo(x(i), y(b.high[i])) : ctx.moveTo(x(i), y(b.high[i])));
+        for (let k=run.length-1;k>=0;k--) ctx.lineTo(x(run[k]), y(b.low[run[k]]));
+        ctx.closePath();
+        ctx.fill();
+      }
+      run = [];
+    };
+    b.high.forEach((v, i)=>{ if (v === null || b.low[i] === null) flush(); else run.push(i); });
+    flush();
+  }
+  series.forEach((s, k)=>{
+    const color = s.color || chartColor(k);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = s.width || 2;
+    ctx.setLineDash(s.dashed ? [4, 3] : []);
+    ctx.beginPath();
+    let drawing = false;
+    s.values.forEach((v, i)=>{
+      if (v === null){ drawing = false; return; }
+      if (drawing) ctx.lineTo(x(i), y(v));
+      else ctx.moveTo(x(i), y(v));
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    s.values.forEach((v, i)=>{
+      if (v === null) return;
+      ctx.beginPath();
+      ctx.arc(x(i), y(v), 2, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  });
+  for (let m of markers){
+    ctx.fillStyle = m.color || '#ff4f78';
+    ctx.beginPath();
+    ctx.arc(x(m.x), y(m.value), 5, 0, 2 * Math.PI);
+    ctx.fill();
+    chart.regions.push({x: x(m.x) - 7, y: y(m.value) - 7, w: 14, h: 14, text: m.label});
+  }
+  if (series.length > 1) drawLegend(chart, series.map((s, k)=>({name: s.name, color: s.color || chartColor(k), dashed: s.dashed})));
+  xLabels.forEach((label, i)=>{
+    const parts = series.filter(s=>s.values[i] !== null).map(s=>`${s.name} ${chart.format(s.values[i])}`);
+    for (let b of bands) if (b.low[i] !== null && b.high[i] !== null) parts.push(`${b.name} ${chart.format(b.low[i])}–${chart.format(b.high[i])}`);
+    chart.regions.push({x: x(i) - slot/2, y: plot.top, w: slot, h: plot.height,
+      text: `${label}: ${parts.length ? parts.join(' · ') : 'no rows'}`});
+  });
+  return chart;
+}
+
+// low -> high: deep blue, amber, red (the density badge colours)
+function heatColor(t){
+  const stops = [[27, 42, 82], [255, 212, 121], [255, 79, 109]];
+  const s = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(s)), f = s - i;
+  const c = stops[i].map((v, k)=>Math.round(v + (stops[i+1][k] - v) * f));
+  return `rgb(${c[0]},${c[1]},${c[2]})`;
+}
+
+function heatmapChart(title, xLabels, yLabels, rows, opts={}){
+  const chart = chartFrame(title, {...opts, margin: {right: 60, ...opts.margin}});
+  const {ctx, plot} = chart;
+  const values = rows.flat().filter(v=>v !== null);
+  const min = values.length ? Math.min(...values) : 0, max = values.length ? Math.max(...values) : 1;
+  const cw = plot.width / xLabels.length, ch = plot.height / yLabels.length;
+  drawCategoryAxis(chart, xLabels);
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  yLabels.forEach((label, r)=>{
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.fillText(String(label), plot.left - 6, plot.top + r*ch + ch/2);
+    xLabels.forEach((xl, c)=>{
+      const v = rows[r][c];
+      ctx.fillStyle = v === null ? 'rgba(255,255,255,0.04)' : heatColor(max > min ? (v - min) / (max - min) : 0.5);
+      ctx.fillRect(plot.left + c*cw + 0.5, plot.top + r*ch + 0.5, cw - 1, ch - 1);
+      chart.regions.push({x: plot.left + c*cw, y: plot.top + r*ch, w: cw, h: ch,
+        text: `${label} · ${xl}: ${v === null ? 'no rows' : chart.format(v)}`});
+    });
+  });
+  // colour legend
+  const lx = plot.left + plot.width + 16, steps = 40;
+  for (let k=0; k<steps; k++){
+    ctx.fillStyle = heatColor(1 - k / (steps - 1));
+    ctx.fillRect(lx, plot.top + k * plot.height / steps, 12, plot.height / steps + 1);
+  }
+  ctx.fillStyle = CHART_THEME.axis;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(chart.format(max), lx - 2, plot.top - 12);
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(chart.format(min), lx - 2, plot.top + plot.height + 14);
+  return chart;
+}
+
+function barChart(title, bars, opts={}){
+  const chart = chartFrame(title, opts);
+  const {ctx, plot} = chart;
+  const y = drawValueAxis(chart, Math.max(1, ...bars.map(b=>b.value || 0)));
+  const {x, slot} = drawCategoryAxis(chart, bars.map(b=>b.label), true);
+  const bw = Math.min(60, slot * 0.6);
+  bars.forEach((b, i)=>{
+    if (b.value === null || b.value === undefined) return;
+    ctx.fillStyle = b.color || chartColor(i);
+    ctx.fillRect(x(i) - bw/2, y(b.value), bw, plot.top + plot.height - y(b.value));
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(b.note || chart.format(b.value), x(i), y(b.value) - 3);
+    chart.regions.push({x: x(i) - slot/2, y: plot.top, w: slot, h: plot.height,
+      text: `${b.label}: ${chart.format(b.value)}${b.note ? ` (${b.note})` : ''}`});
+  });
+  return chart;
+}
+
+// tornado (sensitivity) chart: one row per factor, a bar from its low to its high value
+// around a vertical line at `base`, widest swing on top as given; ends are labelled
+// with what produced them (lowLabel / highLabel), bars without a swing say so
+function tornadoChart(title, base, bars, opts={}){
+  const chart = chartFrame(title, {...opts, margin: {left: 130, right: 90, ...opts.margin}});
+  const {ctx, plot} = chart;
+  const scale = niceScale(Math.max(1, base, ...bars.map(b=>b.high)));
+  const x = (v)=>plot.left + (v / scale.max) * plot.width;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let v=0; v<=scale.max + 1e-9; v+=scale.step){
+    ctx.strokeStyle = CHART_THEME.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x(v), plot.top);
+    ctx.lineTo(x(v), plot.top + plot.height);
+    ctx.stroke();
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.fillText(chart.format(v), x(v), plot.top + plot.height + 6);
+  }
+  if (opts.xLabel){
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(opts.xLabel, plot.left + plot.width / 2, chart.height - 4);
+  }
+
+  const slot = plot.height / Math.max(1, bars.length);
+  const bh = Math.min(26, slot * 0.6);
+  const colors = {low: opts.lowColor || CHART_THEME.palette[2], high: opts.highColor || CHART_THEME.palette[0]};
+  ctx.textBaseline = 'middle';
+  bars.forEach((b, i)=>{
+    const y = plot.top + slot * (i + 0.5);
+    ctx.fillStyle = CHART_THEME.axis;
+    ctx.textAlign = 'right';
+    ctx.fillText(fitText(ctx, b.label, plot.left - 12), plot.left - 8, y);
+    ctx.fillStyle = colors.low;
+    ctx.fillRect(x(Math.min(b.low, base)), y - bh/2, Math.abs(x(base) - x(b.low)), bh);
+    ctx.fillStyle = colors.high;
+    ctx.fillRect(x(base), y - bh/2, Math.max(0, x(b.high) - x(base)), bh);
+    ctx.fillStyle = CHART_THEME.muted;
+    if (b.high === b.low){
+      ctx.textAlign = 'left';
+      ctx.fillText('no effect', x(base) + 4, y);
+    } else {
+      ctx.textAlign = 'right';
+      if (b.lowLabel) ctx.fillText(b.lowLabel, x(b.low) - 4, y);
+      ctx.textAlign = 'left';
+      if (b.highLabel) ctx.fillText(b.highLabel, x(b.high) + 4, y);
+    }
+    chart.regions.push({x: plot.left, y: y - slot/2, w: plot.width, h: slot,
+      text: `${b.label}: ${chart.format(b.low)}${b.lowLabel ? ` (${b.lowLabel})` : ''} – ${chart.format(b.high)}${b.highLabel ? ` (${b.highLabel})` : ''}, base ${chart.format(base)}`});
+  });
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(x(base), plot.top);
+  ctx.lineTo(x(base), plot.top + plot.height);
+  ctx.stroke();
+  return chart;
+}
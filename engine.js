@@ -0,0 +1,1337 @@
+/* engine.js
+   Simulation core for the crowd density predictor.
+   DOM-free: loaded by the page and by worker.js (importScripts), so the same
+   code generates, labels and summarizes the dataset on either thread.
+
+   - location registry lookups and validation, festival / holiday calendar state, seeded PRNG
+   - footfall heuristic (expected value + Gaussian noise), what-if scenario
+     overrides and per-factor sensitivity
+   - capacity alerts and staffing recommendations per site
+   - columnar dataset: one typed array per column, strings dictionary-encoded
+   - simulation settings + generator (random samples or an hourly time series per
+     site), density labeling (global / per-location quartiles or capacity
+     thresholds), per-location stats, daily series + Holt-Winters forecast / backtest
+   - runEngineJob(): the generate / stats / train / scenarios jobs worker.js runs, with
+     progress callbacks and cooperative cancellation
+*/
+
+/* -------------------------
+   CONFIG & DATA / HELPERS
+   ------------------------- */
+// Default location registry.
+// - hours: opening windows [open, close) in whole hours, so [[7,14],[15,21]] means
+//   slots 7:00..13:00 and 15:00..20:00 (temples close for the midday break)
+// - closedDays: weekly closures, 0 = Sunday .. 6 = Saturday
+// - events: recurring special-event hours; they extend opening on their days
+//   (all days when `days` is omitted) and multiply footfall by `boost`
+// - area: visitor area in m², used by capacity-based density labels
+// - capacity: safe number of people on site; staffRatio: visitors per volunteer / marshal
+const DEFAULT_LOCATIONS = [
+  {id:"Chamundi_Temple", name:"Chamundi Temple", category:"temple", baseScale:500, popularity:1.2, area:900, capacity:1400, staffRatio:100, hours:[[7,14],[15,21]], closedDays:[], events:[]},
+  {id:"Nanjangud_Temple", name:"Nanjangud Temple", category:"temple", baseScale:300, popularity:0.9, area:450, capacity:700, staffRatio:100, hours:[[6,13],[16,21]], closedDays:[], events:[]},
+  {id:"Srirangapatna_Temple", name:"Srirangapatna Temple", category:"temple", baseScale:150, popularity:0.6, area:180, capacity:280, staffRatio:80, hours:[[7,13],[16,20]], closedDays:[], events:[]},
+  {id:"Mysore_Palace", name:"Mysore Palace", category:"palace", baseScale:800, popularity:1.5, area:1600, capacity:2400, staffRatio:150, hours:[[10,18]], closedDays:[],
+    events:[{name:"Illumination", hours:[[19,20]], days:[0], boost:1.6}]},
+  {id:"Brindavan_Gardens", name:"Brindavan Gardens", category:"garden", baseScale:450, popularity:1.1, area:1500, capacity:1400, staffRatio:200, hours:[[7,21]], closedDays:[],
+    events:[{name:"Musical fountain", hours:[[18,20]], boost:1.5}]},
+  {id:"Mysore_Zoo", name:"Mysore Zoo", category:"zoo", baseScale:350, popularity:1.0, area:1200, capacity:1000, staffRatio:200, hours:[[8,18]], closedDays:[2], events:[]},
+  {id:"KRS_Dam", name:"KRS Dam", category:"dam", baseScale:200, popularity:0.7, area:400, capacity:500, staffRatio:120, hours:[[7,19]], closedDays:[], events:[]}
+];
+const DAY_NAMES = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"];
+const MONTH_NAMES = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+const LOCATION_CATEGORIES = ["temple","garden","dam","zoo","palace","other"];
+
+// Derived lookups, rebuilt by applyLocationRegistry() whenever the registry changes
+let LOCATION_REGISTRY = [];
+let LOCATIONS = [];
+let locPopularity = {};
+let baseScale = {};
+let siteArea = {}; // id -> visitor area (m²)
+let siteCapacity = {}; // id -> safe number of people on site
+let siteStaffRatio = {}; // id -> visitors per staff member
+let LOCATION_SLOTS = {}; // id -> sorted hourly slots open on at least one day
+let LOCATION_DAY_SLOTS = {}; // id -> [dow] -> sorted open slots that day ([] when closed)
+
+const weatherMultiplier = {
+  "Clear": 1.0,
+  "Cloudy": 0.95,
+  "Rain": 0.6,
+  "Hot": 0.8,
+  "Humid": 0.9
+};
+
+/* -------------------------
+   LOCATION REGISTRY
+   - derived lookups, plus the text formats / validation shared by the
+     location editor and createSimulator()
+   ------------------------- */
+function applyLocationRegistry(registry){
+  LOCATION_REGISTRY = registry.map(l=>({
+    ...l,
+    hours: l.hours.map(w=>w.slice()),
+    closedDays: (l.closedDays || []).slice(),
+    events: (l.events || []).map(e=>({...e, hours: e.hours.map(w=>w.slice())}))
+  }));
+  LOCATIONS = LOCATION_REGISTRY.map(l=>l.id);
+  locPopularity = {};
+  baseScale = {};
+  siteArea = {};
+  siteCapacity = {};
+  siteStaffRatio = {};
+  LOCATION_SLOTS = {};
+  LOCATION_DAY_SLOTS = {};
+  for (let l of LOCATION_REGISTRY){
+    locPopularity[l.id] = l.popularity;
+    baseScale[l.id] = l.baseScale;
+    siteArea[l.id] = l.area;
+    siteCapacity[l.id] = l.capacity;
+    siteStaffRatio[l.id] = l.staffRatio;
+    const any = new Set();
+    LOCATION_DAY_SLOTS[l.id] = DAY_NAMES.map((_, dow)=>{
+      if (l.closedDays.includes(dow)) return [];
+      const slots = new Set();
+      for (let [open, close] of l.hours) for (let h=open; h<close; h++) slots.add(h);
+      for (let e of l.events){
+        if (e.days && !e.days.includes(dow)) continue;
+        for (let [open, close] of e.hours) for (let h=open; h<close; h++) slots.add(h);
+      }
+      slots.forEach(h=>any.add(h));
+      return Array.from(slots).sort((a,b)=>a-b);
+    });
+    LOCATION_SLOTS[l.id] = Array.from(any).sort((a,b)=>a-b);
+  }
+}
+
+function isOpenAt(id, dow, hour){
+  const days = LOCATION_DAY_SLOTS[id];
+  return !!days && days[dow].includes(hour);
+}
+
+// the special event running at this slot, or null
+function activeEvent(id, dow, hour){
+  const l = LOCATION_REGISTRY.find(x=>x.id === id);
+  if (!l || dow === undefined || dow === null) return null;
+  return l.events.find(e=>(!e.days || e.days.includes(dow)) && e.hours.some(([o,c])=>hour >= o && hour < c)) || null;
+}
+
+function utcDayOfWeek(dateStr){
+  return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+// "6-13, 16-22" -> [[6,13],[16,22]]; throws on malformed / overlapping windows
+function parseHoursText(text){
+  const windows = String(text).split(',').map(part=>part.trim()).filter(Boolean).map(part=>{
+    const m = part.match(/^(\d{1,2})(?::00)?\s*[-–]\s*(\d{1,2})(?::00)?$/);
+    if (!m) throw new Error(`opening hours "${part}" should look like 6-22`);
+    const open = Number(m[1]), close = Number(m[2]);
+    if (open < 0 || close > 24 || open >= close) throw new Error(`opening hours "${part}" must satisfy 0 ≤ open < close ≤ 24`);
+    return [open, close];
+  }).sort((a,b)=>a[0]-b[0]);
+  if (windows.length === 0) throw new Error("at least one opening window is required");
+  for (let i=1;i<windows.length;i++){
+    if (windows[i][0] < windows[i-1][1]) throw new Error("opening windows overlap");
+  }
+  return windows;
+}
+
+function formatHours(hours){
+  return hours.map(([o,c])=>`${o}-${c}`).join(', ');
+}
+
+// "Tue, Sun" -> [2, 0]
+function parseDaysText(text){
+  const days = String(text).split(',').map(p=>p.trim()).filter(Boolean).map(p=>{
+    const i = DAY_NAMES.findIndex(d=>d.toLowerCase() === p.slice(0,3).toLowerCase());
+    if (i < 0) throw new Error(`unknown day "${p}" (use Sun, Mon, ...)`);
+    return i;
+  });
+  return Array.from(new Set(days)).sort((a,b)=>a-b);
+}
+
+function formatDays(days){
+  return days.map(d=>DAY_NAMES[d]).join(', ');
+}
+
+// "Light show @ 18-20 x1.5 on Sat, Sun; ..." -> [{name, hours, boost, days?}]
+function parseEventsText(text){
+  return String(text).split(';').map(p=>p.trim()).filter(Boolean).map(part=>{
+    const m = part.match(/^(.+?)\s*@\s*([^x]+?)\s*(?:x\s*([\d.]+))?\s*(?:on\s+(.+))?$/i);
+    if (!m) throw new Error(`event "${part}" should look like "Light show @ 18-20 x1.5 on Sat, Sun"`);
+    const event = {name: m[1].trim(), hours: parseHoursText(m[2]), boost: m[3] === undefined ? 1 : Number(m[3])};
+    if (!(event.boost > 0)) throw new Error(`event "${event.name}": boost must be a positive number`);
+    if (m[4]) event.days = parseDaysText(m[4]);
+    return event;
+  });
+}
+
+function formatEvents(events){
+  return events.map(e=>`${e.name} @ ${formatHours(e.hours)} x${e.boost}${e.days ? ` on ${formatDays(e.days)}` : ''}`).join('; ');
+}
+
+// validate + normalize a registry from the editor / a JSON file; throws with a readable message
+function validateRegistry(list){
+  if (!Array.isArray(list) || list.length === 0) throw new Error("Registry must be a non-empty list of locations.");
+  const seen = new Set();
+  return list.map((raw, i)=>{
+    const where = `Location ${i+1}`;
+    const id = String(raw.id || '').trim();
+    if (!/^[A-Za-z0-9_]+$/.test(id)) throw new Error(`${where}: id must use letters, digits and underscores only.`);
+    if (seen.has(id)) throw new Error(`${where}: duplicate id "${id}".`);
+    seen.add(id);
+    const name = String(raw.name || '').trim() || id.replace(/_/g,' ');
+    const scale = Number(raw.baseScale);
+    const pop = Number(raw.popularity);
+    if (!(scale > 0)) throw new Error(`${where} (${id}): base scale must be a positive number.`);
+    if (!(pop > 0)) throw new Error(`${where} (${id}): popularity must be a positive number.`);
+    // registries saved before these fields existed take the default site's values, else
+    // one m² per 0.5 base visitors, a capacity of 2 people / m² and 100 visitors per staff member
+    const preset = DEFAULT_LOCATIONS.find(l=>l.id === id) || {};
+    const given = (v)=>v !== undefined && v !== '';
+    const area = given(raw.area) ? Number(raw.area) : (preset.area || scale * 2);
+    if (!(area > 0)) throw new Error(`${where} (${id}): area must be a positive number of m².`);
+    const capacity = given(raw.capacity) ? Number(raw.capacity) : (preset.capacity || Math.round(area * 2));
+    if (!(capacity >= 1)) throw new Error(`${where} (${id}): safe capacity must be at least 1 person.`);
+    const staffRatio = given(raw.staffRatio) ? Number(raw.staffRatio) : (preset.staffRatio || 100);
+    if (!(staffRatio >= 1)) throw new Error(`${where} (${id}): visitors per staff member must be at least 1.`);
+    let hours, closedDays, events;
+    try {
+      hours = Array.isArray(raw.hours) ? parseHoursText(formatHours(raw.hours)) : parseHoursText(raw.hours || '');
+      closedDays = Array.isArray(raw.closedDays) ? parseDaysText(formatDays(raw.closedDays)) : parseDaysText(raw.closedDays || '');
+      events = Array.isArray(raw.events) ? parseEventsText(formatEvents(raw.events)) : parseEventsText(raw.events || '');
+    } catch (err) {
+      throw new Error(`${where} (${id}): ${err.message}.`);
+    }
+    if (closedDays.length === 7) throw new Error(`${where} (${id}): a location cannot be closed every day.`);
+    const category = LOCATION_CATEGORIES.includes(raw.category) ? raw.category : '';
+    return {id, name, category, baseScale: scale, popularity: pop, area, capacity, staffRatio, hours, closedDays, events};
+  });
+}
+
+/* -------------------------
+   FESTIVAL & HOLIDAY CALENDAR (rules live in calendar.js)
+   ------------------------- */
+let CALENDAR = null;
+let CALENDAR_INDEX = null;
+
+function applyCalendar(calendar){
+  CALENDAR = calendar;
+  CALENDAR_INDEX = createCalendarIndex(calendar);
+}
+
+// {is_festival, festival_intensity, is_holiday, holiday_intensity, festivals, holidays}
+function calendarFlags(dateStr, location, dow){
+  return CALENDAR_INDEX.flags(dateStr, location, dow === undefined ? utcDayOfWeek(dateStr) : dow);
+}
+
+// End of the generated date range (YYYY-MM-DD, UTC). Defaults to today; ?end= pins it
+// so a seed + end date regenerates an exported dataset exactly.
+let DATA_END_DATE = new Date().toISOString().slice(0,10);
+
+// everything a worker needs to reproduce the page's generator
+function engineConfig(){
+  return {registry: LOCATION_REGISTRY, calendar: CALENDAR, simulation: SIMULATION, labeling: LABELING, endDate: DATA_END_DATE};
+}
+
+// on the page the config is usually the live state already, so skip the rebuild
+function configureEngine({registry, calendar, simulation, labeling, endDate}){
+  if (registry !== LOCATION_REGISTRY) applyLocationRegistry(registry);
+  if (calendar !== CALENDAR) applyCalendar(calendar);
+  applySimulation(simulation);
+  applyLabeling(labeling);
+  DATA_END_DATE = endDate;
+}
+
+/* -------------------------
+   SEEDED PRNG (mulberry32)
+   - every random draw goes through rng() so one seed reproduces a full run
+   - training draws its split and SGD order from trainingSeed(SEED), a stream of
+     its own: the page's draws (Randomize, Monte Carlo bands) never shift it
+   ------------------------- */
+let SEED = null;
+let rngState = 0;
+const TRAIN_SALT = 0x9E3779B9;
+
+function setSeed(seed){
+  SEED = seed >>> 0;
+  rngState = SEED;
+}
+
+function trainingSeed(seed){
+  return (seed ^ TRAIN_SALT) >>> 0;
+}
+
+function rng(){
+  rngState = (rngState + 0x6D2B79F5) >>> 0;
+  let t = rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/* -------------------------
+   UTIL: Random gaussian (Box-Muller)
+   ------------------------- */
+function gaussianRandom(mean=0, std=1) {
+  let u = 0, v = 0;
+  while(u === 0) u = rng();
+  while(v === 0) v = rng();
+  const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+  return z * std + mean;
+}
+
+/* -------------------------
+   TIME & TEMP HELPERS
+   ------------------------- */
+// timeFactor() buckets, [from, to) in hours; "night" takes every other hour
+const TIME_BUCKETS = [
+  {id:"early", label:"6–9", from:6, to:9},
+  {id:"morning", label:"9–12", from:9, to:12},
+  {id:"midday", label:"12–15", from:12, to:15},
+  {id:"afternoon", label:"15–18", from:15, to:18},
+  {id:"evening", label:"18–21", from:18, to:21},
+  {id:"night", label:"21–6"}
+];
+const DEFAULT_TIME_FACTORS = {early:0.9, morning:1.0, midday:0.8, afternoon:1.1, evening:1.4, night:0.6};
+let TIME_FACTORS = DEFAULT_TIME_FACTORS; // swapped by withScenario()
+
+function timeBucket(hour){
+  for (let b of TIME_BUCKETS) if (hour >= b.from && hour < b.to) return b.id;
+  return "night";
+}
+function timeFactor(hour){
+  return TIME_FACTORS[timeBucket(hour)];
+}
+function tempFactor(temp){
+  if (temp > 32) return 0.8;
+  if (temp < 20) return 0.85;
+  return 1.0;
+}
+
+// weather x temperature interaction on top of weatherMultiplier and tempFactor:
+// muggy heat is worse than heat or humidity alone, cold rain worse than rain
+function comfortFactor(weather, temp){
+  if ((weather === "Humid" || weather === "Hot") && temp > 32) return 0.85;
+  if (weather === "Humid" && temp > 28) return 0.92;
+  if (weather === "Rain" && temp < 20) return 0.9;
+  if (weather === "Clear" && temp >= 20 && temp <= 28) return 1.05;
+  return 1.0;
+}
+
+/* -------------------------
+   FOOTFALL HEURISTIC (single)
+   ------------------------- */
+// noise-free expected footfall for one slot
+// festival_intensity / holiday_intensity come from the calendar; checked boxes without
+// a calendar event fall back to the default multipliers (a scenario's override wins over both)
+function expectedFootfall({location, hour, weather, temp, is_festival, is_holiday, day_of_week, festival_intensity, holiday_intensity}){
+  const pop = locPopularity[location] || 1.0;
+  const event = activeEvent(location, day_of_week, hour);
+  const eventFactor = event ? event.boost : 1.0;
+  const tf = timeFactor(hour);
+  const festivalFactor = is_festival ? (INTENSITY_OVERRIDE.festival ?? (festival_intensity || DEFAULT_FESTIVAL_INTENSITY)) : 1.0;
+  const holidayFactor = is_holiday ? (INTENSITY_OVERRIDE.holiday ?? (holiday_intensity || DEFAULT_HOLIDAY_INTENSITY)) : 1.0;
+  const wmul = weatherMultiplier[weather] ?? 1.0;
+  const tfac = tempFactor(temp) * comfortFactor(weather, temp);
+  const base = baseScale[location] || 200;
+  return base * pop * tf * festivalFactor * holidayFactor * eventFactor * wmul * tfac;
+}
+
+function computeFootfallSample(inputs){
+  const base = baseScale[inputs.location] || 200;
+  const noiseStd = base * 0.15;
+  const noise = gaussianRandom(0, noiseStd);
+  const footfall = Math.max(0, Math.round(expectedFootfall(inputs) + noise));
+  return footfall;
+}
+
+/* -------------------------
+   WHAT-IF SCENARIOS
+   - a scenario overrides heuristic factors; anything it leaves out keeps the
+     baseline value:
+       {name, popularity: {id: x}, baseScale: {id: x}, weather: {weather: x},
+        time: {bucket id: x}, festival: x | null, holiday: x | null}
+     festival / holiday replace the calendar and default intensities
+   - withScenario(scenario, fn) runs fn with the overrides swapped in and always
+     restores the baseline, so callers keep it synchronous (no awaits inside)
+   ------------------------- */
+let INTENSITY_OVERRIDE = {festival: null, holiday: null};
+
+// validate + normalize a scenario from the panel / a stored list; blank entries mean "baseline"
+function validateScenario(raw, locationIds=LOCATIONS){
+  if (!raw || typeof raw !== 'object') throw new Error('A scenario must be an object.');
+  const name = String(raw.name ?? '').trim();
+  if (!name) throw new Error('Every scenario needs a name.');
+  const blank = (v)=>v === '' || v === null || v === undefined;
+  const factor = (v, what)=>{
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Scenario "${name}": ${what} must be a number ≥ 0.`);
+    return n;
+  };
+  const table = (obj, keys, what)=>{
+    const out = {};
+    for (let [key, v] of Object.entries(obj || {})){
+      if (blank(v)) continue;
+      if (!keys.includes(key)) throw new Error(`Scenario "${name}": unknown ${what} "${key}".`);
+      out[key] = factor(v, `${what} "${key}"`);
+    }
+    return out;
+  };
+  return {
+    name,
+    popularity: table(raw.popularity, locationIds, 'location'),
+    baseScale: table(raw.baseScale, locationIds, 'location'),
+    weather: table(raw.weather, Object.keys(weatherMultiplier), 'weather'),
+    time: table(raw.time, TIME_BUCKETS.map(b=>b.id), 'time bucket'),
+    festival: blank(raw.festival) ? null : factor(raw.festival, 'the festival factor'),
+    holiday: blank(raw.holiday) ? null : factor(raw.holiday, 'the holiday factor')
+  };
+}
+
+function withScenario(scenario, fn){
+  if (!scenario) return fn();
+  const saved = {popularity: locPopularity, scale: baseScale, weather: {...weatherMultiplier}, time: TIME_FACTORS, intensity: INTENSITY_OVERRIDE};
+  locPopularity = {...locPopularity, ...scenario.popularity};
+  baseScale = {...baseScale, ...scenario.baseScale};
+  Object.assign(weatherMultiplier, scenario.weather);
+  TIME_FACTORS = {...TIME_FACTORS, ...scenario.time};
+  INTENSITY_OVERRIDE = {festival: scenario.festival ?? INTENSITY_OVERRIDE.festival, holiday: scenario.holiday ?? INTENSITY_OVERRIDE.holiday};
+  try {
+    return fn();
+  } finally {
+    locPopularity = saved.popularity;
+    baseScale = saved.scale;
+    Object.assign(weatherMultiplier, saved.weather);
+    TIME_FACTORS = saved.time;
+    INTENSITY_OVERRIDE = saved.intensity;
+  }
+}
+
+// tornado bars for one prediction input: each factor swings over its range while the
+// others stay put (expected footfall, no noise)
+//   site scale: base scale × popularity ± delta; hour: the site's open hours that day;
+//   weather: every weather type at the same temperature; temperature: ± tempRange °C;
+//   festival / holiday: off vs on
+// -> {base, bars: [{factor, label, low, high, lowLabel, highLabel}]}, widest swing first
+function footfallSensitivity(inputs, {delta=0.2, tempRange=5}={}){
+  const at = (change)=>expectedFootfall({...inputs, ...change});
+  const base = at({});
+  const swing = (factor, label, options)=>{
+    let low = options[0], high = options[0];
+    for (let o of options){
+      if (o.value < low.value) low = o;
+      if (o.value > high.value) high = o;
+    }
+    return {factor, label, low: low.value, high: high.value, lowLabel: low.label, highLabel: high.label};
+  };
+  const pct = Math.round(delta * 100);
+  const hours = ((LOCATION_DAY_SLOTS[inputs.location] || [])[inputs.day_of_week] || []).concat(inputs.hour);
+  const temps = [];
+  for (let d=-tempRange; d<=tempRange; d++) temps.push(Math.round((inputs.temp + d) * 10) / 10);
+  const bars = [
+    swing('scale', `Site scale ±${pct}%`, [{label: `−${pct}%`, value: base * (1 - delta)}, {label: `+${pct}%`, value: base * (1 + delta)}]),
+    swing('hour', 'Hour of day', hours.map(hour=>({label: `${hour}:00`, value: at({hour})}))),
+    swing('weather', 'Weather', Object.keys(weatherMultiplier).map(weather=>({label: weather, value: at({weather})}))),
+    swing('temperature', `Temperature ±${tempRange} °C`, temps.map(temp=>({label: `${temp} °C`, value: at({temp})}))),
+    swing('festival', 'Festival', [0, 1].map(on=>({label: on ? 'festival' : 'no festival', value: at({is_festival: on})}))),
+    swing('holiday', 'Holiday', [0, 1].map(on=>({label: on ? 'holiday' : 'no holiday', value: at({is_holiday: on})})))
+  ];
+  bars.sort((a, b)=>(b.high - b.low) - (a.high - a.low));
+  return {base, bars};
+}
+
+// dataset stats compared across scenarios; `labels` are the baseline's, so a busier
+// scenario shows up as a larger share of High / Very High hours
+// -> {rows, mean, quartiles: [q1, q2, q3], busyShare, capacity: {warning, critical}, perLocation: {id: mean | null}}
+function scenarioSummary(data, labels){
+  const c = data.columns;
+  const n = data.length;
+  const sum = new Float64Array(data.locations.length), count = new Int32Array(data.locations.length);
+  let total = 0, busy = 0, warning = 0, critical = 0;
+  for (let i=0;i<n;i++){
+    const f = c.footfall[i], l = c.location[i], loc = data.locations[l];
+    total += f;
+    sum[l] += f;
+    count[l]++;
+    if (labels && densityClass(f, loc, labels) >= 2) busy++;
+    const level = assessCapacity(loc, f).level;
+    if (level === 'critical') critical++;
+    else if (level === 'warning') warning++;
+  }
+  const perLocation = {};
+  data.locations.forEach((id, l)=>{ perLocation[id] = count[l] ? sum[l] / count[l] : null; });
+  return {
+    rows: n,
+    mean: n ? total / n : 0,
+    quartiles: n ? quartilesOf(c.footfall.slice().sort()) : [0, 0, 0],
+    busyShare: n ? busy / n : 0,
+    capacity: {warning, critical},
+    perLocation
+  };
+}
+
+/* -------------------------
+   CAPACITY & STAFFING
+   - utilization = visitors in the hour / the site's safe capacity
+   - warning from 80 % of capacity, critical from 100 %
+   - staff: one volunteer / marshal per staffRatio visitors, at least one per open hour
+   ------------------------- */
+const CAPACITY_ALERTS = {warning: 0.8, critical: 1.0};
+
+// {utilization, level: 'ok' | 'warning' | 'critical', staff} for one site-hour
+function assessCapacity(location, footfall){
+  const capacity = siteCapacity[location];
+  const utilization = capacity ? footfall / capacity : 0;
+  const level = utilization >= CAPACITY_ALERTS.critical ? 'critical' : utilization >= CAPACITY_ALERTS.warning ? 'warning' : 'ok';
+  const staff = Math.max(1, Math.ceil(footfall / (siteStaffRatio[location] || 100)));
+  return {utilization, level, staff};
+}
+
+/* -------------------------
+   COLUMNAR DATASET
+   - {length, locations, weathers, sources, columns}; location / weather / source
+     columns hold indices into those dictionaries
+   - time: UTC ms of the row's datetime; day: UTC days since epoch of its date
+   - temp10: temperature x10 (one decimal, exact); density: class index, -1 = unlabeled
+   - plain typed arrays, so a dataset moves between threads by transferring buffers
+   ------------------------- */
+const DATASET_COLUMNS = {
+  time: Float64Array, day: Int32Array, dow: Uint8Array, month: Uint8Array, hour: Uint8Array,
+  location: Uint16Array, weather: Uint8Array, temp10: Int16Array,
+  festival: Uint8Array, holiday: Uint8Array, footfall: Int32Array, density: Int8Array, source: Uint16Array
+};
+const DAY_MS = 86400000;
+
+function createDataset(n, {locations=[], weathers=[], sources=[]}={}){
+  const columns = {};
+  for (let [name, Type] of Object.entries(DATASET_COLUMNS)) columns[name] = new Type(n);
+  columns.density.fill(-1);
+  return {length: n, locations: locations.slice(), weathers: weathers.slice(), sources: sources.slice(), columns};
+}
+
+// the row table model.js trains on: row-object fields read straight from the columns
+const TABLE_FIELDS = {
+  location: (data, i)=>data.locations[data.columns.location[i]],
+  weather: (data, i)=>data.weathers[data.columns.weather[i]],
+  hour: (data, i)=>data.columns.hour[i],
+  month: (data, i)=>data.columns.month[i],
+  day_of_week: (data, i)=>data.columns.dow[i],
+  temperature: (data, i)=>data.columns.temp10[i] / 10,
+  is_festival: (data, i)=>data.columns.festival[i],
+  is_holiday: (data, i)=>data.columns.holiday[i],
+  footfall: (data, i)=>data.columns.footfall[i],
+  density_int: (data, i)=>data.columns.density[i] >= 0 ? data.columns.density[i] : undefined
+};
+
+function datasetTable(data){
+  return {length: data.length, get: (i, field)=>TABLE_FIELDS[field](data, i)};
+}
+
+// one row as the classic row object (CSV export, explorer)
+function datasetRow(data, i){
+  const c = data.columns;
+  const row = {
+    datetime: new Date(c.time[i]).toISOString(),
+    date: new Date(c.day[i] * DAY_MS).toISOString().slice(0,10),
+    day_of_week: c.dow[i],
+    month: c.month[i],
+    hour: c.hour[i],
+    location: data.locations[c.location[i]],
+    weather: data.weathers[c.weather[i]],
+    temperature: c.temp10[i] / 10,
+    is_festival: c.festival[i],
+    is_holiday: c.holiday[i],
+    footfall: c.footfall[i],
+    source: data.sources[c.source[i]]
+  };
+  if (c.density[i] >= 0){
+    row.density_label = DENSITY_LABELS[c.density[i]];
+    row.density_int = c.density[i];
+  }
+  return row;
+}
+
+function datasetRows(data, indices){
+  if (indices) return Array.from(indices, i=>datasetRow(data, i));
+  return Array.from({length: data.length}, (_, i)=>datasetRow(data, i));
+}
+
+function dictionaryIndex(dict, value){
+  let i = dict.indexOf(value);
+  if (i < 0){ dict.push(value); i = dict.length - 1; }
+  return i;
+}
+
+// row datetime -> UTC ms; datetimes without a zone are read as UTC like the rest of the app
+function rowTime(r){
+  const s = String(r.datetime || '').trim().replace(' ', 'T');
+  const t = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(s) ? s : s + 'Z');
+  return Number.isNaN(t) ? Date.parse(`${r.date}T${String(r.hour).padStart(2,'0')}:00:00Z`) : t;
+}
+
+// classic row objects (e.g. validated imports) -> columnar dataset
+function datasetFromRows(rows){
+  const data = createDataset(rows.length, {locations: LOCATIONS, weathers: Object.keys(weatherMultiplier)});
+  const c = data.columns;
+  rows.forEach((r, i)=>{
+    c.time[i] = rowTime(r);
+    c.day[i] = Date.parse(r.date + 'T00:00:00Z') / DAY_MS;
+    c.dow[i] = r.day_of_week;
+    c.month[i] = r.month;
+    c.hour[i] = r.hour;
+    c.location[i] = dictionaryIndex(data.locations, r.location);
+    c.weather[i] = dictionaryIndex(data.weathers, r.weather);
+    c.temp10[i] = Math.round(Number(r.temperature) * 10);
+    c.festival[i] = r.is_festival ? 1 : 0;
+    c.holiday[i] = r.is_holiday ? 1 : 0;
+    c.footfall[i] = r.footfall;
+    c.density[i] = r.density_int === undefined ? -1 : r.density_int;
+    c.source[i] = dictionaryIndex(data.sources, r.source);
+  });
+  return data;
+}
+
+// a then b; b's dictionary indices are remapped onto a's
+function concatDatasets(a, b){
+  const out = createDataset(a.length + b.length, a);
+  const remap = {
+    location: b.locations.map(v=>dictionaryIndex(out.locations, v)),
+    weather: b.weathers.map(v=>dictionaryIndex(out.weathers, v)),
+    source: b.sources.map(v=>dictionaryIndex(out.sources, v))
+  };
+  for (let name of Object.keys(DATASET_COLUMNS)){
+    const col = out.columns[name];
+    col.set(a.columns[name], 0);
+    if (remap[name]) for (let i=0;i<b.length;i++) col[a.length + i] = remap[name][b.columns[name][i]];
+    else col.set(b.columns[name], a.length);
+  }
+  return out;
+}
+
+function countImportedRows(data){
+  const synthetic = data.sources.indexOf('synthetic');
+  let n = 0;
+  for (let i=0;i<data.length;i++) if (data.columns.source[i] !== synthetic) n++;
+  return n;
+}
+
+// buffers to hand to postMessage's transfer list
+function datasetBuffers(data){
+  return Object.values(data.columns).map(c=>c.buffer);
+}
+
+/* -------------------------
+   SIMULATION SETTINGS
+   - rows: dataset size
+   - startDate / endDate: inclusive YYYY-MM-DD; null = the two years up to DATA_END_DATE
+   - hours: [from, to) window applied on top of each site's opening hours
+   - weather: 12 monthly {weather: weight} tables (Jan..Dec), normalized on use;
+     the defaults follow Mysore's seasons (hot Mar-May, south-west monsoon Jun-Sep,
+     north-east monsoon Oct-Nov)
+   - weatherPersistence: chance a day keeps the previous day's weather (the rest
+     redraw from the month's table, so monthly frequencies are unchanged)
+   - temperature: monthly mean °C, shifted by the day's weather (WEATHER_CLIMATE),
+     a day / night swing of ±diurnal peaking at 15:00, and a per-day anomaly of ±spread
+   - festivalRate: chance of an unlisted local festival on a day without a calendar festival
+   - locationWeights: {id: relative weight}; ids not listed weigh 1, 0 skips the site
+   - shape: 'samples' draws `rows` random slots; 'series' generates every open hour
+     of the date range for each site in time order (rows follow from the range,
+     location weights only include or skip sites), with the `series` settings on
+     top of the heuristic:
+       trend: growth per year (0.08 = +8 % a year, compounding)
+       weekly: footfall factor per weekday, Sun..Sat
+       persistence / dayNoise: AR(1) coefficient and spread of a per-site daily
+         level (a busy day tends to follow a busy day)
+       hourPersistence: AR(1) coefficient of the hourly noise
+   ------------------------- */
+const DEFAULT_TEMPERATURE_BY_MONTH = [22,23,25,27,28,28,27,27,26,25,24,23];
+const DEFAULT_WEATHER_BY_MONTH = [
+  {"Clear":0.70, "Cloudy":0.12, "Rain":0.02, "Hot":0.06, "Humid":0.10},
+  {"Clear":0.68, "Cloudy":0.10, "Rain":0.02, "Hot":0.12, "Humid":0.08},
+  {"Clear":0.55, "Cloudy":0.10, "Rain":0.04, "Hot":0.25, "Humid":0.06},
+  {"Clear":0.40, "Cloudy":0.12, "Rain":0.10, "Hot":0.30, "Humid":0.08},
+  {"Clear":0.30, "Cloudy":0.18, "Rain":0.20, "Hot":0.20, "Humid":0.12},
+  {"Clear":0.12, "Cloudy":0.30, "Rain":0.38, "Hot":0.02, "Humid":0.18},
+  {"Clear":0.08, "Cloudy":0.30, "Rain":0.45, "Hot":0.01, "Humid":0.16},
+  {"Clear":0.10, "Cloudy":0.30, "Rain":0.42, "Hot":0.01, "Humid":0.17},
+  {"Clear":0.15, "Cloudy":0.28, "Rain":0.37, "Hot":0.02, "Humid":0.18},
+  {"Clear":0.30, "Cloudy":0.25, "Rain":0.28, "Hot":0.02, "Humid":0.15},
+  {"Clear":0.50, "Cloudy":0.22, "Rain":0.12, "Hot":0.02, "Humid":0.14},
+  {"Clear":0.68, "Cloudy":0.16, "Rain":0.04, "Hot":0.02, "Humid":0.10}
+];
+// how each weather shifts the day's temperature (°C) and scales the day / night swing
+const WEATHER_CLIMATE = {
+  "Clear": {offset: 1.0, swing: 1.0},
+  "Cloudy": {offset: -1.0, swing: 0.6},
+  "Rain": {offset: -3.0, swing: 0.4},
+  "Hot": {offset: 4.0, swing: 1.1},
+  "Humid": {offset: 1.0, swing: 0.7}
+};
+const DEFAULT_SIMULATION = {
+  rows: 50000,
+  startDate: null,
+  endDate: null,
+  hours: [0, 24],
+  weather: DEFAULT_WEATHER_BY_MONTH.map(table=>({...table})),
+  weatherPersistence: 0.6,
+  temperature: {monthly: DEFAULT_TEMPERATURE_BY_MONTH.slice(), diurnal: 5, spread: 2},
+  festivalRate: 0.02,
+  locationWeights: {},
+  shape: 'samples',
+  series: {trend: 0.08, weekly: [1.25, 0.85, 0.85, 0.9, 0.95, 1.05, 1.3], persistence: 0.7, dayNoise: 0.12, hourPersistence: 0.5}
+};
+const SIMULATION_SHAPES = ['samples', 'series'];
+const MAX_SIMULATION_ROWS = 2000000;
+const MAX_SIMULATION_DAYS = 7320; // ~20 years of daily weather
+
+let SIMULATION = null;
+
+function applySimulation(settings){
+  SIMULATION = settings;
+}
+
+// validate + normalize settings from the panel / a JSON file; throws with a readable message
+function validateSimulation(raw){
+  const num = (v, what, min, max)=>{
+    const n = Number(v);
+    if (v === '' || v === null || v === undefined || !Number.isFinite(n) || n < min || n > max) throw new Error(`${what} must be a number between ${min} and ${max}.`);
+    return n;
+  };
+  const date = (v, what)=>{
+    if (v === '' || v === null || v === undefined) return null;
+    if (!isValidISODate(String(v))) throw new Error(`${what} must be a YYYY-MM-DD date.`);
+    return String(v);
+  };
+  const rows = num(raw.rows, 'Rows', 1000, MAX_SIMULATION_ROWS);
+  if (!Number.isInteger(rows)) throw new Error('Rows must be a whole number.');
+  const startDate = date(raw.startDate, 'Start date');
+  const endDate = date(raw.endDate, 'End date');
+  if (startDate && endDate && startDate > endDate) throw new Error('Start date must not be after the end date.');
+  const hours = Array.isArray(raw.hours) ? raw.hours : [0, 24];
+  const from = num(hours[0], 'First hour', 0, 23), to = num(hours[1], 'Hour window end', 1, 24);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from >= to) throw new Error('Hour window must be whole hours with from < to.');
+
+  const weathers = Object.keys(weatherMultiplier);
+  if (!Array.isArray(raw.weather) || raw.weather.length !== 12) throw new Error('Weather needs one table per month (12).');
+  const weather = raw.weather.map((table, m)=>{
+    const month = MONTH_NAMES[m];
+    for (let k of Object.keys(table || {})) if (!weathers.includes(k)) throw new Error(`${month}: unknown weather "${k}".`);
+    const out = {};
+    for (let w of weathers) out[w] = table[w] === undefined || table[w] === '' ? 0 : num(table[w], `${month} ${w} weight`, 0, 1e6);
+    if (!weathers.some(w=>out[w] > 0)) throw new Error(`${month}: at least one weather weight must be positive.`);
+    return out;
+  });
+
+  const temp = raw.temperature || {};
+  if (!Array.isArray(temp.monthly) || temp.monthly.length !== 12) throw new Error('Temperature needs one monthly mean per month (12).');
+  // settings saved before diurnal / persistence existed take the defaults
+  const temperature = {
+    monthly: temp.monthly.map((t, m)=>num(t, `${MONTH_NAMES[m]} mean temperature`, -10, 50)),
+    diurnal: num(temp.diurnal ?? DEFAULT_SIMULATION.temperature.diurnal, 'Day / night swing', 0, 15),
+    spread: num(temp.spread, 'Temperature spread', 0, 20)
+  };
+  const weatherPersistence = num(raw.weatherPersistence ?? DEFAULT_SIMULATION.weatherPersistence, 'Weather persistence', 0, 0.95);
+  const festivalRate = num(raw.festivalRate, 'Festival rate', 0, 1);
+
+  const locationWeights = {};
+  for (let [id, w] of Object.entries(raw.locationWeights || {})){
+    const n = num(w, `Weight for ${id}`, 0, 1e6);
+    if (n !== 1) locationWeights[id] = n;
+  }
+  // settings saved before time series existed generate random samples
+  const shape = raw.shape ?? 'samples';
+  if (!SIMULATION_SHAPES.includes(shape)) throw new Error(`Dataset shape must be one of ${SIMULATION_SHAPES.join(', ')}.`);
+  const ser = {...DEFAULT_SIMULATION.series, ...raw.series};
+  if (!Array.isArray(ser.weekly) || ser.weekly.length !== 7) throw new Error('Weekly pattern needs one factor per weekday (7).');
+  const series = {
+    trend: num(ser.trend, 'Trend per year', -0.9, 2),
+    weekly: ser.weekly.map((f, d)=>num(f, `${DAY_NAMES[d]} factor`, 0, 10)),
+    persistence: num(ser.persistence, 'Day-to-day persistence', 0, 0.99),
+    dayNoise: num(ser.dayNoise, 'Daily level spread', 0, 1),
+    hourPersistence: num(ser.hourPersistence, 'Hour-to-hour persistence', 0, 0.99)
+  };
+  return {rows, startDate, endDate, hours: [from, to], weather, weatherPersistence, temperature, festivalRate, locationWeights, shape, series};
+}
+
+// expected temperature for a month, weather and (optional) hour, before the daily anomaly
+function typicalTemperature(month, weather, hour, sim=SIMULATION){
+  const climate = WEATHER_CLIMATE[weather] || {offset: 0, swing: 1};
+  const swing = hour === undefined ? 0 : sim.temperature.diurnal * climate.swing * Math.cos(2 * Math.PI * (hour - 15) / 24);
+  return sim.temperature.monthly[month-1] + climate.offset + swing;
+}
+
+// the generated days as [startDay, startDay + days) in UTC days since epoch
+function simulationRange(sim=SIMULATION){
+  const end = Date.parse((sim.endDate || DATA_END_DATE) + 'T00:00:00Z') / DAY_MS;
+  let start;
+  if (sim.startDate) start = Date.parse(sim.startDate + 'T00:00:00Z') / DAY_MS;
+  else {
+    const [y, m, d] = (sim.endDate || DATA_END_DATE).split('-').map(Number);
+    start = Date.UTC(y-2, m-1, d) / DAY_MS + 1;
+  }
+  return {startDay: start, days: end - start + 1};
+}
+
+// cumulative weights -> index of the drawn entry
+function pickCumulative(cum){
+  const r = rng() * cum[cum.length - 1];
+  let i = 0;
+  while (i < cum.length - 1 && r >= cum[i]) i++;
+  return i;
+}
+
+function cumulative(weights){
+  let sum = 0;
+  return weights.map(w=>(sum += w));
+}
+
+function drawWeather(month, sim=SIMULATION){
+  const names = Object.keys(weatherMultiplier);
+  return names[pickCumulative(cumulative(names.map(w=>sim.weather[month-1][w])))];
+}
+
+// sites with a positive weight and their open hours per weekday inside the hour window
+function simulationSlots(sim=SIMULATION){
+  const locations = LOCATIONS.filter(id=>(sim.locationWeights[id] ?? 1) > 0);
+  const [from, to] = sim.hours;
+  const slots = {};
+  for (let id of locations) slots[id] = LOCATION_DAY_SLOTS[id].map(day=>day.filter(h=>h >= from && h < to));
+  return {locations, slots};
+}
+
+// rows one run generates: `rows` samples, or every open hour of the range for a time series
+function simulationRows(sim=SIMULATION){
+  if (sim.shape !== 'series') return sim.rows;
+  const {locations, slots} = simulationSlots(sim);
+  const range = simulationRange(sim);
+  const perDow = [0, 1, 2, 3, 4, 5, 6].map(dow=>locations.reduce((n, id)=>n + slots[id][dow].length, 0));
+  let n = 0;
+  for (let k=0;k<range.days;k++) n += perDow[(range.startDay + k + 4) % 7];
+  return n;
+}
+
+// precomputed draw tables for one generation run; throws when nothing can be generated
+function createSampler(sim){
+  const {locations, slots} = simulationSlots(sim);
+  const range = simulationRange(sim);
+  if (range.days < 1) throw new Error('The date range is empty (start date after the end date).');
+  if (range.days > MAX_SIMULATION_DAYS) throw new Error(`The date range is limited to ${MAX_SIMULATION_DAYS.toLocaleString()} days.`);
+  const dows = new Set();
+  for (let k=0; k<Math.min(range.days, 7); k++) dows.add((range.startDay + k + 4) % 7);
+  if (!locations.some(id=>slots[id].some((day, dow)=>day.length && dows.has(dow)))){
+    throw new Error('No location is open within the chosen dates and hour window.');
+  }
+  const weathers = Object.keys(weatherMultiplier);
+  const weatherCum = sim.weather.map(table=>cumulative(weathers.map(w=>table[w])));
+
+  // one weather + temperature anomaly per day for the whole region: a Markov chain
+  // that keeps yesterday's weather with probability weatherPersistence
+  const dayWeather = new Uint8Array(range.days);
+  const dayAnomaly = new Float64Array(range.days);
+  for (let k=0;k<range.days;k++){
+    const month = new Date((range.startDay + k) * DAY_MS).getUTCMonth();
+    dayWeather[k] = k > 0 && rng() < sim.weatherPersistence ? dayWeather[k-1] : pickCumulative(weatherCum[month]);
+    dayAnomaly[k] = (rng()*2-1) * sim.temperature.spread;
+  }
+  const sampler = {
+    sim, range, locations, slots, weathers, dayWeather, dayAnomaly,
+    rows: simulationRows(sim),
+    locationCum: cumulative(locations.map(id=>sim.locationWeights[id] ?? 1)),
+    series: null
+  };
+  if (sim.shape === 'series'){
+    if (sampler.rows > MAX_SIMULATION_ROWS) throw new Error(`The time series would have ${sampler.rows.toLocaleString()} rows; the limit is ${MAX_SIMULATION_ROWS.toLocaleString()} (shorten the dates or the hour window).`);
+    sampler.series = createSeriesState(sim, locations, range);
+  }
+  return sampler;
+}
+
+/* -------------------------
+   DATASET GENERATOR
+   - one row: a day in range, a weighted location open that day, an open hour
+     inside the hour window; weather is the day's, temperature follows
+     month, weather and hour
+   ------------------------- */
+function generateChunk(data, from, n, sampler){
+  if (sampler.series) return generateSeriesChunk(data, from, n, sampler);
+  const {sim, range, locations, slots, weathers, dayWeather, dayAnomaly, locationCum} = sampler;
+  const c = data.columns;
+  for (let i=from;i<from+n;i++){
+    // redraw until the location is open that day (closure days)
+    let day, dow, location, open;
+    do {
+      day = range.startDay + Math.floor(rng()*range.days);
+      dow = (day + 4) % 7; // 1970-01-01 was a Thursday
+      location = locations[pickCumulative(locationCum)];
+      open = slots[location][dow];
+    } while (open.length === 0);
+    const hour = open[Math.floor(rng()*open.length)];
+    const dt = new Date(day * DAY_MS + hour * 3600000);
+    const month = dt.getUTCMonth()+1;
+    const dateStr = dt.toISOString().slice(0,10);
+    const weather = weathers[dayWeather[day - range.startDay]];
+    const temp = typicalTemperature(month, weather, hour, sim) + dayAnomaly[day - range.startDay];
+    // calendar events, plus a small chance of an unlisted local festival
+    const cal = calendarFlags(dateStr, location, dow);
+    const is_festival = cal.is_festival ? 1 : (rng() < sim.festivalRate ? 1 : 0);
+    const footfall = computeFootfallSample({location,hour,weather,temp,is_festival,is_holiday:cal.is_holiday,day_of_week:dow,
+      festival_intensity: cal.festival_intensity, holiday_intensity: cal.holiday_intensity});
+
+    c.time[i] = dt.getTime();
+    c.day[i] = day;
+    c.dow[i] = dow;
+    c.month[i] = month;
+    c.hour[i] = hour;
+    c.location[i] = dictionaryIndex(data.locations, location);
+    c.weather[i] = dictionaryIndex(data.weathers, weather);
+    c.temp10[i] = Math.round(Number(temp.toFixed(1)) * 10);
+    c.festival[i] = is_festival;
+    c.holiday[i] = cal.is_holiday;
+    c.footfall[i] = footfall;
+    c.source[i] = dictionaryIndex(data.sources, 'synthetic');
+  }
+}
+
+/* -------------------------
+   TIME-SERIES GENERATOR (shape: 'series')
+   - rows go site by site, each site's days and open hours in time order, so
+     chunks must run in sequence: the cursor and the AR(1) noise live in the sampler
+   - the per-site daily levels and unlisted festivals are drawn up front
+   ------------------------- */
+function createSeriesState(sim, locations, range){
+  const {persistence, dayNoise} = sim.series;
+  const innovation = Math.sqrt(1 - persistence * persistence);
+  const levels = [], festivals = [];
+  for (let l=0;l<locations.length;l++){
+    const level = new Float64Array(range.days);
+    const festival = new Uint8Array(range.days);
+    for (let k=0;k<range.days;k++){
+      level[k] = k === 0 ? gaussianRandom(0, dayNoise) : persistence * level[k-1] + innovation * gaussianRandom(0, dayNoise);
+      festival[k] = rng() < sim.festivalRate ? 1 : 0;
+    }
+    levels.push(level);
+    festivals.push(festival);
+  }
+  return {levels, festivals, cursor: {l: 0, k: 0, h: 0, noise: null}};
+}
+
+function generateSeriesChunk(data, from, n, sampler){
+  const {sim, range, locations, slots, weathers, dayWeather, dayAnomaly, series} = sampler;
+  const {trend, weekly, hourPersistence} = sim.series;
+  const cur = series.cursor;
+  const c = data.columns;
+  for (let i=from;i<from+n;i++){
+    // next open slot: later today, else the next open day, else the next site
+    let open;
+    for (;;){
+      open = slots[locations[cur.l]][(range.startDay + cur.k + 4) % 7];
+      if (cur.h < open.length) break;
+      cur.h = 0;
+      if (++cur.k === range.days){ cur.k = 0; cur.l++; cur.noise = null; }
+    }
+    const location = locations[cur.l];
+    const day = range.startDay + cur.k;
+    const dow = (day + 4) % 7;
+    const hour = open[cur.h];
+    const dt = new Date(day * DAY_MS + hour * 3600000);
+    const month = dt.getUTCMonth()+1;
+    const weather = weathers[dayWeather[cur.k]];
+    const temp = typicalTemperature(month, weather, hour, sim) + dayAnomaly[cur.k];
+    const cal = calendarFlags(dt.toISOString().slice(0,10), location, dow);
+    const is_festival = cal.is_festival ? 1 : series.festivals[cur.l][cur.k];
+    const expected = expectedFootfall({location,hour,weather,temp,is_festival,is_holiday:cal.is_holiday,day_of_week:dow,
+      festival_intensity: cal.festival_intensity, holiday_intensity: cal.holiday_intensity});
+    const season = Math.pow(1 + trend, cur.k / 365) * weekly[dow] * Math.max(0, 1 + series.levels[cur.l][cur.k]);
+    // same noise spread as computeFootfallSample, correlated from one open hour to the next
+    const noiseStd = (baseScale[location] || 200) * 0.15;
+    cur.noise = cur.noise === null ? gaussianRandom(0, noiseStd)
+      : hourPersistence * cur.noise + Math.sqrt(1 - hourPersistence * hourPersistence) * gaussianRandom(0, noiseStd);
+
+    c.time[i] = dt.getTime();
+    c.day[i] = day;
+    c.dow[i] = dow;
+    c.month[i] = month;
+    c.hour[i] = hour;
+    c.location[i] = dictionaryIndex(data.locations, location);
+    c.weather[i] = dictionaryIndex(data.weathers, weather);
+    c.temp10[i] = Math.round(Number(temp.toFixed(1)) * 10);
+    c.festival[i] = is_festival;
+    c.holiday[i] = cal.is_holiday;
+    c.footfall[i] = Math.max(0, Math.round(expected * season + cur.noise));
+    c.source[i] = dictionaryIndex(data.sources, 'synthetic');
+    cur.h++;
+  }
+}
+
+function syntheticDataset(n){
+  return createDataset(n, {locations: LOCATIONS, weathers: Object.keys(weatherMultiplier), sources: ['synthetic']});
+}
+
+// whole dataset in one go (the generate job does the same in chunks)
+function generateDataset(sim=SIMULATION){
+  const sampler = createSampler(sim);
+  const data = syntheticDataset(sampler.rows);
+  generateChunk(data, 0, sampler.rows, sampler);
+  return data;
+}
+
+/* -------------------------
+   DENSITY LABELING
+   - global: quartiles of all footfall, so big sites are nearly always "Very_High"
+   - location: each site's own quartiles (busy for that site)
+   - capacity: people per m² of visitor area against fixed thresholds
+     (footfall per hour is taken as the number of people on site)
+   - labelDataset() fills the density column in place and returns
+     {mode, q1, q2, q3, cutoffs: {id: [low, medium, high]}}: the global quartiles
+     plus the footfall upper bounds actually used per location
+   ------------------------- */
+const LABEL_MODES = {global: 'Global quartiles', location: 'Per-location quartiles', capacity: 'Capacity (people / m²)'};
+const DEFAULT_LABELING = {mode: 'global', thresholds: [0.5, 1, 2]};
+
+let LABELING = null;
+
+function applyLabeling(labeling){
+  LABELING = labeling;
+}
+
+// normalize labeling settings; throws with a readable message
+function validateLabeling(raw){
+  if (!raw || typeof raw !== 'object') throw new Error('Labeling settings must be an object.');
+  const mode = raw.mode === undefined ? DEFAULT_LABELING.mode : raw.mode;
+  if (!(mode in LABEL_MODES)) throw new Error(`Unknown labeling mode "${mode}" (use ${Object.keys(LABEL_MODES).join(', ')}).`);
+  const thresholds = raw.thresholds === undefined ? DEFAULT_LABELING.thresholds : raw.thresholds;
+  if (!Array.isArray(thresholds) || thresholds.length !== 3) throw new Error('Capacity thresholds need three values (Low / Medium / High upper bounds).');
+  const t = thresholds.map(Number);
+  if (!t.every(v=>Number.isFinite(v) && v > 0)) throw new Error('Capacity thresholds must be positive numbers of people per m².');
+  if (!(t[0] < t[1] && t[1] < t[2])) throw new Error('Capacity thresholds must increase (Low < Medium < High).');
+  return {mode, thresholds: t};
+}
+
+// linear interpolation between order statistics (quantileSorted in model.js)
+function quartilesOf(sorted){
+  return [quantileSorted(sorted, 0.25), quantileSorted(sorted, 0.50), quantileSorted(sorted, 0.75)];
+}
+
+// footfall values of each location dictionary entry, unsorted
+function footfallByLocation(data){
+  const c = data.columns;
+  const counts = new Int32Array(data.locations.length);
+  for (let i=0;i<data.length;i++) counts[c.location[i]]++;
+  const buckets = Array.from(counts, k=>new Int32Array(k));
+  const fill = new Int32Array(data.locations.length);
+  for (let i=0;i<data.length;i++){
+    const l = c.location[i];
+    buckets[l][fill[l]++] = c.footfall[i];
+  }
+  return buckets;
+}
+
+function labelDataset(data, labeling=LABELING){
+  const n = data.length;
+  const c = data.columns;
+  const [q1, q2, q3] = n ? quartilesOf(c.footfall.slice().sort()) : [0, 0, 0];
+  const byIndex = data.locations.map(()=>[q1, q2, q3]);
+  if (labeling.mode === 'location'){
+    footfallByLocation(data).forEach((items, l)=>{ if (items.length) byIndex[l] = quartilesOf(items.sort()); });
+  } else if (labeling.mode === 'capacity'){
+    data.locations.forEach((loc, l)=>{ if (siteArea[loc]) byIndex[l] = labeling.thresholds.map(t=>t * siteArea[loc]); });
+  }
+
+  const footfall = c.footfall, density = c.density;
+  for (let i=0;i<n;i++){
+    const f = footfall[i];
+    const [a, b, q] = byIndex[c.location[i]];
+    density[i] = f <= a ? 0 : f <= b ? 1 : f <= q ? 2 : 3;
+  }
+  const cutoffs = {};
+  data.locations.forEach((loc, l)=>{ cutoffs[loc] = byIndex[l]; });
+  return {mode: labeling.mode, q1, q2, q3, cutoffs};
+}
+
+// 0..3 for a footfall value under labelDataset()'s result; sites without dataset
+// rows fall back to their capacity (capacity mode) or the global quartiles
+function densityClass(footfall, location, labels){
+  let bounds = labels.cutoffs[location];
+  if (!bounds && labels.mode === 'capacity' && siteArea[location]) bounds = LABELING.thresholds.map(t=>t * siteArea[location]);
+  const [a, b, q] = bounds || [labels.q1, labels.q2, labels.q3];
+  return footfall <= a ? 0 : footfall <= b ? 1 : footfall <= q ? 2 : 3;
+}
+
+/* -------------------------
+   PER-LOCATION STATS (quartiles & top hours)
+   - one pass to bucket rows per location, then a sort per location
+   ------------------------- */
+function computeLocationStats(data){
+  const c = data.columns;
+  const nLoc = data.locations.length;
+  const buckets = footfallByLocation(data);
+  const hourSum = new Float64Array(nLoc * 24), hourCount = new Int32Array(nLoc * 24);
+  const sourceCount = new Int32Array(nLoc * data.sources.length);
+  for (let i=0;i<data.length;i++){
+    const l = c.location[i];
+    hourSum[l*24 + c.hour[i]] += c.footfall[i];
+    hourCount[l*24 + c.hour[i]]++;
+    sourceCount[l*data.sources.length + c.source[i]]++;
+  }
+
+  const stats = {};
+  for (let loc of LOCATIONS){
+    const l = data.locations.indexOf(loc);
+    if (l < 0 || buckets[l].length === 0){
+      stats[loc] = {q1:0,q2:0,q3:0,topHours:[],sources:{}};
+      continue;
+    }
+    const [q1, q2, q3] = quartilesOf(buckets[l].sort());
+    // busiest hours for this location (average footfall per hour)
+    const avgPerHour = [];
+    for (let h=0;h<24;h++){
+      if (hourCount[l*24+h]) avgPerHour.push({hour: h, avg: Math.round(hourSum[l*24+h] / hourCount[l*24+h])});
+    }
+    avgPerHour.sort((a,b)=>b.avg - a.avg);
+    const sources = {}; // row count per source tag
+    data.sources.forEach((tag, s)=>{ if (sourceCount[l*data.sources.length + s]) sources[tag] = sourceCount[l*data.sources.length + s]; });
+    stats[loc] = {q1,q2,q3,topHours:avgPerHour.slice(0,5),sources};
+  }
+  return stats;
+}
+
+/* -------------------------
+   DATASET PROFILES (analytics charts)
+   - datasetProfiles(data) aggregates footfall per location and for all
+     locations together (key ALL_SITES):
+       boxes[id]     {n, min, q1, median, q3, max, mean, low, high, outliers}, null without rows
+                     (low / high = furthest values within 1.5 × IQR of the box, Tukey whiskers)
+       hour[id]      24 hourly means
+       weekday[id]   7 means, Sunday first (day_of_week)
+       monthHour[id] 12 × 24 means, January first
+       weather[id]   {weather: mean} for every weather type in the dataset
+     means are null where no row falls in the slot
+   ------------------------- */
+const ALL_SITES = '*';
+
+function boxStats(sorted){
+  const n = sorted.length;
+  if (!n) return null;
+  const [q1, median, q3] = quartilesOf(sorted);
+  const fence = 1.5 * (q3 - q1);
+  let low = sorted[0], high = sorted[n-1], outliers = 0, sum = 0;
+  for (let i=0;i<n;i++){
+    sum += sorted[i];
+    if (sorted[i] < q1 - fence || sorted[i] > q3 + fence) outliers++;
+  }
+  for (let i=0;i<n;i++) if (sorted[i] >= q1 - fence){ low = sorted[i]; break; }
+  for (let i=n-1;i>=0;i--) if (sorted[i] <= q3 + fence){ high = sorted[i]; break; }
+  return {n, min: sorted[0], q1, median, q3, max: sorted[n-1], mean: sum / n, low, high, outliers};
+}
+
+function datasetProfiles(data){
+  const c = data.columns;
+  const nLoc = data.locations.length, nW = data.weathers.length;
+  const scopes = nLoc + 1; // last scope = all locations
+  const acc = (size)=>({sum: new Float64Array(scopes * size), n: new Int32Array(scopes * size), size});
+  const hour = acc(24), weekday = acc(7), monthHour = acc(288), weather = acc(nW);
+  const add = (a, s, k, f)=>{ a.sum[s*a.size + k] += f; a.n[s*a.size + k]++; };
+  for (let i=0;i<data.length;i++){
+    const f = c.footfall[i], h = c.hour[i], mh = (c.month[i] - 1) * 24 + h;
+    for (let s of [c.location[i], nLoc]){
+      add(hour, s, h, f);
+      add(weekday, s, c.dow[i], f);
+      add(monthHour, s, mh, f);
+      add(weather, s, c.weather[i], f);
+    }
+  }
+  const means = (a, s)=>Array.from({length: a.size}, (_, k)=>a.n[s*a.size + k] ? a.sum[s*a.size + k] / a.n[s*a.size + k] : null);
+
+  const buckets = footfallByLocation(data);
+  const all = c.footfall.slice().sort();
+  const out = {boxes: {}, hour: {}, weekday: {}, monthHour: {}, weather: {}};
+  const ids = [...data.locations, ALL_SITES];
+  ids.forEach((id, s)=>{
+    out.boxes[id] = boxStats(s === nLoc ? all : buckets[s].sort());
+    out.hour[id] = means(hour, s);
+    out.weekday[id] = means(weekday, s);
+    const mh = means(monthHour, s);
+    out.monthHour[id] = Array.from({length: 12}, (_, m)=>mh.slice(m*24, m*24 + 24));
+    const w = means(weather, s);
+    out.weather[id] = {};
+    data.weathers.forEach((name, k)=>{ out.weather[id][name] = w[k]; });
+  });
+  return out;
+}
+
+/* -------------------------
+   TIME-SERIES FORECAST (Holt-Winters in model.js)
+   - dailySeries(data, location): daily footfall totals of one site, first to last
+     day with rows; needs an hourly time series (simulation shape 'series' or an
+     import like it): at most one row per site and hour, days complete
+   - days the site is closed count as 0; up to 10 % of open days may be missing,
+     each filled with the same weekday a week earlier
+   - forecastLocation(data, location, {horizon}): backtest on the last `horizon`
+     days, then the next `horizon` days after the series, closed days pinned to 0
+   ------------------------- */
+const MAX_SERIES_GAPS = 0.1;
+
+function openSlotsOn(location, dow, sim=SIMULATION){
+  const [from, to] = sim.hours;
+  return (LOCATION_DAY_SLOTS[location] ? LOCATION_DAY_SLOTS[location][dow] : []).filter(h=>h >= from && h < to);
+}
+
+function dailySeries(data, location){
+  const c = data.columns, l = data.locations.indexOf(location);
+  let first = Infinity, last = -Infinity;
+  for (let i=0;i<data.length;i++) if (c.location[i] === l){ first = Math.min(first, c.day[i]); last = Math.max(last, c.day[i]); }
+  if (first > last) throw new Error(`No rows for ${location}.`);
+  const days = last - first + 1;
+  const totals = new Float64Array(days), hoursSeen = new Uint32Array(days), rows = new Uint8Array(days);
+  for (let i=0;i<data.length;i++){
+    if (c.location[i] !== l) continue;
+    const k = c.day[i] - first, bit = 1 << c.hour[i];
+    if (hoursSeen[k] & bit) throw new Error(`${location} has several rows for one hour, so the dataset is not an hourly time series (Simulation Settings → Dataset shape: Hourly time series).`);
+    hoursSeen[k] |= bit;
+    rows[k]++;
+    totals[k] += c.footfall[i];
+  }
+  let openDays = 0, partial = 0, filled = 0;
+  for (let k=0;k<days;k++){
+    const open = openSlotsOn(location, (first + k + 4) % 7).length;
+    if (!open) continue;
+    openDays++;
+    if (rows[k] === 0){
+      totals[k] = k >= 7 ? totals[k-7] : 0;
+      filled++;
+    } else if (rows[k] < open) partial++;
+  }
+  if (partial + filled > MAX_SERIES_GAPS * openDays){
+    throw new Error(`${location}: ${partial + filled} of ${openDays} open days are missing hours, so the dataset is not an hourly time series (Simulation Settings → Dataset shape: Hourly time series).`);
+  }
+  return {location, startDay: first, totals, filled};
+}
+
+function forecastLocation(data, location, {horizon=14}={}){
+  const series = dailySeries(data, location);
+  const {startDay, totals} = series;
+  const closed = (day)=>openSlotsOn(location, (day + 4) % 7).length === 0;
+  const pin = (values, fromDay)=>values.map((v, j)=>closed(fromDay + j) ? 0 : Math.max(0, v));
+
+  const backtest = backtestForecast(totals, horizon);
+  const backtestDay = startDay + backtest.split;
+  const predicted = pin(backtest.forecast.mean, backtestDay);
+  backtest.forecast = {mean: predicted, low: pin(backtest.forecast.low, backtestDay), high: pin(backtest.forecast.high, backtestDay)};
+  backtest.errors = {holtWinters: forecastErrors(backtest.actual, predicted), seasonalNaive: forecastErrors(backtest.actual, backtest.naive)};
+
+  const fit = fitHoltWinters(Array.from(totals));
+  const raw = forecastHoltWinters(fit, horizon);
+  const nextDay = startDay + totals.length;
+  const forecast = {startDay: nextDay, mean: pin(raw.mean, nextDay), low: pin(raw.low, nextDay), high: pin(raw.high, nextDay)};
+  return {...series, horizon, backtest: {...backtest, startDay: backtestDay}, forecast, params: fit.params, sigma: fit.sigma};
+}
+
+/* -------------------------
+   ENGINE JOBS
+   - generate: {config, seed}       -> {data, quartiles, perLocation, rngState}
+   - stats:    {config, data}       -> {density, quartiles, perLocation}
+   - train:    {config, data, seed} -> {model, report}; draws from trainingSeed(seed)
+   - scenarios: {config, seed, scenarios: [scenario | null], labels} -> {results: [scenarioSummary]}
+   - onProgress({stage, fraction, message}); setting signal.cancelled stops the
+     job at its next checkpoint with a CancelledError
+   ------------------------- */
+const GENERATE_CHUNK = 5000;
+
+function cancelledError(){
+  const err = new Error('Cancelled');
+  err.name = 'CancelledError';
+  return err;
+}
+
+// yield to the event loop (lets a worker receive "cancel"), then honour it
+async function checkpoint(signal){
+  await new Promise(res => setTimeout(res, 0));
+  if (signal.cancelled) throw cancelledError();
+}
+
+async function runEngineJob(type, payload, {onProgress=()=>{}, signal={cancelled:false}}={}){
+  configureEngine(payload.config);
+  if (type === 'generate'){
+    setSeed(payload.seed);
+    const sampler = createSampler(SIMULATION);
+    const n = sampler.rows;
+    const data = syntheticDataset(n);
+    for (let done=0; done<n; ){
+      const k = Math.min(GENERATE_CHUNK, n - done);
+      generateChunk(data, done, k, sampler);
+      done += k;
+      onProgress({stage:'generate', fraction: 0.9 * done / n, message:`${done.toLocaleString()} / ${n.toLocaleString()}`});
+      await checkpoint(signal);
+    }
+    onProgress({stage:'stats', fraction: 0.9, message:'Labeling...'});
+    const quartiles = labelDataset(data);
+    const perLocation = computeLocationStats(data);
+    return {data, quartiles, perLocation, rngState};
+  }
+  if (type === 'stats'){
+    const {data} = payload;
+    onProgress({stage:'stats', fraction: 0, message:'Labeling...'});
+    const quartiles = labelDataset(data);
+    await checkpoint(signal);
+    const perLocation = computeLocationStats(data);
+    return {density: data.columns.density, quartiles, perLocation};
+  }
+  if (type === 'scenarios'){
+    // every scenario regenerates from the same seed, so rows, weather and noise draws
+    // line up and only the overridden factors differ; the page's seed is left alone
+    const {seed, scenarios, labels} = payload;
+    const n = simulationRows(SIMULATION);
+    const saved = {seed: SEED, state: rngState};
+    const data = syntheticDataset(n);
+    const results = [];
+    try {
+      for (let k=0; k<scenarios.length; k++){
+        setSeed(seed);
+        const sampler = createSampler(SIMULATION);
+        for (let done=0; done<n; ){
+          const size = Math.min(GENERATE_CHUNK, n - done);
+          withScenario(scenarios[k], ()=>generateChunk(data, done, size, sampler));
+          done += size;
+          onProgress({stage:'scenarios', fraction: (k + done / n) / scenarios.length,
+            message: `${scenarios[k] ? scenarios[k].name : 'Baseline'}: ${done.toLocaleString()} / ${n.toLocaleString()}`});
+          await checkpoint(signal);
+        }
+        results.push(scenarioSummary(data, labels));
+      }
+    } finally {
+      SEED = saved.seed;
+      rngState = saved.state;
+    }
+    return {results};
+  }
+  if (type === 'train'){
+    // the page's stream is left where it was (the job may run on the page's thread)
+    const saved = {seed: SEED, state: rngState};
+    rngState = trainingSeed(payload.seed);
+    try {
+      // no row objects: at millions of rows they would cost more than the encoded features
+      const table = datasetTable(payload.data);
+      const model = await trainModels(table, {
+        locations: LOCATIONS,
+        weathers: Object.keys(weatherMultiplier),
+        random: rng,
+        onProgress: (p)=>{
+          if (signal.cancelled) throw cancelledError();
+          onProgress(p);
+        }
+      });
+      const report = evaluateModel(model, table, model.split.valIdx, LOCATIONS);
+      return {model, report};
+    } finally {
+      SEED = saved.seed;
+      rngState = saved.state;
+    }
+  }
+  throw new Error(`Unknown engine job "${type}"`);
+}
+
+// buffers a job result can hand back without copying
+function jobTransferList(result){
+  if (result.data) return datasetBuffers(result.data);
+  if (result.density) return [result.density.buffer];
+  return [];
+}
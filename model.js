@@ -0,0 +1,592 @@
+/* model.js
+   In-browser model training for the crowd density predictor.
+   DOM-free: everything works on plain row objects / typed arrays.
+   Training and evaluation read rows through a row table {length, get(i, field)},
+   so a caller can serve fields straight from typed-array columns (datasetTable()
+   in engine.js) instead of building an object per row; a plain array of row
+   objects works too.
+
+   Models:
+   - Ridge regression on log1p(footfall), solved in closed form
+     (back-transformed with Duan's smearing factor so predictions aren't biased low;
+     P10 / P90 of validation residuals give a prediction interval)
+   - Multinomial logistic (softmax) classifier for density_int, mini-batch SGD
+
+   Features: bias, one-hot location / weather / hour, plus standardized
+   month, day_of_week, temperature and the festival / holiday flags.
+
+   A trained model round-trips through JSON (modelToJSON / modelFromJSON) with
+   named feature columns, so it can be reused without retraining or in Python.
+*/
+
+const DENSITY_LABELS = ["Low","Medium","High","Very_High"];
+const NUMERIC_FEATURES = ["month","day_of_week","temperature","is_festival","is_holiday"];
+
+/* -------------------------
+   FEATURE ENCODING
+   ------------------------- */
+function rowTable(rows){
+  return Array.isArray(rows) ? {length: rows.length, get: (i, f)=>rows[i][f]} : rows;
+}
+
+// means / stds come from table rows at `indices` (the training split)
+function createFeatureEncoder(table, indices, {locations, weathers, hours}){
+  const means = [], stds = [];
+  for (let f of NUMERIC_FEATURES){
+    let sum = 0, sumSq = 0;
+    for (let i of indices){
+      const v = Number(table.get(i, f)) || 0;
+      sum += v;
+      sumSq += v*v;
+    }
+    const n = Math.max(indices.length, 1);
+    const mean = sum / n;
+    const std = Math.sqrt(Math.max(sumSq / n - mean*mean, 0));
+    means.push(mean);
+    stds.push(std > 1e-9 ? std : 1);
+  }
+  // column layout: [bias | locations | weathers | hours | numeric]
+  const size = 1 + locations.length + weathers.length + hours.length + NUMERIC_FEATURES.length;
+  return {locations: locations.slice(), weathers: weathers.slice(), hours: hours.slice(), numeric: NUMERIC_FEATURES.slice(), means, stds, size};
+}
+
+// write table row i into out[offset .. offset+enc.size); unknown categories encode as all-zero
+function encodeTableRow(enc, table, i, out, offset=0){
+  out.fill(0, offset, offset + enc.size);
+  out[offset] = 1;
+  let col = offset + 1;
+  const li = enc.locations.indexOf(table.get(i, 'location'));
+  if (li >= 0) out[col + li] = 1;
+  col += enc.locations.length;
+  const wi = enc.weathers.indexOf(table.get(i, 'weather'));
+  if (wi >= 0) out[col + wi] = 1;
+  col += enc.weathers.length;
+  const hi = enc.hours.indexOf(Number(table.get(i, 'hour')));
+  if (hi >= 0) out[col + hi] = 1;
+  col += enc.hours.length;
+  for (let j=0;j<enc.numeric.length;j++){
+    out[col + j] = ((Number(table.get(i, enc.numeric[j])) || 0) - enc.means[j]) / enc.stds[j];
+  }
+  return out;
+}
+
+function encodeRow(enc, row, out, offset=0){
+  return encodeTableRow(enc, rowTable([row]), 0, out, offset);
+}
+
+function encodeRows(enc, table, indices){
+  const X = new Float64Array(indices.length * enc.size);
+  for (let i=0;i<indices.length;i++) encodeTableRow(enc, table, indices[i], X, i * enc.size);
+  return X;
+}
+
+/* -------------------------
+   LINEAR ALGEBRA
+   - Gaussian elimination with partial pivoting (d is small, ~35)
+   ------------------------- */
+function solveLinearSystem(A, b, d){
+  const M = Float64Array.from(A);
+  const x = Float64Array.from(b);
+  for (let c=0;c<d;c++){
+    let pivot = c;
+    for (let r=c+1;r<d;r++) if (Math.abs(M[r*d+c]) > Math.abs(M[pivot*d+c])) pivot = r;
+    if (Math.abs(M[pivot*d+c]) < 1e-12) throw new Error("Singular system: increase regularization");
+    if (pivot !== c){
+      for (let k=0;k<d;k++){ const t = M[c*d+k]; M[c*d+k] = M[pivot*d+k]; M[pivot*d+k] = t; }
+      const t = x[c]; x[c] = x[pivot]; x[pivot] = t;
+    }
+    for (let r=c+1;r<d;r++){
+      const f = M[r*d+c] / M[c*d+c];
+      if (f === 0) continue;
+      for (let k=c;k<d;k++) M[r*d+k] -= f * M[c*d+k];
+      x[r] -= f * x[c];
+    }
+  }
+  for (let r=d-1;r>=0;r--){
+    let s = x[r];
+    for (let k=r+1;k<d;k++) s -= M[r*d+k] * x[k];
+    x[r] = s / M[r*d+r];
+  }
+  return x;
+}
+
+/* -------------------------
+   RIDGE REGRESSION (footfall)
+   - fits log1p(footfall); the bias column is not penalized
+   ------------------------- */
+function fitRidgeRegression(X, y, n, d, lambda=1.0){
+  const XtX = new Float64Array(d*d);
+  const Xty = new Float64Array(d);
+  for (let i=0;i<n;i++){
+    const o = i*d;
+    for (let a=0;a<d;a++){
+      const xa = X[o+a];
+      if (xa === 0) continue;
+      Xty[a] += xa * y[i];
+      for (let b=a;b<d;b++) XtX[a*d+b] += xa * X[o+b];
+    }
+  }
+  for (let a=0;a<d;a++) for (let b=0;b<a;b++) XtX[a*d+b] = XtX[b*d+a];
+  for (let a=1;a<d;a++) XtX[a*d+a] += lambda;
+  const weights = solveLinearSystem(XtX, Xty, d);
+
+  // Duan's smearing: mean of exp(residual) corrects the log-space back-transform
+  let smear = 0;
+  for (let i=0;i<n;i++) smear += Math.exp(y[i] - dot(weights, X, i*d, d));
+  return {weights: Array.from(weights), smearing: n ? smear / n : 1, lambda};
+}
+
+function dot(w, X, offset, d){
+  let s = 0;
+  for (let j=0;j<d;j++) s += w[j] * X[offset+j];
+  return s;
+}
+
+// linear interpolation between closest ranks; `sorted` must be ascending
+function quantileSorted(sorted, p){
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function predictRegression(reg, x, offset=0){
+  const d = reg.weights.length;
+  return Math.max(0, Math.exp(dot(reg.weights, x, offset, d)) * reg.smearing - 1);
+}
+
+/* -------------------------
+   SOFTMAX CLASSIFIER (density_int)
+   ------------------------- */
+function softmaxScores(W, k, d, x, offset, out){
+  let max = -Infinity;
+  for (let c=0;c<k;c++){
+    let s = 0;
+    for (let j=0;j<d;j++) s += W[c*d+j] * x[offset+j];
+    out[c] = s;
+    if (s > max) max = s;
+  }
+  let sum = 0;
+  for (let c=0;c<k;c++){ out[c] = Math.exp(out[c] - max); sum += out[c]; }
+  for (let c=0;c<k;c++) out[c] /= sum;
+  return out;
+}
+
+function argmax(arr){
+  let best = 0;
+  for (let i=1;i<arr.length;i++) if (arr[i] > arr[best]) best = i;
+  return best;
+}
+
+function classifierAccuracy(clf, X, y, n){
+  const probs = new Float64Array(clf.classes);
+  let correct = 0;
+  for (let i=0;i<n;i++){
+    softmaxScores(clf.weights, clf.classes, clf.dims, X, i*clf.dims, probs);
+    if (argmax(probs) === y[i]) correct++;
+  }
+  return n ? correct / n : 0;
+}
+
+// mini-batch SGD with L2; yields between epochs so the page stays responsive
+async function trainSoftmaxClassifier(X, y, n, d, k, opts={}){
+  const {epochs=25, batchSize=256, learningRate=0.5, l2=1e-4, random=Math.random, onEpoch=null, validation=null} = opts;
+  const W = new Float64Array(k*d);
+  const grad = new Float64Array(k*d);
+  const probs = new Float64Array(k);
+  const order = Array.from({length:n},(_,i)=>i);
+  const clf = {weights: W, classes: k, dims: d};
+
+  for (let epoch=0;epoch<epochs;epoch++){
+    shuffleInPlace(order, random);
+    // simple step decay keeps late epochs from bouncing around
+    const lr = learningRate / (1 + epoch * 0.1);
+    let loss = 0;
+    for (let startIdx=0;startIdx<n;startIdx+=batchSize){
+      const end = Math.min(n, startIdx + batchSize);
+      grad.fill(0);
+      for (let b=startIdx;b<end;b++){
+        const i = order[b];
+        const o = i*d;
+        softmaxScores(W, k, d, X, o, probs);
+        loss -= Math.log(Math.max(probs[y[i]], 1e-12));
+        for (let c=0;c<k;c++){
+          const g = probs[c] - (c === y[i] ? 1 : 0);
+          if (g === 0) continue;
+          for (let j=0;j<d;j++) grad[c*d+j] += g * X[o+j];
+        }
+      }
+      const m = end - startIdx;
+      for (let c=0;c<k;c++){
+        for (let j=0;j<d;j++){
+          const reg = j === 0 ? 0 : l2 * W[c*d+j];
+          W[c*d+j] -= lr * (grad[c*d+j] / m + reg);
+        }
+      }
+    }
+    if (onEpoch){
+      const valAcc = validation ? classifierAccuracy(clf, validation.X, validation.y, validation.n) : null;
+      onEpoch({epoch: epoch+1, epochs, loss: n ? loss / n : 0, valAccuracy: valAcc});
+    }
+    await new Promise(res => setTimeout(res, 0));
+  }
+  return {weights: Array.from(W), classes: k, dims: d};
+}
+
+function shuffleInPlace(arr, random){
+  for (let i=arr.length-1;i>0;i--){
+    const j = Math.floor(random()*(i+1));
+    const t = arr[i]; arr[i] = arr[j]; arr[j] = t;
+  }
+  return arr;
+}
+
+/* -------------------------
+   TRAINING PIPELINE
+   - shuffled train/validation split, then both models
+   - rows: an array of row objects or a row table (see the header)
+   - onProgress({stage, fraction, message})
+   ------------------------- */
+async function trainModels(rows, opts={}){
+  const {locations, weathers, valFraction=0.2, lambda=1.0, epochs=25, random=Math.random, onProgress=()=>{}} = opts;
+  const table = rowTable(rows);
+  const usable = [];
+  for (let i=0;i<table.length;i++) if (table.get(i, 'density_int') !== undefined) usable.push(i);
+  if (usable.length < 50) throw new Error("Not enough labeled rows to train (need at least 50).");
+
+  shuffleInPlace(usable, random);
+  const nVal = Math.max(1, Math.round(usable.length * valFraction));
+  const valIdx = usable.slice(0, nVal);
+  const trainIdx = usable.slice(nVal);
+
+  onProgress({stage:'encode', fraction:0, message:`Encoding ${trainIdx.length.toLocaleString()} training rows`});
+  await new Promise(res => setTimeout(res, 0));
+  const hours = Array.from(new Set(trainIdx.map(i=>Number(table.get(i, 'hour'))))).sort((a,b)=>a-b);
+  const encoder = createFeatureEncoder(table, trainIdx, {locations, weathers, hours});
+  const d = encoder.size;
+  const Xtr = encodeRows(encoder, table, trainIdx);
+  const Xval = encodeRows(encoder, table, valIdx);
+  const yLog = Float64Array.from(trainIdx, i=>Math.log1p(table.get(i, 'footfall')));
+  const yTr = Int32Array.from(trainIdx, i=>table.get(i, 'density_int'));
+  const yVal = Int32Array.from(valIdx, i=>table.get(i, 'density_int'));
+
+  onProgress({stage:'regression', fraction:0.05, message:'Fitting ridge regression (footfall)'});
+  await new Promise(res => setTimeout(res, 0));
+  const regression = fitRidgeRegression(Xtr, yLog, trainIdx.length, d, lambda);
+  let absErr = 0;
+  const residuals = new Float64Array(valIdx.length); // log-space, out-of-sample
+  for (let i=0;i<valIdx.length;i++){
+    const footfall = table.get(valIdx[i], 'footfall');
+    absErr += Math.abs(predictRegression(regression, Xval, i*d) - footfall);
+    residuals[i] = Math.log1p(footfall) - dot(regression.weights, Xval, i*d, d);
+  }
+  const valMAE = absErr / valIdx.length;
+  residuals.sort();
+  regression.residualQuantiles = {p10: quantileSorted(residuals, 0.1), p50: quantileSorted(residuals, 0.5), p90: quantileSorted(residuals, 0.9)};
+
+  const classifier = await trainSoftmaxClassifier(Xtr, yTr, trainIdx.length, d, DENSITY_LABELS.length, {
+    epochs, random,
+    validation: {X: Xval, y: yVal, n: valIdx.length},
+    onEpoch: ({epoch, epochs, loss, valAccuracy})=>{
+      onProgress({
+        stage:'classifier',
+        fraction: 0.1 + 0.9 * epoch / epochs,
+        message:`Classifier epoch ${epoch}/${epochs} · loss ${loss.toFixed(3)} · val acc ${(valAccuracy*100).toFixed(1)}%`
+      });
+    }
+  });
+  const valAccuracy = classifierAccuracy({weights: classifier.weights, classes: classifier.classes, dims: d}, Xval, yVal, valIdx.length);
+
+  return {
+    encoder, regression, classifier,
+    labels: DENSITY_LABELS.slice(),
+    split: {trainIdx, valIdx},
+    metrics: {valMAE, valAccuracy, trainSize: trainIdx.length, valSize: valIdx.length},
+    trainedAt: new Date().toISOString()
+  };
+}
+
+/* -------------------------
+   PREDICTION WITH A TRAINED MODEL
+   - row: {location, weather, hour, month, day_of_week, temperature, is_festival, is_holiday}
+   - low / high: P10 / P90 band from the validation residual spread
+   ------------------------- */
+function predictWithModel(model, row){
+  return predictEncoded(model, encodeRow(model.encoder, row, new Float64Array(model.encoder.size)));
+}
+
+function predictEncoded(model, x){
+  const footfall = Math.round(predictRegression(model.regression, x));
+  const logPred = dot(model.regression.weights, x, 0, x.length);
+  const rq = model.regression.residualQuantiles || {p10:0, p90:0};
+  const low = Math.max(0, Math.round(Math.expm1(logPred + rq.p10)));
+  const high = Math.max(low, Math.round(Math.expm1(logPred + rq.p90)));
+  const probs = softmaxScores(model.classifier.weights, model.classifier.classes, model.classifier.dims, x, 0, new Float64Array(model.classifier.classes));
+  const classIndex = argmax(probs);
+  return {footfall, low, high, label: model.labels[classIndex], classIndex, probs: Array.from(probs)};
+}
+
+/* -------------------------
+   EVALUATION METRICS
+   ------------------------- */
+function regressionMetrics(actual, predicted){
+  const n = actual.length;
+  if (n === 0) return {n:0, mae:null, rmse:null, r2:null};
+  let mean = 0;
+  for (let v of actual) mean += v;
+  mean /= n;
+  let absErr = 0, sqErr = 0, ssTot = 0;
+  for (let i=0;i<n;i++){
+    const e = actual[i] - predicted[i];
+    absErr += Math.abs(e);
+    sqErr += e*e;
+    ssTot += (actual[i] - mean) ** 2;
+  }
+  return {n, mae: absErr / n, rmse: Math.sqrt(sqErr / n), r2: ssTot > 0 ? 1 - sqErr / ssTot : null};
+}
+
+// confusion[actual][predicted]; precision/recall are null when undefined (no predictions / no support)
+function classificationMetrics(actual, predicted, labels){
+  const k = labels.length;
+  const confusion = Array.from({length:k},()=>new Array(k).fill(0));
+  let correct = 0;
+  for (let i=0;i<actual.length;i++){
+    confusion[actual[i]][predicted[i]]++;
+    if (actual[i] === predicted[i]) correct++;
+  }
+  const perClass = labels.map((label, c)=>{
+    let predictedAs = 0, support = 0;
+    for (let r=0;r<k;r++){ predictedAs += confusion[r][c]; support += confusion[c][r]; }
+    const tp = confusion[c][c];
+    return {label, precision: predictedAs ? tp / predictedAs : null, recall: support ? tp / support : null, support};
+  });
+  return {n: actual.length, accuracy: actual.length ? correct / actual.length : null, confusion, perClass};
+}
+
+// score a trained model on rows[indices] (normally model.split.valIdx), overall and per location;
+// rows is an array of row objects or a row table
+function evaluateModel(model, rows, indices, locations){
+  const table = rowTable(rows);
+  const x = new Float64Array(model.encoder.size);
+  const byLoc = {};
+  for (let loc of locations) byLoc[loc] = {actual:[], predicted:[], actualCls:[], predictedCls:[]};
+  const all = {actual:[], predicted:[], actualCls:[], predictedCls:[]};
+  for (let i of indices){
+    const p = predictEncoded(model, encodeTableRow(model.encoder, table, i, x));
+    for (let bucket of [all, byLoc[table.get(i, 'location')]]){
+      if (!bucket) continue;
+      bucket.actual.push(table.get(i, 'footfall'));
+      bucket.predicted.push(p.footfall);
+      bucket.actualCls.push(table.get(i, 'density_int'));
+      bucket.predictedCls.push(p.classIndex);
+    }
+  }
+  const summarize = b => ({
+    regression: regressionMetrics(b.actual, b.predicted),
+    classification: classificationMetrics(b.actualCls, b.predictedCls, model.labels)
+  });
+  const perLocation = {};
+  for (let loc of locations) perLocation[loc] = summarize(byLoc[loc]);
+  return {overall: summarize(all), perLocation, labels: model.labels.slice()};
+}
+
+/* -------------------------
+   MODEL FILES (JSON)
+   - modelToJSON(model, dataset): everything predictWithModel() needs, with a
+     name per feature column so the coefficients can be used outside the browser
+     (numpy: x = encode(row); footfall = max(0, exp(w @ x) * smearing - 1);
+     probs = softmax(W @ x))
+   - modelFromJSON(obj): validates such a file back into a model; it has no
+     train / validation split, so it predicts but cannot be re-evaluated;
+     each of the recorded metrics is a number or null (not recorded)
+   ------------------------- */
+const MODEL_FORMAT = "crowd-predictor/model";
+
+function featureNames(enc){
+  return [
+    "bias",
+    ...enc.locations.map(l=>`location=${l}`),
+    ...enc.weathers.map(w=>`weather=${w}`),
+    ...enc.hours.map(h=>`hour=${h}`),
+    ...enc.numeric
+  ];
+}
+
+// dataset: {seed, endDate, rows} the model was trained on (informational)
+function modelToJSON(model, dataset={}){
+  const {encoder: enc, regression: reg, classifier: clf} = model;
+  return {
+    format: MODEL_FORMAT,
+    version: 1,
+    trainedAt: model.trainedAt,
+    dataset,
+    labels: model.labels.slice(),
+    metrics: model.metrics,
+    encoding: {
+      columns: featureNames(enc),
+      locations: enc.locations, weathers: enc.weathers, hours: enc.hours,
+      numeric: enc.numeric, means: enc.means, stds: enc.stds,
+      rule: "x = [1, one-hot location, one-hot weather, one-hot hour, (value - mean) / std per numeric feature]; unknown categories are all zeros"
+    },
+    regression: {
+      target: "log1p(footfall)",
+      weights: reg.weights, smearing: reg.smearing, lambda: reg.lambda,
+      residualQuantiles: reg.residualQuantiles
+    },
+    classifier: {
+      target: "density class index into labels",
+      weights: Array.from({length: clf.classes}, (_, c)=>clf.weights.slice(c * clf.dims, (c + 1) * clf.dims))
+    }
+  };
+}
+
+function modelFromJSON(obj){
+  if (!obj || obj.format !== MODEL_FORMAT) throw new Error(`Not a model file (expected format "${MODEL_FORMAT}").`);
+  if (obj.version !== 1) throw new Error(`Unsupported model file version ${obj.version}.`);
+  const {encoding: e, regression: r, classifier: c} = obj;
+  if (!e || !r || !c) throw new Error("The model file needs encoding, regression and classifier sections.");
+  const numbers = (arr, what, length)=>{
+    if (!Array.isArray(arr) || !arr.every(v=>typeof v === "number" && Number.isFinite(v))) throw new Error(`${what} must be a list of numbers.`);
+    if (length !== undefined && arr.length !== length) throw new Error(`${what} has ${arr.length} values, expected ${length}.`);
+    return arr.slice();
+  };
+  const strings = (arr, what)=>{
+    if (!Array.isArray(arr) || !arr.every(v=>typeof v === "string")) throw new Error(`${what} must be a list of names.`);
+    return arr.slice();
+  };
+  const numeric = strings(e.numeric, "encoding.numeric");
+  const unknown = numeric.find(f=>!NUMERIC_FEATURES.includes(f));
+  if (unknown) throw new Error(`Unknown numeric feature "${unknown}".`);
+  const encoder = {
+    locations: strings(e.locations, "encoding.locations"),
+    weathers: strings(e.weathers, "encoding.weathers"),
+    hours: numbers(e.hours, "encoding.hours"),
+    numeric,
+    means: numbers(e.means, "encoding.means", numeric.length),
+    stds: numbers(e.stds, "encoding.stds", numeric.length)
+  };
+  if (encoder.stds.some(v=>v <= 0)) throw new Error("encoding.stds must be positive.");
+  encoder.size = 1 + encoder.locations.length + encoder.weathers.length + encoder.hours.length + numeric.length;
+  if (JSON.stringify(obj.labels) !== JSON.stringify(DENSITY_LABELS)) throw new Error(`Labels must be ${DENSITY_LABELS.join(", ")}.`);
+  if (!Array.isArray(c.weights) || c.weights.length !== DENSITY_LABELS.length) throw new Error(`classifier.weights needs one row per label (${DENSITY_LABELS.length}).`);
+  let metrics = null;
+  if (obj.metrics !== undefined && obj.metrics !== null){
+    if (typeof obj.metrics !== "object" || Array.isArray(obj.metrics)) throw new Error("metrics must be an object.");
+    metrics = {};
+    for (const key of ["valMAE", "valAccuracy", "trainSize", "valSize"]){
+      const v = obj.metrics[key];
+      if (v !== undefined && v !== null && !(typeof v === "number" && Number.isFinite(v))) throw new Error(`metrics.${key} must be a number or null.`);
+      metrics[key] = v === undefined ? null : v;
+    }
+  }
+  const rq = r.residualQuantiles || {};
+  return {
+    encoder,
+    regression: {
+      weights: numbers(r.weights, "regression.weights", encoder.size),
+      smearing: numbers([r.smearing], "regression.smearing")[0],
+      lambda: r.lambda,
+      residualQuantiles: {p10: Number(rq.p10) || 0, p50: Number(rq.p50) || 0, p90: Number(rq.p90) || 0}
+    },
+    classifier: {
+      weights: c.weights.flatMap((row, k)=>numbers(row, `classifier.weights[${k}]`, encoder.size)),
+      classes: DENSITY_LABELS.length,
+      dims: encoder.size
+    },
+    labels: DENSITY_LABELS.slice(),
+    split: null,
+    metrics,
+    trainedAt: obj.trainedAt || null,
+    dataset: obj.dataset || null
+  };
+}
+
+/* -------------------------
+   TIME-SERIES FORECASTING (Holt-Winters)
+   - additive level + trend + season (period 7 for daily totals, so closed
+     weekdays can sit at zero), initialised from the first two seasons
+   - fitHoltWinters(y, period): smoothing parameters by grid search on the
+     one-step-ahead squared error; sigma is that error's RMSE
+   - forecastHoltWinters(fit, h): mean and a P10–P90 band from the ETS(A,A,A)
+     forecast variance
+   - backtestForecast(y, horizon, period): refit without the last `horizon`
+     values and score the forecast of them against the seasonal-naive baseline
+     (the same weekday one period earlier)
+   ------------------------- */
+const HOLT_WINTERS_GRID = {
+  alpha: [0.05, 0.1, 0.2, 0.3, 0.5, 0.7],
+  beta: [0, 0.01, 0.05, 0.1],
+  gamma: [0.05, 0.1, 0.2, 0.3, 0.5]
+};
+const P90_Z = 1.2816; // standard normal quantile of the P10 / P90 band
+
+function holtWinters(y, period, {alpha, beta, gamma}){
+  let level = 0, trend = 0;
+  for (let i=0;i<period;i++){
+    level += y[i] / period;
+    trend += (y[period + i] - y[i]) / (period * period);
+  }
+  const season = Array.from({length: period}, (_, i)=>y[i] - level);
+  let sse = 0;
+  for (let t=period;t<y.length;t++){
+    const s = season[t % period];
+    const err = y[t] - (level + trend + s);
+    sse += err * err;
+    const previous = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previous) + (1 - beta) * trend;
+    season[t % period] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+  return {level, trend, season, sse};
+}
+
+function fitHoltWinters(y, period=7){
+  if (y.length < 2 * period + 1) throw new Error(`Holt-Winters needs at least ${2 * period + 1} values (got ${y.length}).`);
+  let best = null;
+  for (let alpha of HOLT_WINTERS_GRID.alpha) for (let beta of HOLT_WINTERS_GRID.beta) for (let gamma of HOLT_WINTERS_GRID.gamma){
+    const state = holtWinters(y, period, {alpha, beta, gamma});
+    if (!best || state.sse < best.sse) best = {...state, params: {alpha, beta, gamma}};
+  }
+  return {...best, period, n: y.length, sigma: Math.sqrt(best.sse / (y.length - period))};
+}
+
+function forecastHoltWinters(fit, h){
+  const {level, trend, season, period, n, sigma, params: {alpha, beta, gamma}} = fit;
+  const mean = [], low = [], high = [];
+  let variance = 0;
+  for (let j=1;j<=h;j++){
+    const m = level + j * trend + season[(n + j - 1) % period];
+    // sigma² (1 + Σ_{i<j} c_i²), c_i = α(1 + iβ) + γ(1 - α)[i a whole number of seasons]
+    const c = j === 1 ? 0 : alpha * (1 + (j - 1) * beta) + ((j - 1) % period === 0 ? gamma * (1 - alpha) : 0);
+    variance += c * c;
+    const spread = P90_Z * sigma * Math.sqrt(1 + variance);
+    mean.push(m);
+    low.push(m - spread);
+    high.push(m + spread);
+  }
+  return {mean, low, high};
+}
+
+// mape skips zero actuals (closed days); null when there are none
+function forecastErrors(actual, predicted){
+  let abs = 0, sq = 0, pct = 0, nPct = 0;
+  for (let i=0;i<actual.length;i++){
+    const err = actual[i] - predicted[i];
+    abs += Math.abs(err);
+    sq += err * err;
+    if (actual[i] !== 0){ pct += Math.abs(err / actual[i]); nPct++; }
+  }
+  const n = Math.max(actual.length, 1);
+  return {mae: abs / n, rmse: Math.sqrt(sq / n), mape: nPct ? pct / nPct : null};
+}
+
+function backtestForecast(y, horizon, period=7){
+  const split = y.length - horizon;
+  if (horizon < 1 || split < 2 * period + 1) throw new Error(`A ${horizon}-day backtest needs at least ${2 * period + 1 + horizon} days of history (got ${y.length}).`);
+  const train = Array.from(y.slice(0, split));
+  const actual = Array.from(y.slice(split));
+  const fit = fitHoltWinters(train, period);
+  const forecast = forecastHoltWinters(fit, horizon);
+  const naive = actual.map((_, j)=>train[split - period + (j % period)]);
+  return {split, actual, forecast, naive, params: fit.params};
+}
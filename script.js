@@ -3,60 +3,187 @@
    "Temple & Tourist Spot Crowd Density Predictor"
 
    Features included:
-   - Generates a large synthetic dataset (configurable size; defaults to 50,000)
-   - Computes global quartiles and per-location quartiles
+   - Generates a large synthetic dataset (defaults to 50,000 rows; ?rows= up to 2M)
+     in a Web Worker (worker.js + engine.js) with progress and cancel; the dataset
+     is held as columnar typed arrays
+   - Seeded PRNG: a seed (UI or ?seed= URL param) reproduces the dataset exactly
+   - Computes global quartiles and per-location quartiles; density labels use
+     global quartiles, per-location quartiles or capacity (people per m² of each
+     site's visitor area), consistently for the dataset, CSV, predictions and analytics
    - Populates UI controls (hours, default date)
-   - Predicts crowd density using the same heuristic formula
+   - Predicts crowd density using the same heuristic formula, with a P10–P90
+     band and per-class probabilities (Monte Carlo draws or model residuals)
+   - Trains a ridge regression + softmax classifier on the dataset (model.js)
+     and can predict from the trained model instead of the heuristic; a model
+     exports as JSON (coefficients + feature encoding) and loads back without retraining
+   - Evaluation panel: held-out MAE / RMSE / R², accuracy, per-class
+     precision / recall, confusion matrix, per-location breakdown
    - Random-sample generator
-   - Download full dataset as CSV
-   - Shows sample-preview table and basic "top hours" analytics per location
-   - Small canvas-based sparkline / heat preview
+   - Download full dataset as CSV or Arrow IPC (arrow.js; pandas.read_feather), plus a
+     JSON bundle of the generator config, seed, quartiles and per-location stats
+   - Configurable location registry (name, scale, popularity, visitor area, safe
+     capacity, staffing ratio, opening hours, category) with an in-page editor, localStorage persistence and JSON import/export
+   - Per-location opening windows, weekly closure days and special-event hours;
+     closed slots are never generated and predict as "Closed"
+   - Simulation settings (rows, date range, hour window, monthly weather and
+     temperature, festival rate, location weights) with a "Regenerate with settings" panel
+   - Dataset shape: random samples, or an hourly time series per site (every open hour
+     in order, with trend, weekly seasonality and autocorrelated noise)
+   - Time-series forecast: Holt-Winters on daily totals per site, the next N days with a
+     P10–P90 band and a backtest on held-out days against a seasonal-naive baseline
+   - Seasonal weather (monsoon months) with day-to-day persistence; temperature follows
+     month, weather and hour; weather x temperature interact in the footfall heuristic
+   - Festival & holiday calendar (calendar.js): named, per-location and yearly
+     events with their own intensity, ICS import; drives the generator and the
+     Festival / Holiday checkboxes
+   - Import real footfall data (CSV / JSON) with column mapping & validation;
+     every row carries a `source` tag ("synthetic" or "import:<file>")
+   - Capacity alerts for crowd-management staff: utilization, warning / critical
+     levels and a recommended staff count per prediction, plus a printable
+     staffing plan of every hour at or above the warning level on a chosen day
+   - Forecast views: every open hour of a day or the 7 days ahead, drawn as an
+     hour × day heatmap with the quietest window named in the result card
+   - Comparison view: every location at the same date / hour / weather as a ranked
+     bar chart, with the least crowded alternative (optionally same category)
+     suggested in the result card
+   - Shareable links: the prediction form, labeling mode and seed live in the URL;
+     opening a link predicts straight away and back / forward step through predictions
+   - Dataset explorer (filter, sort, paginate, export filtered rows)
+   - Location analytics charts (charts.js, canvas): box plot per location, hour-of-day and
+     day-of-week profiles, month × hour heatmap, weather impact; tooltips and PNG export
+   - What-if scenarios: named overrides of popularity, base scale, weather, festival /
+     holiday and time-of-day factors, compared side by side with the baseline
+     (prediction + regenerated dataset stats) and a tornado chart of factor sensitivity
+   - The dataset, its settings and stats are saved in IndexedDB and restored on reload;
+     a prediction history (view, compare, export, clear) and a "reset saved data" action
+   - Hour profile preview of the selected site with the current prediction marked
+   - DOM-free core (engine.js + simulator.js: createSimulator, prediction inputs,
+     Monte Carlo band, CSV) shared with Node scripts; this file is the UI on top
+   - Installable offline app: manifest, service worker precaching the page, scripts and
+     self-hosted fonts, offline start from the saved dataset, "Offline" badge in the header
    - All code runs completely in the browser (no backend)
 */
 
 /* -------------------------
    CONFIG & DATA / HELPERS
+   - registry data, generator and heuristic live in engine.js; prediction
+     helpers and CSV export in simulator.js
    ------------------------- */
-const LOCATIONS = [
-  "Chamundi_Temple","Nanjangud_Temple","Srirangapatna_Temple",
-  "Mysore_Palace","Brindavan_Gardens","Mysore_Zoo","KRS_Dam"
-];
+const LOCATION_STORAGE_KEY = 'crowdPredictor.locations';
+
+/* -------------------------
+   LOCATION REGISTRY (editing & persistence; lookups & validation in engine.js)
+   ------------------------- */
+// human-readable opening hours for one location, e.g. "7-14, 15-21 · closed Tue"
+function describeOpening(id){
+  const l = LOCATION_REGISTRY.find(x=>x.id === id);
+  if (!l) return '';
+  let text = formatHours(l.hours);
+  if (l.closedDays.length) text += ` · closed ${formatDays(l.closedDays)}`;
+  for (let e of l.events) text += ` · ${e.name} ${formatHours(e.hours)}${e.days ? ` (${formatDays(e.days)})` : ''}`;
+  return text;
+}
+
+function locationName(id){
+  const l = LOCATION_REGISTRY.find(x=>x.id === id);
+  return l ? l.name : String(id).replace(/_/g,' ');
+}
+
+function loadLocationRegistry(){
+  try {
+    const stored = localStorage.getItem(LOCATION_STORAGE_KEY);
+    if (stored) return validateRegistry(JSON.parse(stored).locations);
+  } catch (err) {
+    console.warn('Ignoring stored location registry', err);
+  }
+  return DEFAULT_LOCATIONS;
+}
+
+function saveLocationRegistry(){
+  try {
+    localStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify({version:1, locations: LOCATION_REGISTRY}));
+  } catch (err) {
+    console.warn('Could not persist location registry', err);
+  }
+}
+
+applyLocationRegistry(loadLocationRegistry());
+
+/* -------------------------
+   FESTIVAL & HOLIDAY CALENDAR (rules live in calendar.js)
+   ------------------------- */
+const CALENDAR_STORAGE_KEY = 'crowdPredictor.calendar';
+
+// stored calendars are not checked against the registry: events for removed sites simply never match
+function loadCalendar(){
+  try {
+    const stored = localStorage.getItem(CALENDAR_STORAGE_KEY);
+    if (stored) return validateCalendar(JSON.parse(stored), null);
+  } catch (err) {
+    console.warn('Ignoring stored calendar', err);
+  }
+  return validateCalendar(DEFAULT_CALENDAR, null);
+}
+
+function saveCalendar(){
+  try {
+    localStorage.setItem(CALENDAR_STORAGE_KEY, JSON.stringify({version:1, ...CALENDAR}));
+  } catch (err) {
+    console.warn('Could not persist calendar', err);
+  }
+}
+
+applyCalendar(loadCalendar());
+
+/* -------------------------
+   SIMULATION SETTINGS (persistence; defaults & validation in engine.js)
+   ------------------------- */
+const SIMULATION_STORAGE_KEY = 'crowdPredictor.simulation';
+
+function loadSimulation(){
+  try {
+    const stored = localStorage.getItem(SIMULATION_STORAGE_KEY);
+    if (stored) return validateSimulation(JSON.parse(stored));
+  } catch (err) {
+    console.warn('Ignoring stored simulation settings', err);
+  }
+  return validateSimulation(DEFAULT_SIMULATION);
+}
+
+function saveSimulation(){
+  try {
+    localStorage.setItem(SIMULATION_STORAGE_KEY, JSON.stringify({version:1, ...SIMULATION}));
+  } catch (err) {
+    console.warn('Could not persist simulation settings', err);
+  }
+}
+
+applySimulation(loadSimulation());
 
-const locPopularity = {
-  "Chamundi_Temple": 1.2,
-  "Nanjangud_Temple": 0.9,
-  "Srirangapatna_Temple": 0.6,
-  "Mysore_Palace": 1.5,
-  "Brindavan_Gardens": 1.1,
-  "Mysore_Zoo": 1.0,
-  "KRS_Dam": 0.7
-};
-
-const baseScale = {
-  "Chamundi_Temple": 500,
-  "Nanjangud_Temple": 300,
-  "Srirangapatna_Temple": 150,
-  "Mysore_Palace": 800,
-  "Brindavan_Gardens": 450,
-  "Mysore_Zoo": 350,
-  "KRS_Dam": 200
-};
-
-const weatherMultiplier = {
-  "Clear": 1.0,
-  "Cloudy": 0.95,
-  "Rain": 0.6,
-  "Hot": 0.8,
-  "Humid": 0.9
-};
-
-// Expand festival dates for more realism (sample list across months; adjust if needed)
-const FESTIVAL_DATES = new Set([
-  "2024-01-14","2024-01-26","2024-02-14","2024-03-08","2024-03-25",
-  "2024-04-09","2024-04-22","2024-05-01","2024-08-15","2024-10-02",
-  "2024-10-24","2024-11-01","2024-11-12","2024-12-25",
-  "2025-01-14","2025-02-14","2025-03-17","2025-04-21","2025-11-04"
-]);
+/* -------------------------
+   DENSITY LABELING (persistence; modes & labeling in engine.js)
+   ------------------------- */
+const LABELING_STORAGE_KEY = 'crowdPredictor.labeling';
+
+function loadLabeling(){
+  try {
+    const stored = localStorage.getItem(LABELING_STORAGE_KEY);
+    if (stored) return validateLabeling(JSON.parse(stored));
+  } catch (err) {
+    console.warn('Ignoring stored labeling settings', err);
+  }
+  return validateLabeling(DEFAULT_LABELING);
+}
+
+function saveLabeling(){
+  try {
+    localStorage.setItem(LABELING_STORAGE_KEY, JSON.stringify({version:1, ...LABELING}));
+  } catch (err) {
+    console.warn('Could not persist labeling settings', err);
+  }
+}
+
+applyLabeling(loadLabeling());
 
 // DOM refs (elements existing in your HTML)
 const hourSelect = document.getElementById('hour');
@@ -68,6 +195,7 @@ const isFestival = document.getElementById('is_festival');
 const isHoliday = document.getElementById('is_holiday');
 const predictBtn = document.getElementById('predictBtn');
 const randomizeBtn = document.getElementById('randomizeBtn');
+const shareBtn = document.getElementById('shareBtn');
 const resultArea = document.getElementById('resultArea');
 const densityBadge = document.getElementById('densityBadge');
 const densityText = document.getElementById('densityText');
@@ -76,189 +204,516 @@ const footfallEl = document.getElementById('footfall');
 const sampleCountEl = document.getElementById('sampleCount');
 const quartilesEl = document.getElementById('quartiles');
 const heatArea = document.getElementById('heatArea');
-
-// We'll dynamically add extra controls: Download CSV, Preview table, Location analytics
+const seedValueEl = document.getElementById('seedValue');
+const seedInput = document.getElementById('seedInput');
+const seedBtn = document.getElementById('seedBtn');
+const trainBtn = document.getElementById('trainBtn');
+const modelStatusEl = document.getElementById('modelStatus');
+const trainProgressEl = document.getElementById('trainProgress');
+const trainLogEl = document.getElementById('trainLog');
+const modeHeuristic = document.getElementById('modeHeuristic');
+const modeModel = document.getElementById('modeModel');
+const predictionSourceEl = document.getElementById('predictionSource');
+const forecastViewSelect = document.getElementById('forecastView');
+const compareCategorySelect = document.getElementById('compareCategory');
+const alternativeEl = document.getElementById('alternative');
+const footfallDetailEl = document.getElementById('footfallDetail');
+const calendarNoteEl = document.getElementById('calendarNote');
+const classProbsEl = document.getElementById('classProbs');
+const capacityInfoEl = document.getElementById('capacityInfo');
+const evalSummaryEl = document.getElementById('evalSummary');
+const evalContentEl = document.getElementById('evalContent');
+const genProgressEl = document.getElementById('genProgress');
+const cancelGenBtn = document.getElementById('cancelGenBtn');
+const datasetErrorEl = document.getElementById('datasetError');
+const cancelTrainBtn = document.getElementById('cancelTrainBtn');
+const exportModelBtn = document.getElementById('exportModelBtn');
+const loadModelBtn = document.getElementById('loadModelBtn');
+const modelFileInput = document.getElementById('modelFileInput');
+const labelModeSelect = document.getElementById('labelMode');
+const labelThresholdsInput = document.getElementById('labelThresholds');
+const labelNoteEl = document.getElementById('labelNote');
+const storageNoteEl = document.getElementById('storageNote');
+
+// We'll dynamically add extra controls: Download CSV, Dataset explorer, Location analytics
 let controlsRow; // container for extra buttons
-let previewContainer; // table preview container
+let previewContainer; // dataset explorer container
 let analyticsContainer; // location analytics area
-
-// dataset (array of objects)
-let DATASET = []; // will hold all simulated rows
-let SAMPLES_SORTED = []; // sorted numeric footfall samples for quartiles
-let QUARTILES = null; // {q1,q2,q3}
+let forecastContainer; // time-series forecast area
+let importContainer; // data import panel
+let locationEditorContainer; // location registry editor
+let calendarEditorContainer; // festival & holiday calendar editor
+let simulationContainer; // "Regenerate with settings" panel
+let staffingContainer; // printable staffing plan
+let historyContainer; // prediction history
+let scenarioContainer; // what-if scenarios
+let IMPORT_STATE = null; // {fileName, columns, records} of the file awaiting mapping
+
+// dataset (columnar, see engine.js; datasetRow() gives a row object)
+let DATASET = createDataset(0);
+let QUARTILES = null; // labelDataset() result: {mode, q1,q2,q3, cutoffs: {id: [low, medium, high]}}
 let PER_LOCATION_STATS = {}; // per location quartiles & top-hours
+let GENERATING = false; // true while a (re)generation run is in progress
+let MODEL = null; // trained model bundle from trainModels() (model.js)
+let TRAINING = false;
+let LAST_PREDICTION = null; // {query, source, pred} of the result on screen (pred null when closed)
 
 /* -------------------------
-   UTIL: Random gaussian (Box-Muller)
-   ------------------------- */
-function gaussianRandom(mean=0, std=1) {
-  let u = 0, v = 0;
-  while(u === 0) u = Math.random();
-  while(v === 0) v = Math.random();
-  const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  return z * std + mean;
-}
-
-/* -------------------------
-   TIME & TEMP HELPERS
-   ------------------------- */
-function timeFactor(hour){
-  if (hour >=6 && hour <9) return 0.9;
-  if (hour >=9 && hour <12) return 1.0;
-  if (hour >=12 && hour <15) return 0.8;
-  if (hour >=15 && hour <18) return 1.1;
-  if (hour >=18 && hour <21) return 1.4;
-  return 0.6;
-}
-function tempFactor(temp){
-  if (temp > 32) return 0.8;
-  if (temp < 20) return 0.85;
-  return 1.0;
-}
-
-/* -------------------------
-   FOOTFALL HEURISTIC (single)
-   ------------------------- */
-function computeFootfallSample({location, hour, weather, temp, is_festival, is_holiday}){
-  const pop = locPopularity[location] || 1.0;
-  const tf = timeFactor(hour);
-  const festivalFactor = is_festival ? 2.0 : 1.0;
-  const holidayFactor = is_holiday ? 1.4 : 1.0;
-  const wmul = weatherMultiplier[weather] ?? 1.0;
-  const tfac = tempFactor(temp);
-  const base = baseScale[location] || 200;
-  const noiseStd = base * 0.15;
-  const noise = gaussianRandom(0, noiseStd);
-  const footfall = Math.max(0, Math.round(base * pop * tf * festivalFactor * holidayFactor * wmul * tfac + noise));
-  return footfall;
-}
-
-/* -------------------------
-   DATASET GENERATOR
-   - generates N rows, fairly diverse dates & months
-   - each row: { datetime, date, day_of_week, month, hour, location, weather, temperature, is_festival, is_holiday, footfall, density_label, density_int }
-   ------------------------- */
-function generateDataset(n=50000, seedOffset=0){
-  // clear
-  DATASET = [];
-  const weatherTypes = Object.keys(weatherMultiplier);
-  const base_temp_by_month = [22,23,25,27,28,28,27,27,26,25,24,23];
-
-  // we generate dates across a range (recent 2 years approx)
-  const start = new Date();
-  start.setFullYear(start.getFullYear() - 2); // ~2 years back
-  const msRange = (new Date()).getTime() - start.getTime();
-
-  for (let i=0;i<n;i++){
-    // random datetime within range
-    const randMs = Math.floor(Math.random()*msRange);
-    const dt = new Date(start.getTime() + randMs + (seedOffset || 0));
-    const month = dt.getMonth()+1;
-    const dateStr = dt.toISOString().slice(0,10);
-    const dow = dt.getDay(); // 0 Sun .. 6 Sat
-    // pick active hour 6..21
-    const hour = Math.floor(Math.random()*(21-6+1))+6;
-    const location = LOCATIONS[Math.floor(Math.random()*LOCATIONS.length)];
-    // weather with a bias (clear more likely)
-    const weather = weatherTypes[Math.random() < 0.6 ? Math.floor(Math.random()*1) : Math.floor(Math.random()*weatherTypes.length)] || "Clear";
-    // temperature rough by month + small noise
-    const temp = base_temp_by_month[month-1] + (Math.random()*4-2);
-    const is_festival = FESTIVAL_DATES.has(dateStr) ? 1 : (Math.random() < 0.02 ? 1 : 0); // festivals sometimes match
-    const is_holiday = (dow === 0 || dow === 6) ? 1 : 0;
-
-    const footfall = computeFootfallSample({location,hour,weather,temp,is_festival,is_holiday});
-
-    DATASET.push({
-      datetime: dt.toISOString(),
-      date: dateStr,
-      day_of_week: dow,
-      month: month,
-      hour: hour,
-      location: location,
-      weather: weather,
-      temperature: Number(temp.toFixed(1)),
-      is_festival: is_festival,
-      is_holiday: is_holiday,
-      footfall: footfall
-    });
-  }
+   SEED & URL SETTINGS (the PRNG itself is in engine.js)
+   ------------------------- */
+// fresh seed when none was given (the only place Math.random is still used)
+function randomSeed(){
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// parse a seed string; returns null unless it is an integer in 0..2^32-1
+function parseSeed(raw){
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0 || n > 4294967295) return null;
+  return n;
+}
 
-  // compute density labels using global quartiles
-  computeGlobalQuartilesAndLabels();
-  computePerLocationStats();
+function readURLSettings(){
+  const params = new URLSearchParams(window.location.search);
+  let end = params.get('end');
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(end) && !isNaN(Date.parse(end))) DATA_END_DATE = end;
+  else end = null;
+  const rows = Number(params.get('rows'));
+  if (Number.isInteger(rows) && rows >= 1000 && rows <= MAX_SIMULATION_ROWS) applySimulation({...SIMULATION, rows});
+  // a link's labeling applies to this visit only (not saved over the stored choice)
+  const state = readURLState();
+  if (state.labeling) applyLabeling(state.labeling);
+  return { ...state, end };
+}
+
+// the seed plus what else a visitor needs to regenerate the same dataset: the end date
+// (it defaults to the visitor's today) and, for random samples, the row count
+function setDatasetParams(p){
+  p.set('seed', SEED);
+  p.set('end', DATA_END_DATE);
+  if (SIMULATION.shape === 'samples') p.set('rows', SIMULATION.rows);
+  else p.delete('rows');
+}
+
+// keep ?seed= / ?end= / ?rows= in the address bar so the current dataset can be shared
+function syncSeedToURL(){
+  try {
+    const url = new URL(window.location.href);
+    setDatasetParams(url.searchParams);
+    history.replaceState(null, '', url);
+  } catch (err) {
+    // some file:// contexts refuse replaceState; the seed is still shown in the panel
+  }
 }
 
 /* -------------------------
-   QUARTILES & LABELING
+   SHAREABLE PREDICTION LINKS
+   - the prediction form lives in the query string next to ?seed= / ?end= / ?rows=:
+     loc, date, hour, weather, temp, fest, hol, plus labels (mode) and
+     thresholds (capacity mode only)
+   - Predict / Randomize / history "Load" push a browser history entry, every
+     other re-prediction replaces the current one, so back / forward step
+     through predictions; popstate restores the form (and seed / labeling) and
+     predicts again
+   - unknown or invalid fields in a link are ignored, the form keeps its value
    ------------------------- */
-function computeGlobalQuartilesAndLabels(){
-  SAMPLES_SORTED = DATASET.map(d=>d.footfall).sort((a,b)=>a-b);
-  const n = SAMPLES_SORTED.length;
-  if (n === 0) {
-    QUARTILES = {q1:0,q2:0,q3:0};
-    return;
+// {seed, labeling, prediction}; labeling / prediction null when the URL has none
+function readURLState(search=window.location.search){
+  const params = new URLSearchParams(search);
+  let labeling = null;
+  if (params.has('labels')){
+    try {
+      const thresholds = params.get('thresholds');
+      labeling = validateLabeling({
+        mode: params.get('labels'),
+        thresholds: thresholds ? thresholds.split(',').map(Number) : LABELING.thresholds
+      });
+    } catch (err) {
+      console.warn('Ignoring labeling in the link', err.message);
+    }
+  }
+  let prediction = null;
+  if (params.has('loc')){
+    const num = (key)=>params.get(key) === null || params.get(key).trim() === '' ? NaN : Number(params.get(key));
+    const flag = (key)=>params.has(key) ? (params.get(key) === '1' ? 1 : 0) : null;
+    const hour = num('hour'), temp = num('temp');
+    prediction = {
+      location: params.get('loc'),
+      date: isValidISODate(params.get('date')) ? params.get('date') : null,
+      hour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null,
+      weather: params.get('weather'),
+      temperature: Number.isFinite(temp) ? temp : null,
+      is_festival: flag('fest'),
+      is_holiday: flag('hol')
+    };
+  }
+  return {seed: parseSeed(params.get('seed')), labeling, prediction};
+}
+
+// the current page URL with the form, labeling and dataset (seed, end, rows) written into it
+function predictionURL(){
+  const url = new URL(window.location.href);
+  const p = url.searchParams;
+  if (SEED !== null) setDatasetParams(p);
+  p.set('labels', LABELING.mode);
+  if (LABELING.mode === 'capacity') p.set('thresholds', LABELING.thresholds.join(','));
+  else p.delete('thresholds');
+  p.set('loc', locationSelect.value);
+  p.set('date', dateInput.value);
+  p.set('hour', hourSelect.value);
+  p.set('weather', weatherSelect.value);
+  p.set('temp', tempInput.value);
+  p.set('fest', isFestival.checked ? '1' : '0');
+  p.set('hol', isHoliday.checked ? '1' : '0');
+  return url;
+}
+
+// push = new browser history entry (skipped when nothing changed), else replace
+function syncPredictionToURL(push=false){
+  try {
+    const url = predictionURL();
+    if (!push) history.replaceState(null, '', url);
+    else if (url.href !== window.location.href) history.pushState(null, '', url);
+  } catch (err) {
+    // file:// contexts may refuse history updates; the form still works
+  }
+}
+
+// fill the prediction form from a link / history entry; null fields keep the form's value
+// and festival / holiday default to the calendar for that date
+function applyFormInputs(q){
+  if (!LOCATIONS.includes(q.location)){
+    console.warn(`Unknown location in the link: ${q.location}`);
+    return false;
   }
-  const q1 = SAMPLES_SORTED[Math.floor(n*0.25)];
-  const q2 = SAMPLES_SORTED[Math.floor(n*0.50)];
-  const q3 = SAMPLES_SORTED[Math.floor(n*0.75)];
-  QUARTILES = {q1,q2,q3};
+  locationSelect.value = q.location;
+  if (q.date) dateInput.value = q.date;
+  refreshHourOptions();
+  if (q.hour !== null && q.hour !== undefined) hourSelect.value = q.hour;
+  if (Object.keys(weatherMultiplier).includes(q.weather)) weatherSelect.value = q.weather;
+  if (q.temperature !== null && q.temperature !== undefined) tempInput.value = q.temperature;
+  syncCalendarFlags();
+  if (q.is_festival !== null && q.is_festival !== undefined) isFestival.checked = !!q.is_festival;
+  if (q.is_holiday !== null && q.is_holiday !== undefined) isHoliday.checked = !!q.is_holiday;
+  return true;
+}
+
+// clipboard where allowed, else a prompt with the link selected
+async function copyPredictionLink(){
+  const link = predictionURL().href;
+  try {
+    await navigator.clipboard.writeText(link);
+    shareBtn.textContent = 'Link copied';
+    setTimeout(()=>{ shareBtn.textContent = 'Copy Link'; }, 1500);
+  } catch (err) {
+    prompt('Copy this link:', link);
+  }
+}
 
-  // label dataset rows
-  for (let r of DATASET){
-    if (r.footfall <= q1) r.density_label = "Low";
-    else if (r.footfall <= q2) r.density_label = "Medium";
-    else if (r.footfall <= q3) r.density_label = "High";
-    else r.density_label = "Very_High";
-    r.density_int = ({Low:0,Medium:1,High:2,Very_High:3})[r.density_label];
+// back / forward: bring seed, labeling and form back to that entry, then predict
+async function restoreURLState(){
+  if (GENERATING || TRAINING) return;
+  const {seed, labeling, prediction} = readURLState();
+  if (seed !== null && seed !== SEED){
+    previewContainer.style.display = 'none';
+    analyticsContainer.style.display = 'none';
+    forecastContainer.style.display = 'none';
+    if (!await regenerateDataset(seed)) return;
   }
+  if (labeling && JSON.stringify(labeling) !== JSON.stringify(LABELING)){
+    const previous = LABELING;
+    applyLabeling(labeling);
+    if (!await applyDatasetWithStats(DATASET)) applyLabeling(previous);
+    syncLabelingControls();
+  }
+  if (prediction) applyFormInputs(prediction);
+  predictFromUI();
 }
 
 /* -------------------------
-   PER-LOCATION STATS (quartiles & top hours)
+   ENGINE JOBS (worker.js)
+   - generation, labeling / stats and training run in a Web Worker; datasets
+     travel as typed-array buffers
+   - where workers are unavailable (file:// pages, old browsers) the same job
+     runs on this thread, yielding between chunks
    ------------------------- */
-function computePerLocationStats(){
-  PER_LOCATION_STATS = {};
-  for (let loc of LOCATIONS){
-    const items = DATASET.filter(d=>d.location===loc).map(d=>d.footfall).sort((a,b)=>a-b);
-    if (items.length === 0) {
-      PER_LOCATION_STATS[loc] = {q1:0,q2:0,q3:0,topHours:[]};
-      continue;
+let ENGINE_WORKER = null; // null = not started yet, false = unavailable
+let ENGINE_JOB_ID = 0;
+const ENGINE_JOBS = {}; // id -> {type, payload, onProgress, resolve, reject}
+
+function engineWorker(){
+  if (ENGINE_WORKER === null){
+    try {
+      ENGINE_WORKER = new Worker('worker.js');
+      ENGINE_WORKER.onmessage = handleEngineMessage;
+      ENGINE_WORKER.onerror = handleEngineWorkerError;
+    } catch (err) {
+      console.warn('Web Worker unavailable, running jobs on the main thread', err);
+      ENGINE_WORKER = false;
     }
-    const n = items.length;
-    const q1 = items[Math.floor(n*0.25)];
-    const q2 = items[Math.floor(n*0.50)];
-    const q3 = items[Math.floor(n*0.75)];
-    // compute busiest hours for this location (aggregate average footfall per hour)
-    const hourBuckets = {};
-    const counts = {};
-    for (let row of DATASET){
-      if (row.location !== loc) continue;
-      hourBuckets[row.hour] = (hourBuckets[row.hour] || 0) + row.footfall;
-      counts[row.hour] = (counts[row.hour] || 0) + 1;
+  }
+  return ENGINE_WORKER;
+}
+
+function handleEngineMessage(e){
+  const {id, progress, result, error, cancelled} = e.data;
+  const job = ENGINE_JOBS[id];
+  if (!job) return;
+  if (progress) return job.onProgress(progress);
+  delete ENGINE_JOBS[id];
+  if (error === undefined) return job.resolve(result);
+  const err = new Error(error);
+  if (cancelled) err.name = 'CancelledError';
+  job.reject(err);
+}
+
+// the worker script failed to load: drop it and rerun its jobs in-page
+function handleEngineWorkerError(e){
+  console.warn('Engine worker failed, falling back to the main thread', e.message || e);
+  ENGINE_WORKER.terminate();
+  ENGINE_WORKER = false;
+  for (let id of Object.keys(ENGINE_JOBS)){
+    const job = ENGINE_JOBS[id];
+    delete ENGINE_JOBS[id];
+    runJobInPage(job).then(job.resolve, job.reject);
+  }
+}
+
+function runJobInPage(job){
+  const saved = {seed: SEED, state: rngState};
+  return runEngineJob(job.type, job.payload, {onProgress: job.onProgress, signal: job.signal}).catch(err=>{
+    // a cancelled / failed generation must not leave its seed behind
+    SEED = saved.seed;
+    rngState = saved.state;
+    throw err;
+  });
+}
+
+// -> {promise, cancel}; the promise rejects with name 'CancelledError' after cancel()
+function startEngineJob(type, payload, onProgress=()=>{}){
+  const id = ++ENGINE_JOB_ID;
+  const job = {type, payload, onProgress, signal: {cancelled: false}};
+  const promise = new Promise((resolve, reject)=>{
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  const worker = engineWorker();
+  if (worker){
+    ENGINE_JOBS[id] = job;
+    worker.postMessage({id, type, payload});
+  } else {
+    runJobInPage(job).then(job.resolve, job.reject);
+  }
+  const cancel = ()=>{
+    job.signal.cancelled = true;
+    if (ENGINE_JOBS[id]) worker.postMessage({id, type: 'cancel'});
+  };
+  return {promise, cancel};
+}
+
+/* -------------------------
+   SAVED SESSION (IndexedDB)
+   - the current dataset (typed-array columns), its seed / PRNG state, the engine
+     config that produced it and its labels / per-location stats are saved after
+     every generation, import or relabel, and restored on the next visit when the
+     settings still match (an explicit ?seed= / ?end= / ?rows= that differs regenerates)
+   - the prediction history lives in the same database
+   - without IndexedDB (private windows, file:// in some browsers) nothing is
+     saved and every visit regenerates as before
+   ------------------------- */
+const STATE_DB_NAME = 'crowdPredictor';
+const STATE_DB_VERSION = 1;
+const SAVED_DATASET_KEY = 'current';
+let STATE_DB = null; // promise of the open database, resolves null when unavailable
+let SAVED_AT = null; // ISO time of the saved copy of DATASET, null = not saved
+
+function openStateDB(){
+  if (STATE_DB) return STATE_DB;
+  STATE_DB = new Promise(resolve=>{
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    let req;
+    try {
+      req = indexedDB.open(STATE_DB_NAME, STATE_DB_VERSION);
+    } catch (err) {
+      console.warn('IndexedDB unavailable, nothing will be saved', err);
+      return resolve(null);
     }
-    const avgPerHour = Object.keys(hourBuckets).map(h=>{
-      return {hour: Number(h), avg: Math.round(hourBuckets[h] / counts[h])};
-    }).sort((a,b)=>b.avg - a.avg).slice(0,5);
-    PER_LOCATION_STATS[loc] = {q1,q2,q3,topHours:avgPerHour};
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if (!db.objectStoreNames.contains('dataset')) db.createObjectStore('dataset');
+      if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', {keyPath: 'id', autoIncrement: true});
+    };
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror = ()=>{
+      console.warn('IndexedDB unavailable, nothing will be saved', req.error);
+      resolve(null);
+    };
+  });
+  return STATE_DB;
+}
+
+// run fn(objectStore) in one transaction; once it commits, resolves with the result
+// of the request fn returned (null without a database)
+async function stateRequest(storeName, mode, fn){
+  const db = await openStateDB();
+  if (!db) return null;
+  return new Promise((resolve, reject)=>{
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = ()=>resolve(req ? req.result : undefined);
+    tx.onerror = ()=>reject(tx.error);
+    tx.onabort = ()=>reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function saveDatasetState(){
+  const record = {
+    version: 1, savedAt: new Date().toISOString(),
+    seed: SEED, rngState, config: engineConfig(),
+    data: DATASET, quartiles: QUARTILES, perLocation: PER_LOCATION_STATS
+  };
+  SAVED_AT = null;
+  refreshStorageNote('Saving in this browser…');
+  return stateRequest('dataset', 'readwrite', store=>store.put(record, SAVED_DATASET_KEY))
+    .then(result=>{
+      SAVED_AT = result === null ? null : record.savedAt;
+      refreshStorageNote();
+    })
+    .catch(err=>{
+      // usually the quota: very large datasets are simply not kept
+      console.warn('Could not save the dataset', err);
+      SAVED_AT = null;
+      refreshStorageNote(`Not saved in this browser (${err.name || 'error'}).`);
+    });
+}
+
+function loadDatasetState(){
+  return stateRequest('dataset', 'readonly', store=>store.get(SAVED_DATASET_KEY)).catch(err=>{
+    console.warn('Ignoring saved dataset', err);
+    return null;
+  });
+}
+
+// the saved dataset matches the current settings and any explicit URL seed / end date
+function isRestorable(saved, {seed, end}){
+  if (!saved || saved.version !== 1 || !saved.data || !saved.config) return false;
+  if (seed !== null && seed !== saved.seed) return false;
+  const config = {...engineConfig(), endDate: end === null ? saved.config.endDate : end};
+  return JSON.stringify(config) === JSON.stringify(saved.config);
+}
+
+function restoreDatasetState(saved){
+  resetModel();
+  DATA_END_DATE = saved.config.endDate;
+  setSeed(saved.seed);
+  rngState = saved.rngState;
+  syncSeedToURL();
+  DATASET = saved.data;
+  QUARTILES = saved.quartiles;
+  PER_LOCATION_STATS = saved.perLocation;
+  SAVED_AT = saved.savedAt;
+  refreshStatsUI();
+}
+
+function refreshStorageNote(message){
+  if (message) storageNoteEl.textContent = message;
+  else if (SAVED_AT) storageNoteEl.textContent = `Saved in this browser ${new Date(SAVED_AT).toLocaleString()}.`;
+  else storageNoteEl.textContent = '';
+}
+
+// forget everything this page stored: saved dataset, history and all settings
+async function resetSavedData(){
+  if (!confirm('Clear the saved dataset, prediction history and all settings (locations, calendar, simulation, labels, scenarios) from this browser?')) return;
+  try {
+    await stateRequest('dataset', 'readwrite', store=>store.clear());
+    await stateRequest('history', 'readwrite', store=>store.clear());
+  } catch (err) {
+    console.warn('Could not clear saved data', err);
   }
+  for (let key of [LOCATION_STORAGE_KEY, CALENDAR_STORAGE_KEY, SIMULATION_STORAGE_KEY, LABELING_STORAGE_KEY, SCENARIO_STORAGE_KEY]){
+    try { localStorage.removeItem(key); } catch (err) { /* storage disabled: nothing to clear */ }
+  }
+  // reload without ?seed= etc. so the defaults and a fresh seed apply
+  window.location.replace(window.location.pathname);
 }
 
 /* -------------------------
    UI: populate hours & default date
    ------------------------- */
-function populateUI(){
-  // hours
+function populateLocationControls(){
+  const current = locationSelect.value;
+  locationSelect.innerHTML = "";
+  for (let l of LOCATION_REGISTRY){
+    const opt = document.createElement('option');
+    opt.value = l.id;
+    opt.textContent = l.name;
+    locationSelect.appendChild(opt);
+  }
+  if (LOCATIONS.includes(current)) locationSelect.value = current;
+  refreshHourOptions();
+}
+
+// tick Festival / Holiday from the calendar for the chosen date + site and name the events
+function syncCalendarFlags(){
+  const dateStr = dateInput.value;
+  if (!dateStr) return;
+  const cal = calendarFlags(dateStr, locationSelect.value || LOCATIONS[0]);
+  isFestival.checked = !!cal.is_festival;
+  isHoliday.checked = !!cal.is_holiday;
+  const parts = [];
+  if (cal.festivals.length) parts.push(`Festival: ${cal.festivals.join(', ')} (${cal.festival_intensity}×)`);
+  if (cal.holidays.length) parts.push(`Holiday: ${cal.holidays.join(', ')} (${cal.holiday_intensity}×)`);
+  calendarNoteEl.textContent = parts.length ? parts.join(' · ') : 'No festival or holiday on this date.';
+}
+
+// hour dropdown follows the selected site: its slots on the chosen weekday
+// (all its slots when it is closed that day, so the "Closed" result can still be shown)
+function refreshHourOptions(){
+  const loc = locationSelect.value || LOCATIONS[0];
+  const dow = utcDayOfWeek(dateInput.value || new Date().toISOString().slice(0,10));
+  const daySlots = (LOCATION_DAY_SLOTS[loc] || [])[dow] || [];
+  const slots = daySlots.length ? daySlots : (LOCATION_SLOTS[loc] || []);
+  const currentHour = Number(hourSelect.value);
   hourSelect.innerHTML = "";
-  for (let h=6; h<=21; h++){
+  for (let h of slots){
     const opt = document.createElement('option');
     opt.value = h;
-    opt.textContent = `${h}:00`;
+    const event = activeEvent(loc, dow, h);
+    opt.textContent = event ? `${h}:00 ★ ${event.name}` : `${h}:00`;
     hourSelect.appendChild(opt);
   }
+  if (slots.includes(currentHour)) hourSelect.value = currentHour;
+}
+
+function populateUI(){
+  populateLocationControls();
   // default date = today
   dateInput.value = new Date().toISOString().slice(0,10);
+  refreshHourOptions();
+  syncCalendarFlags();
+  locationSelect.addEventListener('change', refreshHourOptions);
+  dateInput.addEventListener('change', refreshHourOptions);
+  locationSelect.addEventListener('change', syncCalendarFlags);
+  dateInput.addEventListener('change', syncCalendarFlags);
+
+  for (let [mode, text] of Object.entries(LABEL_MODES)){
+    const opt = document.createElement('option');
+    opt.value = mode;
+    opt.textContent = text;
+    labelModeSelect.appendChild(opt);
+  }
+  for (let c of LOCATION_CATEGORIES){
+    const opt = document.createElement('option');
+    opt.value = c;
+    opt.textContent = `${c[0].toUpperCase()}${c.slice(1)}s only`;
+    compareCategorySelect.appendChild(opt);
+  }
+  syncLabelingControls();
+  labelModeSelect.onchange = ()=>changeLabeling({...LABELING, mode: labelModeSelect.value});
+  labelThresholdsInput.onchange = ()=>changeLabeling({...LABELING, thresholds: parseThresholdsText(labelThresholdsInput.value)});
 
-  // add extra control buttons (Download CSV, Show Preview, Show Analytics)
+  // add extra control buttons (Download CSV, Explore Data, Show Analytics)
   const rightPanel = document.querySelector('.side-card');
   if (!rightPanel) {
     // create a small controls row under the left card if side-card not present
@@ -275,37 +730,168 @@ function populateUI(){
   downloadBtn.className = 'btn ghost';
   downloadBtn.textContent = 'Download CSV';
   downloadBtn.style.marginRight = '10px';
-  downloadBtn.onclick = downloadDatasetCSV;
+  downloadBtn.onclick = ()=>downloadDatasetCSV();
+
+  const arrowBtn = document.createElement('button');
+  arrowBtn.className = 'btn ghost';
+  arrowBtn.textContent = 'Download Arrow';
+  arrowBtn.title = 'Arrow IPC / Feather v2: pandas.read_feather, pyarrow.feather.read_table';
+  arrowBtn.style.marginRight = '10px';
+  arrowBtn.onclick = downloadDatasetArrow;
+
+  const bundleBtn = document.createElement('button');
+  bundleBtn.className = 'btn ghost';
+  bundleBtn.textContent = 'Download Bundle';
+  bundleBtn.title = 'Generator config, seed, quartiles and per-location stats (JSON)';
+  bundleBtn.style.marginRight = '10px';
+  bundleBtn.onclick = downloadDatasetBundle;
 
   const previewBtn = document.createElement('button');
   previewBtn.className = 'btn ghost';
-  previewBtn.textContent = 'Preview 50 rows';
+  previewBtn.textContent = 'Explore Data';
   previewBtn.style.marginRight = '10px';
   previewBtn.onclick = showPreviewTable;
 
   const analyticsBtn = document.createElement('button');
   analyticsBtn.className = 'btn ghost';
   analyticsBtn.textContent = 'Show Location Analytics';
+  analyticsBtn.style.marginRight = '10px';
   analyticsBtn.onclick = toggleAnalytics;
 
+  const forecastBtn = document.createElement('button');
+  forecastBtn.className = 'btn ghost';
+  forecastBtn.textContent = 'Forecast';
+  forecastBtn.title = 'Holt-Winters forecast of daily footfall (needs an hourly time-series dataset)';
+  forecastBtn.style.marginRight = '10px';
+  forecastBtn.onclick = toggleForecastPanel;
+
+  const scenarioBtn = document.createElement('button');
+  scenarioBtn.className = 'btn ghost';
+  scenarioBtn.textContent = 'What-if Scenarios';
+  scenarioBtn.style.marginRight = '10px';
+  scenarioBtn.onclick = toggleScenarioPanel;
+
+  const importBtn = document.createElement('button');
+  importBtn.className = 'btn ghost';
+  importBtn.textContent = 'Import Data';
+  importBtn.style.marginRight = '10px';
+  importBtn.onclick = toggleImportPanel;
+
+  const locationsBtn = document.createElement('button');
+  locationsBtn.className = 'btn ghost';
+  locationsBtn.textContent = 'Edit Locations';
+  locationsBtn.style.marginRight = '10px';
+  locationsBtn.onclick = toggleLocationEditor;
+
+  const calendarBtn = document.createElement('button');
+  calendarBtn.className = 'btn ghost';
+  calendarBtn.textContent = 'Edit Calendar';
+  calendarBtn.style.marginRight = '10px';
+  calendarBtn.onclick = toggleCalendarEditor;
+
+  const simulationBtn = document.createElement('button');
+  simulationBtn.className = 'btn ghost';
+  simulationBtn.textContent = 'Simulation Settings';
+  simulationBtn.style.marginRight = '10px';
+  simulationBtn.onclick = toggleSimulationPanel;
+
+  const staffingBtn = document.createElement('button');
+  staffingBtn.className = 'btn ghost';
+  staffingBtn.textContent = 'Staffing Plan';
+  staffingBtn.style.marginRight = '10px';
+  staffingBtn.onclick = toggleStaffingPlan;
+
+  const historyBtn = document.createElement('button');
+  historyBtn.className = 'btn ghost';
+  historyBtn.textContent = 'Prediction History';
+  historyBtn.onclick = toggleHistoryPanel;
+
   controlsRow.appendChild(downloadBtn);
+  controlsRow.appendChild(arrowBtn);
+  controlsRow.appendChild(bundleBtn);
   controlsRow.appendChild(previewBtn);
   controlsRow.appendChild(analyticsBtn);
-
-  // create preview container under left card
+  controlsRow.appendChild(forecastBtn);
+  controlsRow.appendChild(scenarioBtn);
+  controlsRow.appendChild(importBtn);
+  controlsRow.appendChild(locationsBtn);
+  controlsRow.appendChild(calendarBtn);
+  controlsRow.appendChild(simulationBtn);
+  controlsRow.appendChild(staffingBtn);
+  controlsRow.appendChild(historyBtn);
+  controlsRow.style.display = 'flex';
+  controlsRow.style.flexWrap = 'wrap';
+  controlsRow.style.rowGap = '10px';
+
+  // create dataset explorer container under left card
   previewContainer = document.createElement('div');
   previewContainer.style.marginTop = '14px';
   previewContainer.style.display = 'none';
   previewContainer.className = 'card';
   document.querySelector('.large-card').appendChild(previewContainer);
 
-  // analytics container under right panel
+  // location editor under left card
+  locationEditorContainer = document.createElement('div');
+  locationEditorContainer.style.marginTop = '14px';
+  locationEditorContainer.style.display = 'none';
+  locationEditorContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(locationEditorContainer);
+
+  // simulation settings under left card
+  simulationContainer = document.createElement('div');
+  simulationContainer.style.marginTop = '14px';
+  simulationContainer.style.display = 'none';
+  simulationContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(simulationContainer);
+
+  // staffing plan under left card
+  staffingContainer = document.createElement('div');
+  staffingContainer.style.marginTop = '14px';
+  staffingContainer.style.display = 'none';
+  staffingContainer.className = 'card staffing-plan';
+  document.querySelector('.large-card').appendChild(staffingContainer);
+
+  // prediction history under left card
+  historyContainer = document.createElement('div');
+  historyContainer.style.marginTop = '14px';
+  historyContainer.style.display = 'none';
+  historyContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(historyContainer);
+
+  // calendar editor under left card
+  calendarEditorContainer = document.createElement('div');
+  calendarEditorContainer.style.marginTop = '14px';
+  calendarEditorContainer.style.display = 'none';
+  calendarEditorContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(calendarEditorContainer);
+
+  // import panel under left card
+  importContainer = document.createElement('div');
+  importContainer.style.marginTop = '14px';
+  importContainer.style.display = 'none';
+  importContainer.className = 'card import-panel';
+  document.querySelector('.large-card').appendChild(importContainer);
+
+  // analytics under left card (the charts need the width)
   analyticsContainer = document.createElement('div');
-  analyticsContainer.style.marginTop = '12px';
+  analyticsContainer.style.marginTop = '14px';
   analyticsContainer.style.display = 'none';
-  analyticsContainer.className = 'card';
-  const sideCard = document.querySelector('.side-card');
-  sideCard.appendChild(analyticsContainer);
+  analyticsContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(analyticsContainer);
+
+  // time-series forecast under left card (charts)
+  forecastContainer = document.createElement('div');
+  forecastContainer.style.marginTop = '14px';
+  forecastContainer.style.display = 'none';
+  forecastContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(forecastContainer);
+
+  // what-if scenarios under left card (table + tornado chart need the width)
+  scenarioContainer = document.createElement('div');
+  scenarioContainer.style.marginTop = '14px';
+  scenarioContainer.style.display = 'none';
+  scenarioContainer.className = 'card location-editor';
+  document.querySelector('.large-card').appendChild(scenarioContainer);
 }
 
 /* -------------------------
@@ -320,387 +906,2914 @@ function predictFromUI(){
   const festival = isFestival.checked ? 1 : 0;
   const holiday = isHoliday.checked ? 1 : 0;
 
-  // override festival if date is in festival set
-  if (FESTIVAL_DATES.has(dateStr)) {
-    // mark festival true visually (do not force UI change unless you want)
+  // the checkboxes decide whether a festival / holiday applies; the calendar supplies its intensity
+  const query = {location, date: dateStr, hour, weather, temperature: temp, is_festival: festival, is_holiday: holiday};
+  const inputs = predictionInputs(query);
+  const dow = inputs.day_of_week;
+  const view = forecastViewSelect.value;
+  const forecast = buildForecast(location, dateStr, view === 'week' ? 7 : 1, {weather, temp, festival, holiday});
+  const quiet = quietestWindow(forecast);
+  const comparison = view === 'compare' ? compareLocations(location, dateStr, hour, {weather, temp, festival, holiday}) : null;
+  renderAlternative(comparison, location, hour);
+  if (!isOpenAt(location, dow, hour)){
+    LAST_PREDICTION = {query, source: 'closed', pred: null};
+    showClosed(location, dow, hour, view === 'week' ? quiet : quietestWindow(buildForecast(location, dateStr, 7, {weather, temp, festival, holiday})));
+    if (comparison) renderComparisonChart(comparison, location);
+    else if (view !== 'hour') renderForecastHeatmap(forecast, quiet);
+    renderScenarioResults();
+    syncPredictionToURL();
+    return;
   }
 
-  const footfall = computeFootfallSample({
-    location, hour, weather, temp, is_festival: festival, is_holiday: holiday
-  });
-
-  const label = mapToDensityLabel(footfall);
-  showResult(label, footfall);
+  // pred: {mean, low, high, probs, label}
+  const model = activeModel();
+  const pred = predictDistribution(inputs, {labels: QUARTILES, model});
+  predictionSourceEl.textContent = model
+    ? 'Source: trained model (band from validation residuals)'
+    : 'Source: heuristic simulation (1,000 Monte Carlo draws)';
+  LAST_PREDICTION = {query, source: model ? 'model' : 'heuristic', pred};
+
+  showResult(pred, quiet, {location, date: dateStr, hour});
+  if (view === 'hour') renderHourPreview(pred.mean);
+  else if (comparison) renderComparisonChart(comparison, location);
+  else renderForecastHeatmap(forecast, quiet);
+  renderScenarioResults();
+  syncPredictionToURL();
 }
 
 /* -------------------------
-   MAP FOOTFALL -> DENSITY (using QUARTILES)
+   FORECAST (full day / week ahead)
+   - predicts every open hour of `days` consecutive dates from startDate
+   - heuristic mode uses the noise-free expected footfall so the grid is stable
+   - the user's weather / temperature apply to every slot; festival / holiday
+     come from the checkboxes on the selected date and the calendar elsewhere
+     (intensities always from the calendar)
    ------------------------- */
-function mapToDensityLabel(footfall){
-  if (!QUARTILES) return "Unknown";
-  if (footfall <= QUARTILES.q1) return "Low";
-  if (footfall <= QUARTILES.q2) return "Medium";
-  if (footfall <= QUARTILES.q3) return "High";
-  return "Very_High";
+function addDaysISO(dateStr, n){
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0,10);
 }
 
-/* -------------------------
-   DISPLAY RESULT IN UI
-   ------------------------- */
-function badgeStyleFor(label){
-  switch (label){
-    case "Low": return {bg:'#b6c6d6', color:'#031021'};
-    case "Medium": return {bg:'#ffd479', color:'#031021'};
-    case "High": return {bg:'#ff8aa1', color:'#031021'};
-    case "Very_High": return {bg:'#ff4f6d', color:'#031021'};
-    default: return {bg:'#b6c6d6', color:'#031021'};
+// the trained model when "Trained model" is selected, else null (heuristic)
+function activeModel(){
+  return modeModel.checked && MODEL ? MODEL : null;
+}
+
+// {footfall, label} for an open slot, using the selected prediction source
+function predictSlot(query){
+  return predictExpected(predictionInputs(query), {labels: QUARTILES, model: activeModel()});
+}
+
+function buildForecast(location, startDate, days, {weather, temp, festival, holiday}){
+  const out = {location, days: [], hours: []};
+  const hourSet = new Set(LOCATION_SLOTS[location] || []);
+  for (let i=0;i<days;i++){
+    const date = addDaysISO(startDate, i);
+    const dow = utcDayOfWeek(date);
+    const slots = {};
+    for (let hour of (LOCATION_DAY_SLOTS[location] || [])[dow] || []){
+      hourSet.add(hour);
+      slots[hour] = predictSlot({location, date, hour, weather, temperature: temp,
+        is_festival: i === 0 ? festival : undefined, is_holiday: i === 0 ? holiday : undefined});
+    }
+    out.days.push({date, dow, slots});
   }
+  out.hours = Array.from(hourSet).sort((a,b)=>a-b);
+  return out;
 }
 
-function showResult(label, footfall){
-  resultArea.style.display = 'block';
-  densityBadge.textContent = label.replace('_',' ');
-  densityText.textContent = label.replace('_',' ');
-  const style = badgeStyleFor(label);
-  densityBadge.style.background = style.bg;
-  densityBadge.style.color = style.color;
-  footfallEl.textContent = footfall.toLocaleString();
+// lowest-average run of `width` consecutive open hours (falls back to single hours)
+function quietestWindow(forecast, width=2){
+  let best = null;
+  for (let w of [width, 1]){
+    for (let day of forecast.days){
+      const open = Object.keys(day.slots).map(Number).sort((a,b)=>a-b);
+      for (let i=0;i+w<=open.length;i++){
+        if (open[i+w-1] - open[i] !== w-1) continue; // not contiguous
+        let sum = 0;
+        for (let k=0;k<w;k++) sum += day.slots[open[i+k]].footfall;
+        const avg = sum / w;
+        if (!best || avg < best.avg) best = {date: day.date, dow: day.dow, start: open[i], end: open[i]+w, avg: Math.round(avg), label: day.slots[open[i]].label};
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
 
-  if (label === "High" || label === "Very_High"){
-    suggestion.textContent = "Suggestion: arrive 1 hour earlier or choose a weekday. Expect queues.";
-  } else {
-    suggestion.textContent = "Nice — crowd should be manageable at this time.";
+function describeWindow(w, withDay){
+  const day = withDay ? `${DAY_NAMES[w.dow]} ${w.date.slice(8)}/${w.date.slice(5,7)}, ` : '';
+  return `${day}${w.start}:00–${w.end}:00 (~${w.avg.toLocaleString()}/hr, ${w.label.replace(/_/g,' ')})`;
+}
+
+function renderForecastHeatmap(forecast, quiet){
+  heatArea.innerHTML = '';
+  const canvas = document.createElement('canvas');
+  canvas.width = heatArea.clientWidth || 300;
+  canvas.height = heatArea.clientHeight || 200;
+  heatArea.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+  const {days, hours} = forecast;
+  if (hours.length === 0) return;
+
+  const left = 40, top = 8, bottom = 20, right = 8;
+  const cw = (canvas.width - left - right) / hours.length;
+  const ch = (canvas.height - top - bottom) / days.length;
+  let maxVal = 1;
+  for (let day of days) for (let h of hours) if (day.slots[h]) maxVal = Math.max(maxVal, day.slots[h].footfall);
+
+  ctx.font = '10px Poppins, sans-serif';
+  ctx.textBaseline = 'middle';
+  days.forEach((day, r)=>{
+    ctx.fillStyle = 'rgba(230,233,240,0.8)';
+    ctx.textAlign = 'left';
+    ctx.fillText(days.length === 1 ? day.date.slice(5) : DAY_NAMES[day.dow], 4, top + r*ch + ch/2);
+    hours.forEach((h, c)=>{
+      const x = left + c*cw, y = top + r*ch;
+      const slot = day.slots[h];
+      if (!slot){
+        ctx.fillStyle = 'rgba(255,255,255,0.04)';
+      } else {
+        const intensity = 0.25 + 0.75 * slot.footfall / maxVal;
+        ctx.globalAlpha = intensity;
+        ctx.fillStyle = badgeStyleFor(slot.label).bg;
+      }
+      ctx.fillRect(x+1, y+1, cw-2, ch-2);
+      ctx.globalAlpha = 1;
+    });
+  });
+
+  // hour axis (every other label when crowded)
+  ctx.fillStyle = 'rgba(230,233,240,0.8)';
+  ctx.textAlign = 'center';
+  const step = cw < 22 ? 2 : 1;
+  hours.forEach((h, c)=>{
+    if (c % step === 0) ctx.fillText(String(h), left + c*cw + cw/2, canvas.height - bottom/2);
+  });
+
+  // outline the quietest window
+  if (quiet){
+    const r = days.findIndex(d=>d.date === quiet.date);
+    const c0 = hours.indexOf(quiet.start);
+    if (r >= 0 && c0 >= 0){
+      ctx.strokeStyle = '#38ffb0';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(left + c0*cw, top + r*ch, (quiet.end - quiet.start)*cw, ch);
+    }
   }
 
-  // animate heat preview & sparkline
-  animateHeatPreview(footfall);
+  // tooltip via the title attribute
+  canvas.onmousemove = (e)=>{
+    const rect = canvas.getBoundingClientRect();
+    const c = Math.floor((e.clientX - rect.left - left) / cw);
+    const r = Math.floor((e.clientY - rect.top - top) / ch);
+    const day = days[r], h = hours[c];
+    if (!day || h === undefined){ canvas.title = ''; return; }
+    const slot = day.slots[h];
+    canvas.title = slot
+      ? `${DAY_NAMES[day.dow]} ${day.date} ${h}:00 — ~${slot.footfall.toLocaleString()} (${slot.label.replace(/_/g,' ')})`
+      : `${DAY_NAMES[day.dow]} ${day.date} ${h}:00 — closed`;
+  };
 }
 
 /* -------------------------
-   HEAT PREVIEW / SPARKLINE
-   - draws a simple canvas sparkline based on location distribution
+   LOCATION COMPARISON
+   - every location (or one category, always keeping the selected one) at the
+     selected date, hour, weather and temperature, predicted like a forecast slot
+   - festival / holiday: the checkboxes for the selected location, the calendar elsewhere
    ------------------------- */
-function animateHeatPreview(footfall){
-  // create or replace canvas inside heatArea
+// [{location, footfall, label, utilization} | {location, closed: true}], least crowded first
+function compareLocations(selected, date, hour, {weather, temp, festival, holiday}){
+  const dow = utcDayOfWeek(date);
+  const category = compareCategorySelect.value;
+  const rows = [];
+  for (let l of LOCATION_REGISTRY){
+    if (category && l.category !== category && l.id !== selected) continue;
+    if (!isOpenAt(l.id, dow, hour)){
+      rows.push({location: l.id, closed: true});
+      continue;
+    }
+    const own = l.id === selected;
+    const slot = predictSlot({location: l.id, date, hour, weather, temperature: temp,
+      is_festival: own ? festival : undefined, is_holiday: own ? holiday : undefined});
+    rows.push({location: l.id, footfall: slot.footfall, label: slot.label, utilization: assessCapacity(l.id, slot.footfall).utilization});
+  }
+  return rows.sort((a,b)=>(a.closed - b.closed) || (a.closed ? 0 : a.footfall - b.footfall));
+}
+
+// "Srirangapatna Temple is 70% quieter right now" for the least crowded other open site
+function renderAlternative(comparison, selected, hour){
+  alternativeEl.textContent = '';
+  if (!comparison) return;
+  const category = compareCategorySelect.value;
+  const scope = category ? `${category} site` : 'site';
+  const own = comparison.find(r=>r.location === selected && !r.closed);
+  const best = comparison.find(r=>!r.closed && r.location !== selected && (!category || (LOCATION_REGISTRY.find(l=>l.id === r.location) || {}).category === category));
+  if (!best){
+    alternativeEl.textContent = `No other ${scope} is open at ${hour}:00.`;
+  } else if (!own){
+    alternativeEl.textContent = `Open instead: ${locationName(best.location)} (~${best.footfall.toLocaleString()} visitors, ${best.label.replace(/_/g,' ')}).`;
+  } else if (best.footfall >= own.footfall){
+    alternativeEl.textContent = `${locationName(selected)} is already the least crowded open ${scope} at ${hour}:00.`;
+  } else {
+    const pct = Math.round((1 - best.footfall / Math.max(own.footfall, 1)) * 100);
+    alternativeEl.textContent = `Alternative: ${locationName(best.location)} is ${pct}% quieter right now (~${best.footfall.toLocaleString()} vs ~${own.footfall.toLocaleString()} visitors, ${best.label.replace(/_/g,' ')}).`;
+  }
+}
+
+// ranked horizontal bars coloured by density label; the selected site is outlined
+function renderComparisonChart(comparison, selected){
   heatArea.innerHTML = '';
   const canvas = document.createElement('canvas');
   canvas.width = heatArea.clientWidth || 300;
-  canvas.height = 120;
+  canvas.height = heatArea.clientHeight || 200;
   heatArea.appendChild(canvas);
   const ctx = canvas.getContext('2d');
-
-  // draw gradient background
-  const grd = ctx.createLinearGradient(0,0,canvas.width,canvas.height);
-  grd.addColorStop(0, 'rgba(79,248,255,0.08)');
-  grd.addColorStop(1, 'rgba(138,97,255,0.06)');
-  ctx.fillStyle = grd;
-  ctx.fillRect(0,0,canvas.width,canvas.height);
-
-  // make an array of 24 points representing expected avg footfall per hour for a random selected location
-  const hours = Array.from({length:16},(_,i)=>6+i); // 6..21
-  const loc = locationSelect.value || LOCATIONS[0];
-  // compute avg from PER_LOCATION_STATS topHours (if exists) else simulate using baseScale/timeFactors
-  const hourAverages = hours.map(h=>{
-    // base guess
-    const base = baseScale[loc] || 200;
-    const pop = locPopularity[loc] || 1;
-    const avg = Math.round(base * pop * timeFactor(h));
-    return avg;
+  if (comparison.length === 0) return;
+
+  const left = 110, top = 6, right = 70, bottom = 6;
+  const rh = (canvas.height - top - bottom) / comparison.length;
+  const maxVal = Math.max(1, ...comparison.map(r=>r.closed ? 0 : r.footfall));
+  ctx.font = '10px Poppins, sans-serif';
+  ctx.textBaseline = 'middle';
+  comparison.forEach((r, i)=>{
+    const y = top + i*rh;
+    ctx.fillStyle = 'rgba(230,233,240,0.8)';
+    ctx.textAlign = 'left';
+    ctx.fillText(locationName(r.location).slice(0, 18), 4, y + rh/2);
+    if (r.closed){
+      ctx.fillStyle = 'rgba(230,233,240,0.5)';
+      ctx.fillText('closed', left + 4, y + rh/2);
+      return;
+    }
+    const w = Math.max(2, (canvas.width - left - right) * r.footfall / maxVal);
+    ctx.fillStyle = badgeStyleFor(r.label).bg;
+    ctx.fillRect(left, y + 2, w, rh - 4);
+    if (r.location === selected){
+      ctx.strokeStyle = '#38ffb0';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(left, y + 2, w, rh - 4);
+    }
+    ctx.fillStyle = 'rgba(230,233,240,0.8)';
+    ctx.fillText(`${r.footfall.toLocaleString()} ${r.label.replace(/_/g,' ')}`, left + w + 4, y + rh/2);
   });
-  // normalize to canvas height
-  const maxVal = Math.max(...hourAverages, footfall, 1);
-  // draw line
-  ctx.beginPath();
-  for (let i=0;i<hourAverages.length;i++){
-    const x = (i/(hourAverages.length-1))*(canvas.width-20)+10;
-    const y = canvas.height - (hourAverages[i]/maxVal)*(canvas.height-30) - 10;
-    if (i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
-  }
-  ctx.lineWidth = 3;
-  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
-  ctx.stroke();
-
-  // draw small circles
-  ctx.fillStyle = 'rgba(255,255,255,0.95)';
-  for (let i=0;i<hourAverages.length;i++){
-    const x = (i/(hourAverages.length-1))*(canvas.width-20)+10;
-    const y = canvas.height - (hourAverages[i]/maxVal)*(canvas.height-30) - 10;
-    ctx.beginPath();
-    ctx.arc(x,y,3,0,2*Math.PI);
-    ctx.fill();
-  }
-
-  // draw current footfall marker
-  const pct = Math.max(0, Math.min(1, footfall/maxVal));
-  const markerY = canvas.height - pct*(canvas.height-30) - 10;
-  ctx.fillStyle = 'rgba(255,79,120,0.9)';
-  ctx.beginPath();
-  ctx.arc(canvas.width-18, markerY, 6, 0, 2*Math.PI);
-  ctx.fill();
+
+  canvas.onmousemove = (e)=>{
+    const rect = canvas.getBoundingClientRect();
+    const r = comparison[Math.floor((e.clientY - rect.top - top) / rh)];
+    canvas.title = !r ? '' : r.closed
+      ? `${locationName(r.location)} — closed`
+      : `${locationName(r.location)} — ~${r.footfall.toLocaleString()} (${r.label.replace(/_/g,' ')}, ${Math.round(r.utilization*100)}% of safe capacity)`;
+  };
 }
 
 /* -------------------------
-   RANDOMIZE UI
+   MODEL TRAINING (UI-driven)
    ------------------------- */
-function randomizeInputs(){
-  locationSelect.value = LOCATIONS[Math.floor(Math.random()*LOCATIONS.length)];
-  hourSelect.value = Math.floor(Math.random()*(21-6+1))+6;
-  const d = new Date();
-  d.setDate(d.getDate() + Math.floor(Math.random()*90));
-  dateInput.value = d.toISOString().slice(0,10);
-  const weathers = Object.keys(weatherMultiplier);
-  weatherSelect.value = weathers[Math.floor(Math.random()*weathers.length)];
-  const month = d.getMonth()+1;
-  const base_temp_by_month = [22,23,25,27,28,28,27,27,26,25,24,23];
-  tempInput.value = (base_temp_by_month[month-1] + (Math.random()*4-2)).toFixed(1);
-  isFestival.checked = Math.random() < 0.05;
-  const dow = d.getDay();
-  isHoliday.checked = (dow===0 || dow===6);
+async function trainModelFromUI(){
+  if (TRAINING || GENERATING) return;
+  TRAINING = true;
+  trainBtn.disabled = true;
+  seedBtn.disabled = true;
+  modelStatusEl.textContent = 'Training...';
+  trainProgressEl.style.width = '0%';
+  // the split and SGD order come from the dataset's seed alone (trainingSeed), so
+  // predicting or randomizing first does not change the model a seed trains
+  const job = startEngineJob('train', {config: engineConfig(), data: DATASET, seed: SEED}, ({fraction, message})=>{
+    trainProgressEl.style.width = `${Math.round(fraction*100)}%`;
+    trainLogEl.textContent = message;
+  });
+  cancelTrainBtn.hidden = false;
+  cancelTrainBtn.onclick = (e)=>{ e.preventDefault(); job.cancel(); };
+  try {
+    const result = await job.promise;
+    MODEL = result.model;
+    const m = MODEL.metrics;
+    trainProgressEl.style.width = '100%';
+    modelStatusEl.textContent = `${(m.valAccuracy*100).toFixed(1)}% acc`;
+    trainLogEl.textContent = `Trained on ${m.trainSize.toLocaleString()} rows · validation (${m.valSize.toLocaleString()} rows): footfall MAE ${m.valMAE.toFixed(1)}, label accuracy ${(m.valAccuracy*100).toFixed(1)}%`;
+    modeModel.disabled = false;
+    modeModel.checked = true;
+    exportModelBtn.disabled = false;
+    renderEvaluation(result.report);
+    predictFromUI();
+  } catch (err) {
+    MODEL = null;
+    trainProgressEl.style.width = '0%';
+    if (err.name === 'CancelledError'){
+      modelStatusEl.textContent = 'Not trained';
+      trainLogEl.textContent = 'Training cancelled.';
+    } else {
+      console.error('Training failed', err);
+      modelStatusEl.textContent = 'Training failed';
+      trainLogEl.textContent = err.message;
+    }
+  } finally {
+    TRAINING = false;
+    trainBtn.disabled = false;
+    seedBtn.disabled = false;
+    cancelTrainBtn.hidden = true;
+  }
+}
+
+// a model trained on a previous dataset no longer matches DATASET / its split
+function resetModel(){
+  MODEL = null;
+  exportModelBtn.disabled = true;
+  modeModel.disabled = true;
+  modeHeuristic.checked = true;
+  modelStatusEl.textContent = 'Not trained';
+  trainProgressEl.style.width = '0%';
+  trainLogEl.textContent = 'Ridge regression (footfall) + softmax classifier (density), 80/20 train/validation split.';
+  evalSummaryEl.textContent = 'Train a model to evaluate it on the held-out validation split.';
+  evalContentEl.innerHTML = '';
 }
 
 /* -------------------------
-   DATA DOWNLOAD (CSV)
+   MODEL FILES (export / load)
+   - the JSON from modelToJSON (model.js); a loaded model predicts straight away
+     but has no validation split here, so the evaluation panel stays empty
+   - like a trained one it is dropped when the dataset changes
    ------------------------- */
-function downloadDatasetCSV(){
-  if (!DATASET || DATASET.length === 0) return alert("Dataset not generated yet.");
-  // build CSV header
-  const header = ["datetime","date","day_of_week","month","hour","location","weather","temperature","is_festival","is_holiday","footfall","density_label","density_int"];
-  const rows = DATASET.slice(0, DATASET.length).map(r => {
-    return header.map(h => {
-      let v = r[h];
-      if (v === undefined) v = '';
-      return `"${String(v).replace(/"/g,'""')}"`;
-    }).join(',');
-  });
-  const csv = [header.join(','), ...rows].join('\n');
-  const blob = new Blob([csv], {type: 'text/csv;charset=utf-8;'});
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  const time = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
-  link.download = `temple_crowd_dataset_${time}.csv`;
-  document.body.appendChild(link);
-  link.click();
-  link.remove();
-  URL.revokeObjectURL(url);
+function exportModelFromUI(){
+  if (!MODEL) return alert("Train or load a model first.");
+  const dataset = MODEL.dataset || {seed: SEED, endDate: DATA_END_DATE, rows: DATASET ? DATASET.length : 0, labels: LABELING.mode};
+  const stamp = (MODEL.trainedAt || new Date().toISOString()).slice(0,19).replace(/[:T]/g,'-');
+  downloadJSON(modelToJSON(MODEL, dataset), `crowd_model_seed${dataset.seed}_${stamp}.json`);
+}
+
+async function loadModelFromFile(file){
+  if (TRAINING || GENERATING) return;
+  try {
+    const model = modelFromJSON(JSON.parse(await file.text()));
+    const unknown = model.encoder.locations.filter(l=>!LOCATIONS.includes(l));
+    // metrics are numbers or null (modelFromJSON); format everything before swapping the model in
+    const m = model.metrics || {};
+    const accuracy = m.valAccuracy === null || m.valAccuracy === undefined ? null : m.valAccuracy * 100;
+    const status = accuracy === null ? 'Loaded' : `${fmtMetric(accuracy)}% acc`;
+    const log = `Loaded ${file.name}` + (model.metrics ? ` · validation when trained: footfall MAE ${fmtMetric(m.valMAE)}, label accuracy ${accuracy === null ? '—' : fmtMetric(accuracy) + '%'}` : '') +
+      (unknown.length ? ` · not in the current registry: ${unknown.join(', ')}` : '');
+    MODEL = model;
+    modelStatusEl.textContent = status;
+    trainProgressEl.style.width = '100%';
+    trainLogEl.textContent = log;
+    evalSummaryEl.textContent = 'Loaded model: evaluation needs the validation split it was trained with; retrain to evaluate on this dataset.';
+    evalContentEl.innerHTML = '';
+    modeModel.disabled = false;
+    modeModel.checked = true;
+    exportModelBtn.disabled = false;
+    predictFromUI();
+  } catch (err) {
+    trainLogEl.textContent = `Could not load ${file.name}: ${err.message}`;
+  } finally {
+    modelFileInput.value = '';
+  }
 }
 
 /* -------------------------
-   PREVIEW TABLE (first 50 rows)
+   EVALUATION PANEL
+   - report comes from evaluateModel() (model.js)
    ------------------------- */
-function showPreviewTable(){
-  previewContainer.style.display = previewContainer.style.display === 'none' ? 'block' : 'none';
-  if (previewContainer.style.display === 'none') return;
-  previewContainer.innerHTML = '';
-  const title = document.createElement('h3');
-  title.textContent = 'Dataset Preview (first 50 rows)';
-  title.style.marginBottom = '8px';
-  previewContainer.appendChild(title);
+function fmtMetric(v, digits=1){
+  return v === null || v === undefined ? '—' : v.toFixed(digits);
+}
+function fmtPct(v){
+  return v === null || v === undefined ? '—' : `${(v*100).toFixed(1)}%`;
+}
 
+function makeTable(headers, rows){
   const table = document.createElement('table');
-  table.style.width = '100%';
-  table.style.borderCollapse = 'collapse';
-  table.style.fontSize = '13px';
+  table.className = 'data-table';
   const thead = document.createElement('thead');
-  const headerRow = document.createElement('tr');
-  ["date","hour","location","weather","temp","is_fest","is_hol","footfall","density"].forEach(h=>{
+  const hr = document.createElement('tr');
+  for (let h of headers){
     const th = document.createElement('th');
     th.textContent = h;
-    th.style.textAlign = 'left';
-    th.style.padding = '8px';
-    th.style.color = '#b6c6d6';
-    th.style.fontWeight = 700;
-    headerRow.appendChild(th);
-  });
-  thead.appendChild(headerRow);
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
   table.appendChild(thead);
-
   const tbody = document.createElement('tbody');
-  const rows = DATASET.slice(0,50);
-  for (let r of rows){
+  for (let cells of rows){
     const tr = document.createElement('tr');
-    tr.style.borderBottom = '1px solid rgba(255,255,255,0.03)';
-    const cells = [
-      r.date, r.hour, r.location, r.weather, r.temperature, r.is_festival, r.is_holiday, r.footfall, r.density_label
-    ];
     for (let c of cells){
       const td = document.createElement('td');
-      td.style.padding = '8px';
       td.textContent = c;
-      td.style.color = '#e6eef6';
       tr.appendChild(td);
     }
     tbody.appendChild(tr);
   }
   table.appendChild(tbody);
-  previewContainer.appendChild(table);
+  return table;
 }
 
-/* -------------------------
-   ANALYTICS: show per-location quartiles & top hours
-   ------------------------- */
-function toggleAnalytics(){
-  analyticsContainer.style.display = analyticsContainer.style.display === 'none' ? 'block' : 'none';
-  if (analyticsContainer.style.display === 'none') return;
-  analyticsContainer.innerHTML = '';
-  const title = document.createElement('h3');
-  title.textContent = 'Location Analytics';
-  title.style.marginBottom = '8px';
-  analyticsContainer.appendChild(title);
-
-  for (let loc of LOCATIONS){
-    const st = PER_LOCATION_STATS[loc] || {q1:0,q2:0,q3:0,topHours:[]};
-    const box = document.createElement('div');
-    box.style.marginBottom = '12px';
-    box.style.padding = '12px';
-    box.style.borderRadius = '10px';
-    box.style.background = 'rgba(255,255,255,0.03)';
-    box.style.border = '1px solid rgba(255,255,255,0.04)';
-
-    const h = document.createElement('div');
-    h.style.fontWeight = 700;
-    h.style.marginBottom = '6px';
-    h.textContent = loc.replace('_',' ');
-    box.appendChild(h);
-
-    const q = document.createElement('div');
-    q.style.color = '#b6c6d6';
-    q.style.marginBottom = '6px';
-    q.textContent = `Quartiles (q1 / q2 / q3): ${st.q1} / ${st.q2} / ${st.q3}`;
-    box.appendChild(q);
-
-    const th = document.createElement('div');
-    th.style.color = '#e6eef6';
-    th.textContent = 'Top hours (avg footfall)';
-    box.appendChild(th);
-
-    const ul = document.createElement('ul');
-    ul.style.marginTop = '6px';
-    ul.style.color = '#cfefff';
-    for (let it of st.topHours){
-      const li = document.createElement('li');
-      li.textContent = `${it.hour}:00 — ${it.avg.toLocaleString()} avg`;
-      ul.appendChild(li);
-    }
-    box.appendChild(ul);
-
-    analyticsContainer.appendChild(box);
+function renderEvaluation(report){
+  const {regression, classification} = report.overall;
+  const pretty = l => l.replace(/_/g,' ');
+  const locationRows = LOCATIONS.filter(loc=>report.perLocation[loc]);
+  evalSummaryEl.textContent = `Held-out validation slice: ${regression.n.toLocaleString()} rows never seen during training.`;
+  evalContentEl.innerHTML = '';
+
+  // headline tiles
+  const tiles = document.createElement('div');
+  tiles.className = 'metric-tiles';
+  for (let [name, value] of [
+    ['Footfall MAE', fmtMetric(regression.mae)],
+    ['Footfall RMSE', fmtMetric(regression.rmse)],
+    ['Footfall R²', fmtMetric(regression.r2, 3)],
+    ['Label accuracy', fmtPct(classification.accuracy)]
+  ]){
+    const tile = document.createElement('div');
+    tile.className = 'stat-box';
+    const p = document.createElement('p');
+    p.textContent = name;
+    const h = document.createElement('h2');
+    h.textContent = value;
+    tile.appendChild(p);
+    tile.appendChild(h);
+    tiles.appendChild(tile);
   }
+  evalContentEl.appendChild(tiles);
+
+  const grid = document.createElement('div');
+  grid.className = 'grid-2';
+
+  // confusion matrix: rows = actual, columns = predicted, shaded by row share
+  const cmBox = document.createElement('div');
+  const cmTitle = document.createElement('h3');
+  cmTitle.textContent = 'Confusion matrix (actual × predicted)';
+  cmBox.appendChild(cmTitle);
+  const cm = makeTable(['Actual ↓ / Pred →', ...report.labels.map(pretty)],
+    classification.confusion.map((row, i)=>[pretty(report.labels[i]), ...row.map(v=>v.toLocaleString())]));
+  cm.querySelectorAll('tbody tr').forEach((tr, i)=>{
+    const rowTotal = classification.confusion[i].reduce((a,b)=>a+b,0) || 1;
+    tr.querySelectorAll('td').forEach((td, j)=>{
+      if (j === 0) return;
+      const share = classification.confusion[i][j-1] / rowTotal;
+      td.style.background = i === j-1 ? `rgba(56,255,176,${0.08 + share*0.5})` : `rgba(255,79,109,${share*0.6})`;
+    });
+  });
+  cmBox.appendChild(cm);
+  grid.appendChild(cmBox);
+
+  const pcBox = document.createElement('div');
+  const pcTitle = document.createElement('h3');
+  pcTitle.textContent = 'Per-class precision / recall';
+  pcBox.appendChild(pcTitle);
+  pcBox.appendChild(makeTable(['Class','Precision','Recall','Support'],
+    classification.perClass.map(c=>[pretty(c.label), fmtPct(c.precision), fmtPct(c.recall), c.support.toLocaleString()])));
+  grid.appendChild(pcBox);
+  evalContentEl.appendChild(grid);
+
+  // per-location breakdown (same LOCATIONS order as computePerLocationStats)
+  const locTitle = document.createElement('h3');
+  locTitle.textContent = 'Per-location breakdown';
+  evalContentEl.appendChild(locTitle);
+  evalContentEl.appendChild(makeTable(['Location','Rows','MAE','RMSE','R²','Accuracy'],
+    locationRows.map(loc=>{
+      const m = report.perLocation[loc];
+      return [locationName(loc), m.regression.n.toLocaleString(), fmtMetric(m.regression.mae), fmtMetric(m.regression.rmse),
+        fmtMetric(m.regression.r2, 3), fmtPct(m.classification.accuracy)];
+    })));
 }
 
 /* -------------------------
-   MAPS & QUARTILE DISPLAY
+   DENSITY LABELING (UI)
    ------------------------- */
-function refreshStatsUI(){
-  sampleCountEl.textContent = DATASET.length.toLocaleString();
-  if (QUARTILES) quartilesEl.textContent = `${QUARTILES.q1} / ${QUARTILES.q2} / ${QUARTILES.q3}`;
-  else quartilesEl.textContent = '—';
+// interpolated quartiles, e.g. "151 / 333.5 / 610"
+function formatQuartiles({q1, q2, q3}){
+  return [q1, q2, q3].map(v=>v.toLocaleString(undefined, {maximumFractionDigits: 1})).join(' / ');
 }
 
-/* -------------------------
-   UTIL: download a sample JSON (for quick testing) - optional
-   ------------------------- */
-function downloadSampleJSON(){
-  const sample = DATASET.slice(0,500);
-  const blob = new Blob([JSON.stringify(sample,null,2)], {type:'application/json'});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'sample_temples.json';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+// "0.5 / 1 / 2" -> [0.5, 1, 2]
+function parseThresholdsText(text){
+  return String(text).split(/[\/,;\s]+/).filter(Boolean).map(Number);
 }
 
-/* -------------------------
-   INIT: generate dataset & wire events
-   ------------------------- */
-async function initEverything(){
-  populateUI();
+// switch the labeling mode / capacity thresholds and relabel the current dataset
+async function changeLabeling(raw){
+  if (GENERATING || TRAINING){
+    syncLabelingControls();
+    return alert('Wait for generation / training to finish first.');
+  }
+  let labeling;
+  try {
+    labeling = validateLabeling(raw);
+  } catch (err) {
+    syncLabelingControls();
+    return alert(err.message);
+  }
+  const previous = LABELING;
+  applyLabeling(labeling);
+  syncLabelingControls();
+  if (await applyDatasetWithStats(DATASET)) saveLabeling();
+  else {
+    applyLabeling(previous);
+    syncLabelingControls();
+  }
+  if (analyticsContainer.style.display !== 'none') renderAnalytics();
+  predictFromUI();
+}
 
-  // show a lightweight "loading" state if dataset is large
-  const desiredN = 50000; // default; change smaller if device is low-end
-  // If device memory is small, reduce samples
-  const safeN = Math.min(desiredN, 70000);
+function syncLabelingControls(){
+  labelModeSelect.value = LABELING.mode;
+  labelThresholdsInput.value = LABELING.thresholds.join(' / ');
+  labelThresholdsInput.hidden = LABELING.mode !== 'capacity';
+}
 
-  // generate in chunks to allow UI to remain responsive
-  // chunk size
-  const chunk = 5000;
-  let generated = 0;
-  // show a quick progress in the sampleCountEl
-  sampleCountEl.textContent = 'Generating...';
-  DATASET = [];
-  while (generated < safeN){
-    const toGen = Math.min(chunk, safeN - generated);
-    generateChunkAndAppend(toGen);
-    generated += toGen;
-    sampleCountEl.textContent = `${generated.toLocaleString()} / ${safeN.toLocaleString()}`;
-    // brief await to yield to UI rendering
-    await new Promise(res => setTimeout(res, 20));
-  }
-
-  // finalize quartiles & per-location stats
-  computeGlobalQuartilesAndLabels();
-  computePerLocationStats();
-  refreshStatsUI();
+/* -------------------------
+   DISPLAY RESULT IN UI
+   ------------------------- */
+function badgeStyleFor(label){
+  switch (label){
+    case "Low": return {bg:'#b6c6d6', color:'#031021'};
+    case "Medium": return {bg:'#ffd479', color:'#031021'};
+    case "High": return {bg:'#ff8aa1', color:'#031021'};
+    case "Very_High": return {bg:'#ff4f6d', color:'#031021'};
+    case "Closed": return {bg:'#4a5670', color:'#e6e9f0'};
+    default: return {bg:'#b6c6d6', color:'#031021'};
+  }
+}
+
+function showResult(pred, quiet, selected){
+  const label = pred.label;
+  resultArea.style.display = 'block';
+  densityBadge.textContent = label.replace(/_/g,' ');
+  densityText.textContent = label.replace(/_/g,' ');
+  const style = badgeStyleFor(label);
+  densityBadge.style.background = style.bg;
+  densityBadge.style.color = style.color;
+  footfallEl.textContent = `${pred.low.toLocaleString()} – ${pred.high.toLocaleString()}`;
+  footfallDetailEl.textContent = `Expected ≈ ${pred.mean.toLocaleString()} · P10–P90 range`;
+  renderClassProbabilities(pred.probs);
+  renderCapacity(selected.location, pred);
+
+  const weekView = quiet && quiet.date !== selected.date;
+  const isQuietest = quiet && quiet.date === selected.date && selected.hour >= quiet.start && selected.hour < quiet.end;
+  if (!quiet){
+    suggestion.textContent = "No open slots in the forecast window.";
+  } else if (isQuietest){
+    suggestion.textContent = `This is the quietest window: ${describeWindow(quiet, weekView)}.`;
+  } else if (label === "High" || label === "Very_High"){
+    suggestion.textContent = `Expect queues. Suggested slot: ${describeWindow(quiet, weekView)}.`;
+  } else {
+    suggestion.textContent = `Crowd should be manageable. Quietest window: ${describeWindow(quiet, weekView)}.`;
+  }
+}
+
+// one mini bar per density class
+function renderClassProbabilities(probs){
+  classProbsEl.innerHTML = '';
+  if (!probs) return;
+  DENSITY_LABELS.forEach((l, i)=>{
+    const item = document.createElement('div');
+    item.className = 'class-prob';
+    const name = document.createElement('span');
+    name.textContent = l.replace(/_/g,' ');
+    const bar = document.createElement('span');
+    bar.className = 'class-prob-bar';
+    const fill = document.createElement('span');
+    fill.style.width = `${Math.round(probs[i]*100)}%`;
+    fill.style.background = badgeStyleFor(l).bg;
+    bar.appendChild(fill);
+    const pct = document.createElement('span');
+    pct.textContent = `${Math.round(probs[i]*100)}%`;
+    item.appendChild(name);
+    item.appendChild(bar);
+    item.appendChild(pct);
+    classProbsEl.appendChild(item);
+  });
+}
+
+// utilization of the site's safe capacity at the expected footfall, with the alert
+// level and staff count; the P90 footfall names the staff needed for a busy hour
+function renderCapacity(location, pred){
+  capacityInfoEl.className = 'capacity-alert';
+  if (!pred){
+    capacityInfoEl.textContent = '';
+    return;
+  }
+  const a = assessCapacity(location, pred.mean);
+  const busy = assessCapacity(location, pred.high);
+  const staff = busy.staff > a.staff ? `${a.staff}–${busy.staff}` : String(a.staff);
+  const pct = `${Math.round(a.utilization * 100)}% of safe capacity (${siteCapacity[location].toLocaleString()})`;
+  capacityInfoEl.classList.add(a.level);
+  if (a.level === 'critical') capacityInfoEl.textContent = `CRITICAL: ${pct}. Meter entry and deploy ${staff} volunteers / security staff.`;
+  else if (a.level === 'warning') capacityInfoEl.textContent = `Warning: ${pct}. Recommend ${staff} volunteers / security staff.`;
+  else if (busy.level !== 'ok') capacityInfoEl.textContent = `${pct}; a busy hour (P90) reaches ${Math.round(busy.utilization * 100)}%. Recommend ${staff} staff.`;
+  else capacityInfoEl.textContent = `${pct}. Recommend ${staff} staff.`;
+}
+
+// explicit "Closed" result instead of a footfall number
+function showClosed(location, dow, hour, quiet){
+  resultArea.style.display = 'block';
+  densityBadge.textContent = 'Closed';
+  densityText.textContent = 'Closed';
+  const style = badgeStyleFor('Closed');
+  densityBadge.style.background = style.bg;
+  densityBadge.style.color = style.color;
+  footfallEl.textContent = '—';
+  footfallDetailEl.textContent = '';
+  renderClassProbabilities(null);
+  renderCapacity(location, null);
+  predictionSourceEl.textContent = 'Outside opening hours';
+  const closedToday = (LOCATION_DAY_SLOTS[location] || [])[dow].length === 0;
+  suggestion.textContent = closedToday
+    ? `${locationName(location)} is closed on ${DAY_NAMES[dow]}. Opening hours: ${describeOpening(location)}.`
+    : `${locationName(location)} is closed at ${hour}:00. Opening hours: ${describeOpening(location)}.`;
+  if (quiet) suggestion.textContent += ` Quietest open window this week: ${describeWindow(quiet, true)}.`;
+  renderHourPreview(null);
+}
+
+/* -------------------------
+   HOUR PROFILE PREVIEW
+   - the selected site's average footfall per open hour in DATASET (charts.js),
+     with the current prediction as a marker; the heuristic shape stands in
+     for sites without dataset rows
+   ------------------------- */
+function renderHourPreview(footfall){
+  heatArea.innerHTML = '';
+  const loc = locationSelect.value || LOCATIONS[0];
+  const hours = LOCATION_SLOTS[loc] && LOCATION_SLOTS[loc].length ? LOCATION_SLOTS[loc] : [];
+  if (!hours.length) return;
+  const profile = DATASET.length ? currentProfiles().hour[loc] : null;
+  const fromData = profile && hours.some(h=>profile[h] !== null);
+  const values = hours.map(h=>fromData ? profile[h] : (baseScale[loc] || 200) * (locPopularity[loc] || 1) * timeFactor(h));
+  const selected = hours.indexOf(Number(hourSelect.value));
+  const chart = lineChart(`${locationName(loc)} · ${fromData ? 'dataset average' : 'heuristic shape'} by hour`, hours.map(h=>`${h}:00`),
+    [{name: fromData ? 'Dataset average' : 'Heuristic', values}], {
+      width: heatArea.clientWidth || 300, height: 168,
+      margin: {top: 10, left: 44, right: 10},
+      markers: footfall !== null && selected >= 0
+        ? [{x: selected, value: footfall, label: `This prediction: ~${Math.round(footfall).toLocaleString()} at ${hours[selected]}:00`}]
+        : [],
+      fileName: `hour_profile_${loc}.png`
+    });
+  heatArea.appendChild(chart.figure);
+}
+
+/* -------------------------
+   RANDOMIZE UI
+   ------------------------- */
+function randomizeInputs(){
+  locationSelect.value = LOCATIONS[Math.floor(rng()*LOCATIONS.length)];
+  const d = new Date();
+  d.setDate(d.getDate() + Math.floor(rng()*90));
+  dateInput.value = d.toISOString().slice(0,10);
+  refreshHourOptions();
+  // that day's slots (what the select offers), not every hour the site opens on some day
+  const slots = Array.from(hourSelect.options, o=>o.value);
+  hourSelect.value = slots[Math.floor(rng()*slots.length)];
+  const month = d.getMonth()+1;
+  weatherSelect.value = drawWeather(month);
+  tempInput.value = (typicalTemperature(month, weatherSelect.value, Number(hourSelect.value)) + (rng()*2-1) * SIMULATION.temperature.spread).toFixed(1);
+  syncCalendarFlags();
+}
+
+/* -------------------------
+   DATA DOWNLOAD (CSV / Arrow / bundle)
+   ------------------------- */
+function downloadBlob(blob, fileName){
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function datasetFileName(ext, filtered=false){
+  const time = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+  return `temple_crowd_dataset_seed${SEED}${filtered ? '_filtered' : ''}_${time}.${ext}`;
+}
+
+// indices (explorer view) selects a subset, null = whole dataset; filterNote describes the subset
+function downloadDatasetCSV(indices = null, filterNote = ''){
+  if (!DATASET || DATASET.length === 0) return alert("Dataset not generated yet.");
+  const csv = datasetToCSV(DATASET, SEED, {indices, filterNote});
+  downloadBlob(new Blob([csv], {type: 'text/csv;charset=utf-8;'}), datasetFileName('csv', !!indices));
+}
+
+function downloadDatasetArrow(){
+  if (!DATASET || DATASET.length === 0) return alert("Dataset not generated yet.");
+  downloadBlob(new Blob([datasetToArrow(DATASET, SEED)], {type: 'application/vnd.apache.arrow.file'}), datasetFileName('arrow'));
+}
+
+function downloadDatasetBundle(){
+  if (!DATASET || DATASET.length === 0) return alert("Dataset not generated yet.");
+  downloadJSON(datasetBundle(DATASET, SEED, {quartiles: QUARTILES, perLocationStats: PER_LOCATION_STATS}), datasetFileName('bundle.json'));
+}
+
+/* -------------------------
+   DATASET EXPLORER
+   - filters + sort work on the dataset columns and produce EXPLORER.view
+     (an Int32Array of row indices); only the visible page becomes row objects
+   - "Export filtered" writes the same CSV schema as Download CSV
+   ------------------------- */
+// key: field of datasetRow(); column: dataset column the header sorts by
+const EXPLORER_COLUMNS = [
+  {key:'date', label:'date', column:'time'},
+  {key:'hour', label:'hour', column:'hour'},
+  {key:'location', label:'location', column:'location'},
+  {key:'weather', label:'weather', column:'weather'},
+  {key:'temperature', label:'temp', column:'temp10'},
+  {key:'is_festival', label:'is_fest', column:'festival'},
+  {key:'is_holiday', label:'is_hol', column:'holiday'},
+  {key:'footfall', label:'footfall', column:'footfall'},
+  {key:'density_label', label:'density', column:'density'},
+  {key:'source', label:'source', column:'source'}
+];
+const EXPLORER_EMPTY_FILTERS = {location:'', weather:'', from:'', to:'', hourFrom:'', hourTo:'', label:''};
+const EXPLORER = {filters: {...EXPLORER_EMPTY_FILTERS}, sortKey: 'time', sortDir: 1, page: 0, pageSize: 50, view: new Int32Array(0)};
+let explorerEls = null; // {count, tbody, headers, pageInfo, first, prev, next, last}
+
+// dictionary-encoded columns sort by their text, not by dictionary order
+const EXPLORER_DICTIONARIES = {location: 'locations', weather: 'weathers', source: 'sources'};
+
+function computeExplorerView(){
+  const {filters: f, sortKey, sortDir} = EXPLORER;
+  const c = DATASET.columns;
+  const dayOf = (s)=>s ? Date.parse(s + 'T00:00:00Z') / DAY_MS : null;
+  const loc = f.location ? DATASET.locations.indexOf(f.location) : null;
+  const weather = f.weather ? DATASET.weathers.indexOf(f.weather) : null;
+  const label = f.label ? DENSITY_LABELS.indexOf(f.label) : null;
+  const from = dayOf(f.from), to = dayOf(f.to);
+  const hourFrom = f.hourFrom === '' ? null : Number(f.hourFrom);
+  const hourTo = f.hourTo === '' ? null : Number(f.hourTo);
+
+  const view = new Int32Array(DATASET.length);
+  let n = 0;
+  for (let i=0;i<DATASET.length;i++){
+    if (loc !== null && c.location[i] !== loc) continue;
+    if (weather !== null && c.weather[i] !== weather) continue;
+    if (label !== null && c.density[i] !== label) continue;
+    if (from !== null && c.day[i] < from) continue;
+    if (to !== null && c.day[i] > to) continue;
+    if (hourFrom !== null && c.hour[i] < hourFrom) continue;
+    if (hourTo !== null && c.hour[i] > hourTo) continue;
+    view[n++] = i;
+  }
+
+  let key = c[sortKey];
+  const dict = EXPLORER_DICTIONARIES[sortKey];
+  if (dict){
+    const names = DATASET[dict];
+    const rank = names.map((_, k)=>k).sort((a,b)=>names[a] < names[b] ? -1 : names[a] > names[b] ? 1 : 0);
+    const rankOf = new Int32Array(names.length);
+    rank.forEach((k, r)=>{ rankOf[k] = r; });
+    key = Array.from(key, k=>rankOf[k]);
+  }
+  const time = c.time;
+  EXPLORER.view = view.subarray(0, n).sort((a,b)=>(key[a] - key[b]) * sortDir || time[a] - time[b]);
+  EXPLORER.page = 0;
+}
+
+// short, comma-free summary of the active filters for the CSV meta line
+function describeExplorerFilters(){
+  const f = EXPLORER.filters;
+  const parts = [];
+  for (let key of ['location','weather','label']) if (f[key]) parts.push(`${key}:${f[key]}`);
+  if (f.from || f.to) parts.push(`date:${f.from || '*'}..${f.to || '*'}`);
+  if (f.hourFrom !== '' || f.hourTo !== '') parts.push(`hour:${f.hourFrom === '' ? '*' : f.hourFrom}..${f.hourTo === '' ? '*' : f.hourTo}`);
+  return parts.join(';');
+}
+
+function showPreviewTable(){
+  previewContainer.style.display = previewContainer.style.display === 'none' ? 'block' : 'none';
+  if (previewContainer.style.display === 'none') return;
+  previewContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Dataset Explorer';
+  title.style.marginBottom = '8px';
+  previewContainer.appendChild(title);
+
+  // filters
+  const filters = document.createElement('div');
+  filters.className = 'explorer-filters';
+  const filterField = (labelText, input, key)=>{
+    const wrap = document.createElement('label');
+    wrap.className = 'small-label';
+    wrap.textContent = labelText;
+    input.value = EXPLORER.filters[key];
+    input.onchange = ()=>{
+      EXPLORER.filters[key] = input.value;
+      computeExplorerView();
+      renderExplorerRows();
+    };
+    wrap.appendChild(input);
+    filters.appendChild(wrap);
+    return input;
+  };
+  const select = (values, allText, labelFor = v=>v)=>{
+    const sel = document.createElement('select');
+    for (let v of ['', ...values]){
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = v ? labelFor(v) : allText;
+      sel.appendChild(opt);
+    }
+    return sel;
+  };
+  const input = (type, attrs={})=>{
+    const el = document.createElement('input');
+    el.type = type;
+    Object.assign(el, attrs);
+    return el;
+  };
+  const inputs = [
+    filterField('Location', select(LOCATIONS, 'All locations', locationName), 'location'),
+    filterField('Weather', select(Object.keys(weatherMultiplier), 'All weather'), 'weather'),
+    filterField('Density', select(DENSITY_LABELS, 'All labels'), 'label'),
+    filterField('From', input('date'), 'from'),
+    filterField('To', input('date'), 'to'),
+    filterField('Hour ≥', input('number', {min: 0, max: 23, placeholder: '0'}), 'hourFrom'),
+    filterField('Hour ≤', input('number', {min: 0, max: 23, placeholder: '23'}), 'hourTo')
+  ];
+  previewContainer.appendChild(filters);
+
+  const actions = document.createElement('div');
+  actions.className = 'button-row editor-actions explorer-actions';
+  const count = document.createElement('span');
+  count.className = 'small-label';
+  const reset = document.createElement('button');
+  reset.className = 'btn ghost';
+  reset.textContent = 'Clear Filters';
+  reset.onclick = (e)=>{
+    e.preventDefault();
+    EXPLORER.filters = {...EXPLORER_EMPTY_FILTERS};
+    for (let el of inputs) el.value = '';
+    computeExplorerView();
+    renderExplorerRows();
+  };
+  const exportBtn = document.createElement('button');
+  exportBtn.className = 'btn ghost';
+  exportBtn.textContent = 'Export Filtered CSV';
+  exportBtn.onclick = (e)=>{
+    e.preventDefault();
+    if (EXPLORER.view.length === 0) return alert('No rows match the current filters.');
+    downloadDatasetCSV(EXPLORER.view, describeExplorerFilters());
+  };
+  actions.appendChild(count);
+  actions.appendChild(reset);
+  actions.appendChild(exportBtn);
+  previewContainer.appendChild(actions);
+
+  // table: header click sorts, clicking the active column flips direction
+  const table = document.createElement('table');
+  table.className = 'data-table explorer-table';
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  const headers = EXPLORER_COLUMNS.map(col=>{
+    const th = document.createElement('th');
+    th.dataset.sortKey = col.column;
+    th.dataset.label = col.label;
+    th.onclick = ()=>{
+      const key = th.dataset.sortKey;
+      EXPLORER.sortDir = EXPLORER.sortKey === key ? -EXPLORER.sortDir : 1;
+      EXPLORER.sortKey = key;
+      computeExplorerView();
+      renderExplorerRows();
+    };
+    headerRow.appendChild(th);
+    return th;
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+  const scroller = document.createElement('div');
+  scroller.className = 'explorer-scroll';
+  scroller.appendChild(table);
+  previewContainer.appendChild(scroller);
+
+  // pager
+  const pager = document.createElement('div');
+  pager.className = 'button-row explorer-pager';
+  const pageBtn = (text, step)=>{
+    const b = document.createElement('button');
+    b.className = 'btn ghost';
+    b.textContent = text;
+    b.onclick = (e)=>{
+      e.preventDefault();
+      const pages = Math.max(1, Math.ceil(EXPLORER.view.length / EXPLORER.pageSize));
+      EXPLORER.page = step === 'first' ? 0 : step === 'last' ? pages - 1 : Math.min(pages - 1, Math.max(0, EXPLORER.page + step));
+      renderExplorerRows();
+    };
+    pager.appendChild(b);
+    return b;
+  };
+  const first = pageBtn('«', 'first');
+  const prev = pageBtn('‹ Prev', -1);
+  const pageInfo = document.createElement('span');
+  pageInfo.className = 'small-label';
+  pager.appendChild(pageInfo);
+  const next = pageBtn('Next ›', 1);
+  const last = pageBtn('»', 'last');
+  const size = document.createElement('select');
+  for (let n of [25, 50, 100, 250]){
+    const opt = document.createElement('option');
+    opt.value = n;
+    opt.textContent = `${n} / page`;
+    size.appendChild(opt);
+  }
+  size.value = EXPLORER.pageSize;
+  size.onchange = ()=>{
+    EXPLORER.pageSize = Number(size.value);
+    EXPLORER.page = 0;
+    renderExplorerRows();
+  };
+  pager.appendChild(size);
+  previewContainer.appendChild(pager);
+
+  explorerEls = {count, tbody, headers, pageInfo, first, prev, next, last};
+  computeExplorerView();
+  renderExplorerRows();
+}
+
+function renderExplorerRows(){
+  const {count, tbody, headers, pageInfo, first, prev, next, last} = explorerEls;
+  const {view, page, pageSize, sortKey, sortDir} = EXPLORER;
+  const pages = Math.max(1, Math.ceil(view.length / pageSize));
+  count.textContent = view.length === DATASET.length
+    ? `${DATASET.length.toLocaleString()} rows`
+    : `${view.length.toLocaleString()} of ${DATASET.length.toLocaleString()} rows`;
+  for (let th of headers){
+    th.textContent = th.dataset.label + (th.dataset.sortKey === sortKey ? (sortDir > 0 ? ' ▲' : ' ▼') : '');
+    th.classList.toggle('sorted', th.dataset.sortKey === sortKey);
+  }
+
+  tbody.innerHTML = '';
+  for (let i of view.subarray(page * pageSize, (page + 1) * pageSize)){
+    const r = datasetRow(DATASET, i);
+    const tr = document.createElement('tr');
+    for (let col of EXPLORER_COLUMNS){
+      const td = document.createElement('td');
+      td.textContent = r[col.key];
+      tr.appendChild(td);
+    }
+    if (r.source !== 'synthetic') tr.lastChild.style.color = '#38ffb0';
+    tbody.appendChild(tr);
+  }
+  if (view.length === 0){
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = EXPLORER_COLUMNS.length;
+    td.textContent = 'No rows match the current filters.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+
+  pageInfo.textContent = `Page ${(page + 1).toLocaleString()} / ${pages.toLocaleString()}`;
+  first.disabled = prev.disabled = page === 0;
+  next.disabled = last.disabled = page >= pages - 1;
+}
+
+// keeps an open explorer in step with imports / regeneration
+function refreshDataExplorer(){
+  if (!explorerEls || previewContainer.style.display === 'none') return;
+  computeExplorerView();
+  renderExplorerRows();
+}
+
+/* -------------------------
+   ANALYTICS: charts of DATASET (charts.js) + per-location summary table
+   - box plot of footfall per location, hour-of-day and day-of-week profiles,
+     month × hour heatmap and mean footfall per weather for the chosen site
+     (or all locations); site profiles are drawn against the all-locations line
+   - datasetProfiles() runs once per dataset (PROFILES_DATA is the dataset it describes)
+   ------------------------- */
+let ANALYTICS_SITE = ALL_SITES;
+let PROFILES = null;
+let PROFILES_DATA = null;
+
+function currentProfiles(){
+  if (PROFILES_DATA !== DATASET){
+    PROFILES = datasetProfiles(DATASET);
+    PROFILES_DATA = DATASET;
+  }
+  return PROFILES;
+}
+
+function toggleAnalytics(){
+  analyticsContainer.style.display = analyticsContainer.style.display === 'none' ? 'block' : 'none';
+  if (analyticsContainer.style.display !== 'none') renderAnalytics();
+}
+
+function renderAnalytics(){
+  analyticsContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Location Analytics';
+  title.style.marginBottom = '8px';
+  analyticsContainer.appendChild(title);
+  if (DATASET.length === 0){
+    const empty = document.createElement('p');
+    empty.className = 'small-label';
+    empty.textContent = 'No dataset rows yet.';
+    analyticsContainer.appendChild(empty);
+    return;
+  }
+
+  const profiles = currentProfiles();
+  const width = Math.max(320, (analyticsContainer.clientWidth || 720) - 40);
+  analyticsContainer.appendChild(boxPlotChart('Footfall per location (box = Q1–Q3, whiskers 1.5 × IQR, dot = mean)',
+    LOCATIONS.map(id=>({label: locationName(id), box: profiles.boxes[id] || null})),
+    {width, height: 280, yLabel: 'visitors / hour', fileName: 'footfall_by_location.png'}).figure);
+
+  if (!LOCATIONS.includes(ANALYTICS_SITE)) ANALYTICS_SITE = ALL_SITES;
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const siteLabel = document.createElement('span');
+  siteLabel.className = 'small-label';
+  siteLabel.textContent = 'Profiles for';
+  row.appendChild(siteLabel);
+  const siteSelect = document.createElement('select');
+  siteSelect.style.maxWidth = '260px';
+  for (let [value, text] of [[ALL_SITES, 'All locations'], ...LOCATIONS.map(id=>[id, locationName(id)])]){
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    siteSelect.appendChild(opt);
+  }
+  siteSelect.value = ANALYTICS_SITE;
+  siteSelect.onchange = ()=>{
+    ANALYTICS_SITE = siteSelect.value;
+    renderAnalytics();
+  };
+  row.appendChild(siteSelect);
+  analyticsContainer.appendChild(row);
+
+  const site = ANALYTICS_SITE;
+  const name = site === ALL_SITES ? 'All locations' : locationName(site);
+  const file = site === ALL_SITES ? 'all' : site;
+  const against = (key, values)=>site === ALL_SITES
+    ? [{name, values}]
+    : [{name, values}, {name: 'All locations', values: profiles[key][ALL_SITES], dashed: true, color: CHART_THEME.muted}];
+
+  // hours that have rows anywhere, so every site is drawn on the same axis
+  const anyHour = profiles.hour[ALL_SITES].map((v, h)=>v === null ? null : h).filter(h=>h !== null);
+  const hours = anyHour.length ? Array.from({length: anyHour[anyHour.length-1] - anyHour[0] + 1}, (_, k)=>anyHour[0] + k) : [];
+  const siteHour = profiles.hour[site] || Array(24).fill(null);
+  analyticsContainer.appendChild(lineChart(`Hour-of-day profile · ${name}`, hours.map(h=>`${h}:00`),
+    against('hour', siteHour).map(s=>({...s, values: hours.map(h=>s.values[h])})),
+    {width, height: 240, yLabel: 'mean visitors / hour', fileName: `hour_profile_${file}.png`}).figure);
+
+  analyticsContainer.appendChild(lineChart(`Day-of-week profile · ${name}`, DAY_NAMES,
+    against('weekday', profiles.weekday[site] || Array(7).fill(null)),
+    {width, height: 220, yLabel: 'mean visitors / hour', fileName: `weekday_profile_${file}.png`}).figure);
+
+  const monthHour = profiles.monthHour[site] || MONTH_NAMES.map(()=>Array(24).fill(null));
+  analyticsContainer.appendChild(heatmapChart(`Month × hour · ${name}`, hours.map(h=>`${h}`), MONTH_NAMES,
+    monthHour.map(row=>hours.map(h=>row[h])),
+    {width, height: 300, xLabel: 'hour of day', fileName: `month_hour_${file}.png`}).figure);
+
+  const byWeather = profiles.weather[site] || {};
+  const overall = profiles.boxes[site] ? profiles.boxes[site].mean : null;
+  analyticsContainer.appendChild(barChart(`Weather impact · ${name}`,
+    DATASET.weathers.filter(w=>byWeather[w] !== null && byWeather[w] !== undefined).map((w, i)=>({
+      label: w, value: byWeather[w], color: chartColor(i),
+      note: overall ? `${(byWeather[w] / overall).toFixed(2)}× avg` : null
+    })),
+    {width, height: 220, yLabel: 'mean visitors / hour', fileName: `weather_impact_${file}.png`}).figure);
+
+  analyticsContainer.appendChild(locationSummaryTable());
+}
+
+// quartiles, label cutoffs, row sources and top hours per location
+function locationSummaryTable(){
+  const table = makeTable(['Location', 'Category', 'Rows (synthetic / imported)', 'Q1 / Q2 / Q3', 'Label cutoffs (Low / Medium / High ≤)', 'Top hours (avg)'],
+    LOCATIONS.map(loc=>{
+      const st = PER_LOCATION_STATS[loc] || {q1:0,q2:0,q3:0,topHours:[],sources:{}};
+      const category = (LOCATION_REGISTRY.find(l=>l.id === loc) || {}).category || '—';
+      const sources = st.sources || {};
+      const imported = Object.keys(sources).filter(k=>k !== 'synthetic').reduce((a,k)=>a+sources[k],0);
+      const bounds = QUARTILES && QUARTILES.cutoffs[loc];
+      return [locationName(loc), category, `${(sources.synthetic || 0).toLocaleString()} / ${imported.toLocaleString()}`,
+        formatQuartiles(st),
+        bounds ? bounds.map(v=>Math.round(v).toLocaleString()).join(' / ') : 'no rows',
+        st.topHours.map(it=>`${it.hour}:00 (${it.avg.toLocaleString()})`).join(', ') || '—'];
+    }));
+  table.classList.add('analytics-table');
+  return table;
+}
+
+/* -------------------------
+   TIME-SERIES FORECAST (UI)
+   - forecastLocation() (engine.js) on DATASET for one site: backtest chart of the
+     held-out days against Holt-Winters and the seasonal-naive baseline, then the
+     next FORECAST_HORIZON days with their P10–P90 band after the last four weeks
+   ------------------------- */
+let FORECAST_SITE = null;
+let FORECAST_HORIZON = 14;
+const FORECAST_CONTEXT_DAYS = 28;
+
+function toggleForecastPanel(){
+  forecastContainer.style.display = forecastContainer.style.display === 'none' ? 'block' : 'none';
+  if (forecastContainer.style.display !== 'none') renderForecast();
+}
+
+function dayLabel(day){
+  const date = new Date(day * DAY_MS).toISOString().slice(0,10);
+  return `${DAY_NAMES[(day + 4) % 7]} ${date.slice(8)}/${date.slice(5,7)}`;
+}
+
+function renderForecast(){
+  forecastContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Time-series Forecast';
+  title.style.marginBottom = '8px';
+  forecastContainer.appendChild(title);
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = `Daily footfall per site, forecast with Holt-Winters (additive trend + weekly season). The backtest hides the last ${FORECAST_HORIZON} days, forecasts them from the rest and compares with the seasonal-naive baseline (same weekday a week earlier). Festivals and holidays are not modelled, so event days show up as misses.`;
+  forecastContainer.appendChild(hint);
+
+  if (!LOCATIONS.includes(FORECAST_SITE)) FORECAST_SITE = LOCATIONS.includes(locationSelect.value) ? locationSelect.value : LOCATIONS[0];
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const siteSelect = document.createElement('select');
+  siteSelect.style.maxWidth = '260px';
+  for (let id of LOCATIONS){
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = locationName(id);
+    siteSelect.appendChild(opt);
+  }
+  siteSelect.value = FORECAST_SITE;
+  siteSelect.onchange = ()=>{
+    FORECAST_SITE = siteSelect.value;
+    renderForecast();
+  };
+  row.appendChild(siteSelect);
+  const horizonLabel = document.createElement('label');
+  horizonLabel.className = 'small-label';
+  horizonLabel.textContent = 'Days ahead';
+  const horizonInput = document.createElement('input');
+  horizonInput.type = 'number';
+  horizonInput.min = 1;
+  horizonInput.max = 90;
+  horizonInput.value = FORECAST_HORIZON;
+  horizonInput.style.width = '80px';
+  horizonInput.onchange = ()=>{
+    const h = Number(horizonInput.value);
+    if (Number.isInteger(h) && h >= 1 && h <= 90) FORECAST_HORIZON = h;
+    renderForecast();
+  };
+  horizonLabel.appendChild(horizonInput);
+  row.appendChild(horizonLabel);
+  forecastContainer.appendChild(row);
+
+  let result;
+  try {
+    result = forecastLocation(DATASET, FORECAST_SITE, {horizon: FORECAST_HORIZON});
+  } catch (err) {
+    const msg = document.createElement('p');
+    msg.className = 'import-error';
+    msg.textContent = err.message;
+    forecastContainer.appendChild(msg);
+    return;
+  }
+
+  const {backtest, forecast, totals, startDay, params} = result;
+  const pct = (v)=>v === null ? '—' : `${(v*100).toFixed(1)}%`;
+  const errorsRow = (name, e)=>[name, Math.round(e.mae).toLocaleString(), Math.round(e.rmse).toLocaleString(), pct(e.mape)];
+  const table = makeTable(['Backtest (last ' + FORECAST_HORIZON + ' days)', 'MAE', 'RMSE', 'MAPE'], [
+    errorsRow('Holt-Winters', backtest.errors.holtWinters),
+    errorsRow('Seasonal naive', backtest.errors.seasonalNaive)
+  ]);
+  table.classList.add('analytics-table');
+  forecastContainer.appendChild(table);
+  const note = document.createElement('p');
+  note.className = 'small-label';
+  note.style.marginTop = '6px';
+  note.textContent = `${totals.length.toLocaleString()} days of history · α ${params.alpha}, β ${params.beta}, γ ${params.gamma} · one-step error ±${Math.round(result.sigma).toLocaleString()} visitors / day` +
+    (result.filled ? ` · ${result.filled} missing day${result.filled === 1 ? '' : 's'} filled from the week before` : '');
+  forecastContainer.appendChild(note);
+
+  const width = Math.max(320, (forecastContainer.clientWidth || 720) - 40);
+  const name = locationName(FORECAST_SITE);
+  const band = (values, offset, length)=>Array.from({length}, (_, i)=>i < offset ? null : values[i - offset]);
+
+  // backtest: four weeks before the split, then the held-out days
+  const btFrom = Math.max(0, backtest.split - FORECAST_CONTEXT_DAYS);
+  const btDays = totals.length - btFrom, btOffset = backtest.split - btFrom;
+  forecastContainer.appendChild(lineChart(`Backtest · ${name}`,
+    Array.from({length: btDays}, (_, i)=>dayLabel(startDay + btFrom + i)), [
+      {name: 'Actual', values: Array.from(totals.slice(btFrom))},
+      {name: 'Holt-Winters', values: band(backtest.forecast.mean, btOffset, btDays), dashed: true},
+      {name: 'Seasonal naive', values: band(backtest.naive, btOffset, btDays), dashed: true, color: CHART_THEME.muted}
+    ],
+    {width, height: 240, yLabel: 'visitors / day', fileName: `forecast_backtest_${FORECAST_SITE}.png`,
+      bands: [{name: 'P10–P90', low: band(backtest.forecast.low, btOffset, btDays), high: band(backtest.forecast.high, btOffset, btDays)}]}).figure);
+
+  // the last four weeks, then the forecast
+  const fcFrom = Math.max(0, totals.length - FORECAST_CONTEXT_DAYS);
+  const history = totals.length - fcFrom, fcDays = history + FORECAST_HORIZON;
+  forecastContainer.appendChild(lineChart(`Next ${FORECAST_HORIZON} days · ${name}`,
+    Array.from({length: fcDays}, (_, i)=>dayLabel(startDay + fcFrom + i)), [
+      {name: 'Actual', values: [...Array.from(totals.slice(fcFrom)), ...Array(FORECAST_HORIZON).fill(null)]},
+      {name: 'Forecast', values: band(forecast.mean, history, fcDays), dashed: true}
+    ],
+    {width, height: 240, yLabel: 'visitors / day', fileName: `forecast_${FORECAST_SITE}.png`,
+      bands: [{name: 'P10–P90', low: band(forecast.low, history, fcDays), high: band(forecast.high, history, fcDays)}]}).figure);
+}
+
+/* -------------------------
+   WHAT-IF SCENARIOS (UI)
+   - named scenarios (validateScenario / withScenario in engine.js), kept in localStorage
+   - the comparison table reruns the form's prediction under every scenario
+     (heuristic expected footfall, the baseline's density labels) and, on demand,
+     regenerates the dataset once per scenario from the current seed (the
+     'scenarios' job) for side-by-side stats
+   - the tornado chart shows, for the form's input, how far each factor alone
+     swings the expected footfall (footfallSensitivity) under the chosen scenario
+   ------------------------- */
+const SCENARIO_STORAGE_KEY = 'crowdPredictor.scenarios';
+let SCENARIOS = null; // validated scenarios, loaded when the panel first opens
+let SCENARIO_DRAFT = null; // {index, raw} being edited (index -1 = new), null = editor closed
+let SCENARIO_STATS = null; // {key, results} of the last dataset comparison (results[0] = baseline)
+let SCENARIO_JOB = null; // running 'scenarios' job
+let SENSITIVITY_SCENARIO = ''; // scenario name for the tornado chart, '' = baseline
+let scenarioResultsEl = null;
+
+function loadScenarios(){
+  try {
+    const stored = localStorage.getItem(SCENARIO_STORAGE_KEY);
+    // sites removed from the registry since the scenario was saved are dropped
+    const known = (table)=>Object.fromEntries(Object.entries(table || {}).filter(([id])=>LOCATIONS.includes(id)));
+    if (stored) return JSON.parse(stored).scenarios.map(s=>validateScenario({...s, popularity: known(s.popularity), baseScale: known(s.baseScale)}));
+  } catch (err) {
+    console.warn('Ignoring stored scenarios', err);
+  }
+  return [];
+}
+
+function saveScenarios(){
+  try {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify({version:1, scenarios: SCENARIOS}));
+  } catch (err) {
+    console.warn('Could not persist scenarios', err);
+  }
+}
+
+// every overridable factor as an input string ('' = baseline)
+function toScenarioDraft(s){
+  const fill = (keys, table)=>Object.fromEntries(keys.map(k=>[k, table && table[k] !== undefined ? String(table[k]) : '']));
+  return {
+    name: s ? s.name : '',
+    popularity: fill(LOCATIONS, s && s.popularity),
+    baseScale: fill(LOCATIONS, s && s.baseScale),
+    weather: fill(Object.keys(weatherMultiplier), s && s.weather),
+    time: fill(TIME_BUCKETS.map(b=>b.id), s && s.time),
+    festival: s && s.festival !== null ? String(s.festival) : '',
+    holiday: s && s.holiday !== null ? String(s.holiday) : ''
+  };
+}
+
+function describeScenario(s){
+  const parts = [];
+  const list = (title, table, name=(k)=>k)=>{
+    const entries = Object.entries(table);
+    if (entries.length) parts.push(`${title}: ${entries.map(([k, v])=>`${name(k)} ${v}`).join(', ')}`);
+  };
+  list('Popularity', s.popularity, locationName);
+  list('Base scale', s.baseScale, locationName);
+  list('Weather', s.weather);
+  list('Time', s.time, (id)=>TIME_BUCKETS.find(b=>b.id === id).label);
+  if (s.festival !== null) parts.push(`Festival ×${s.festival}`);
+  if (s.holiday !== null) parts.push(`Holiday ×${s.holiday}`);
+  return parts.join(' · ') || 'No overrides (same as baseline)';
+}
+
+function toggleScenarioPanel(){
+  scenarioContainer.style.display = scenarioContainer.style.display === 'none' ? 'block' : 'none';
+  if (scenarioContainer.style.display === 'none') return;
+  if (SCENARIOS === null) SCENARIOS = loadScenarios();
+  renderScenarioPanel();
+}
+
+function renderScenarioPanel(message, isError){
+  scenarioContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'What-if Scenarios';
+  title.style.marginBottom = '8px';
+  scenarioContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = 'A scenario overrides heuristic factors (blank = baseline value) and is compared with the baseline for the prediction form and, on request, for a dataset regenerated with the current seed. Scenarios never change the dataset in use, and the trained model ignores them.';
+  scenarioContainer.appendChild(hint);
+
+  const button = (row, text, cls, handler)=>{
+    const b = document.createElement('button');
+    b.className = `btn ${cls}`;
+    b.textContent = text;
+    b.onclick = (e)=>{ e.preventDefault(); handler(); };
+    row.appendChild(b);
+    return b;
+  };
+
+  if (SCENARIOS.length){
+    const table = makeTable(['Scenario', 'Overrides', ''], SCENARIOS.map(s=>[s.name, describeScenario(s), '']));
+    table.classList.add('editor-table');
+    table.querySelectorAll('tbody tr').forEach((tr, i)=>{
+      const cell = tr.lastChild;
+      button(cell, 'Edit', 'ghost', ()=>{
+        SCENARIO_DRAFT = {index: i, raw: toScenarioDraft(SCENARIOS[i])};
+        renderScenarioPanel();
+      });
+      button(cell, 'Delete', 'ghost', ()=>{
+        const [removed] = SCENARIOS.splice(i, 1);
+        if (SENSITIVITY_SCENARIO === removed.name) SENSITIVITY_SCENARIO = '';
+        saveScenarios();
+        renderScenarioPanel(`Deleted "${removed.name}".`);
+      });
+    });
+    scenarioContainer.appendChild(table);
+  }
+
+  if (SCENARIO_DRAFT) scenarioContainer.appendChild(scenarioEditor(button));
 
-  // initial randomize & predict
-  randomizeInputs();
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  button(row, 'New Scenario', 'ghost', ()=>{
+    SCENARIO_DRAFT = {index: -1, raw: toScenarioDraft(null)};
+    renderScenarioPanel();
+  });
+  button(row, 'Export JSON', 'ghost', ()=>downloadJSON({version:1, scenarios: SCENARIOS}, 'crowd_scenarios.json'));
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.onchange = ()=>{ if (fileInput.files[0]) importScenarios(fileInput.files[0]); };
+  row.appendChild(fileInput);
+  button(row, 'Import JSON', 'ghost', ()=>fileInput.click());
+  scenarioContainer.appendChild(row);
+
+  if (message){
+    const msg = document.createElement('p');
+    msg.className = isError ? 'import-error' : 'small-label';
+    msg.style.marginTop = '10px';
+    msg.textContent = message;
+    scenarioContainer.appendChild(msg);
+  }
+
+  scenarioResultsEl = document.createElement('div');
+  scenarioContainer.appendChild(scenarioResultsEl);
+  renderScenarioResults();
+}
+
+// the draft's inputs; baseline values show as placeholders
+function scenarioEditor(button){
+  const draft = SCENARIO_DRAFT.raw;
+  const wrap = document.createElement('div');
+  wrap.className = 'scenario-editor';
+  const input = (obj, key, placeholder, attrs={})=>{
+    const el = document.createElement('input');
+    el.type = attrs.type || 'number';
+    el.value = obj[key];
+    el.placeholder = placeholder;
+    if (el.type === 'number'){
+      el.min = 0;
+      el.step = attrs.step || 0.05;
+    }
+    el.oninput = ()=>{ obj[key] = el.value; };
+    return el;
+  };
+  const field = (labelText, el)=>{
+    const label = document.createElement('label');
+    label.className = 'small-label';
+    label.textContent = labelText;
+    label.appendChild(el);
+    return label;
+  };
+  const grid = (entries)=>{
+    const g = document.createElement('div');
+    g.className = 'settings-grid';
+    for (let [labelText, el] of entries) g.appendChild(field(labelText, el));
+    return g;
+  };
+
+  wrap.appendChild(grid([
+    ['Scenario name', input(draft, 'name', 'e.g. Dasara weekend', {type: 'text'})],
+    [`Festival factor (calendar, default ${DEFAULT_FESTIVAL_INTENSITY})`, input(draft, 'festival', 'calendar')],
+    [`Holiday factor (calendar, default ${DEFAULT_HOLIDAY_INTENSITY})`, input(draft, 'holiday', 'calendar')]
+  ]));
+
+  const table = makeTable(['Location', 'Popularity', 'Base scale (visitors / hour)'], LOCATIONS.map(id=>[locationName(id), '', '']));
+  table.classList.add('editor-table');
+  table.querySelectorAll('tbody tr').forEach((tr, i)=>{
+    const id = LOCATIONS[i];
+    tr.children[1].appendChild(input(draft.popularity, id, String(locPopularity[id])));
+    tr.children[2].appendChild(input(draft.baseScale, id, String(baseScale[id]), {step: 10}));
+  });
+  wrap.appendChild(table);
+
+  const subtitle = (text)=>{
+    const p = document.createElement('p');
+    p.className = 'small-label';
+    p.style.marginTop = '12px';
+    p.textContent = text;
+    wrap.appendChild(p);
+  };
+  subtitle('Weather multipliers');
+  wrap.appendChild(grid(Object.keys(weatherMultiplier).map(w=>[w, input(draft.weather, w, String(weatherMultiplier[w]))])));
+  subtitle('Time-of-day factors');
+  wrap.appendChild(grid(TIME_BUCKETS.map(b=>[`${b.label} h`, input(draft.time, b.id, String(TIME_FACTORS[b.id]))])));
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  button(row, SCENARIO_DRAFT.index < 0 ? 'Add Scenario' : 'Save Scenario', 'primary', saveScenarioDraft);
+  button(row, 'Cancel', 'ghost', ()=>{
+    SCENARIO_DRAFT = null;
+    renderScenarioPanel();
+  });
+  wrap.appendChild(row);
+  return wrap;
+}
+
+function saveScenarioDraft(){
+  let scenario;
+  try {
+    scenario = validateScenario(SCENARIO_DRAFT.raw);
+    if (SCENARIOS.some((s, i)=>s.name === scenario.name && i !== SCENARIO_DRAFT.index)) throw new Error(`A scenario named "${scenario.name}" already exists.`);
+  } catch (err) {
+    return renderScenarioPanel(err.message, true);
+  }
+  if (SCENARIO_DRAFT.index < 0) SCENARIOS.push(scenario);
+  else {
+    if (SENSITIVITY_SCENARIO === SCENARIOS[SCENARIO_DRAFT.index].name) SENSITIVITY_SCENARIO = scenario.name;
+    SCENARIOS[SCENARIO_DRAFT.index] = scenario;
+  }
+  SCENARIO_DRAFT = null;
+  saveScenarios();
+  renderScenarioPanel(`Saved "${scenario.name}".`);
+}
+
+// scenarios from a file replace same-named ones and are added otherwise
+async function importScenarios(file){
+  try {
+    const parsed = JSON.parse(await file.text());
+    const list = (Array.isArray(parsed) ? parsed : parsed.scenarios || []).map(s=>validateScenario(s));
+    for (let s of list){
+      const i = SCENARIOS.findIndex(x=>x.name === s.name);
+      if (i >= 0) SCENARIOS[i] = s;
+      else SCENARIOS.push(s);
+    }
+    saveScenarios();
+    renderScenarioPanel(`Imported ${list.length} scenario${list.length === 1 ? '' : 's'} from ${file.name}.`);
+  } catch (err) {
+    renderScenarioPanel(`Could not import ${file.name}: ${err.message}`, true);
+  }
+}
+
+// what a dataset comparison depends on; stale results are not shown
+function scenarioStatsKey(){
+  return JSON.stringify({seed: SEED, config: engineConfig(), scenarios: SCENARIOS, labels: QUARTILES});
+}
+
+function renderScenarioResults(){
+  if (!scenarioResultsEl || scenarioContainer.style.display === 'none') return;
+  scenarioResultsEl.innerHTML = '';
+  const subtitle = document.createElement('h3');
+  subtitle.textContent = 'Baseline vs scenarios';
+  subtitle.style.margin = '16px 0 8px';
+  scenarioResultsEl.appendChild(subtitle);
+  if (!LAST_PREDICTION) return;
+
+  const columns = [null, ...SCENARIOS];
+  const query = LAST_PREDICTION.query;
+  const inputs = predictionInputs(query);
+  const open = isOpenAt(query.location, inputs.day_of_week, query.hour);
+  const change = (v, base)=>base ? ` (${v >= base ? '+' : '−'}${Math.abs(Math.round((v / base - 1) * 100))}%)` : '';
+  const predictions = columns.map(s=>open ? withScenario(s, ()=>Math.round(expectedFootfall(inputs))) : null);
+  const when = `${locationName(query.location)}, ${query.date} ${query.hour}:00, ${query.weather}, ${query.temperature} °C`;
+
+  const rows = [];
+  rows.push([`Prediction · ${when}`, ...predictions.map((f, k)=>{
+    if (f === null) return 'closed';
+    const label = QUARTILES ? DENSITY_LABELS[densityClass(f, query.location, QUARTILES)].replace(/_/g, ' ') : '—';
+    const capacity = siteCapacity[query.location] ? `, ${Math.round(assessCapacity(query.location, f).utilization * 100)}% of capacity` : '';
+    return `${f.toLocaleString()}${k ? change(f, predictions[0]) : ''} · ${label}${capacity}`;
+  })]);
+
+  const stats = SCENARIO_STATS && SCENARIO_STATS.key === scenarioStatsKey() ? SCENARIO_STATS.results : null;
+  if (stats){
+    const base = stats[0];
+    const statRow = (label, value, format=(v)=>Math.round(v).toLocaleString(), withChange=true)=>{
+      rows.push([label, ...stats.map((r, k)=>{
+        const v = value(r);
+        if (v === null) return '—';
+        return `${format(v)}${k && withChange ? change(v, value(base)) : ''}`;
+      })]);
+    };
+    statRow('Dataset: mean footfall / hour', r=>r.mean);
+    statRow('Dataset: median (Q2)', r=>r.quartiles[1]);
+    statRow('Dataset: Q3', r=>r.quartiles[2]);
+    statRow('Dataset: High / Very High hours', r=>r.busyShare, v=>`${(v * 100).toFixed(1)}%`, false);
+    statRow('Dataset: hours ≥ 80% of capacity', r=>r.capacity.warning + r.capacity.critical, v=>v.toLocaleString(), false);
+    statRow('Dataset: hours over capacity', r=>r.capacity.critical, v=>v.toLocaleString(), false);
+    for (let id of LOCATIONS) statRow(`Mean · ${locationName(id)}`, r=>r.perLocation[id] ?? null);
+  }
+  const table = makeTable(['', 'Baseline', ...SCENARIOS.map(s=>s.name)], rows);
+  table.classList.add('scenario-table');
+  scenarioResultsEl.appendChild(table);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const runBtn = document.createElement('button');
+  runBtn.className = 'btn ghost';
+  runBtn.textContent = SCENARIO_JOB ? 'Cancel' : stats ? 'Rerun Dataset Comparison' : 'Run Dataset Comparison';
+  runBtn.onclick = (e)=>{
+    e.preventDefault();
+    if (SCENARIO_JOB) SCENARIO_JOB.cancel();
+    else runScenarioComparison();
+  };
+  row.appendChild(runBtn);
+  const note = document.createElement('span');
+  note.className = 'small-label';
+  note.id = 'scenarioProgress';
+  note.textContent = SCENARIO_JOB ? 'Starting...'
+    : stats ? `${simulationRows(SIMULATION).toLocaleString()} synthetic rows per scenario, seed ${SEED}; labels and capacity from the baseline.`
+    : `Regenerates ${simulationRows(SIMULATION).toLocaleString()} rows with seed ${SEED} for the baseline and each scenario (imported rows are left out).`;
+  row.appendChild(note);
+  scenarioResultsEl.appendChild(row);
+
+  renderSensitivity(inputs, open);
+}
+
+async function runScenarioComparison(){
+  if (GENERATING || TRAINING) return renderScenarioPanel('Wait for generation / training to finish first.', true);
+  GENERATING = true;
+  const key = scenarioStatsKey();
+  SCENARIO_JOB = startEngineJob('scenarios', {config: engineConfig(), seed: SEED, scenarios: [null, ...SCENARIOS], labels: QUARTILES}, ({fraction, message})=>{
+    const el = document.getElementById('scenarioProgress');
+    if (el) el.textContent = `${Math.round(fraction * 100)}% · ${message}`;
+  });
+  renderScenarioResults();
+  let message = null;
+  try {
+    SCENARIO_STATS = {key, results: (await SCENARIO_JOB.promise).results};
+  } catch (err) {
+    if (err.name !== 'CancelledError') message = err.message;
+  } finally {
+    GENERATING = false;
+    SCENARIO_JOB = null;
+  }
+  if (message) renderScenarioPanel(message, true);
+  else renderScenarioResults();
+}
+
+function renderSensitivity(inputs, open){
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const label = document.createElement('span');
+  label.className = 'small-label';
+  label.textContent = 'Sensitivity under';
+  row.appendChild(label);
+  if (!SCENARIOS.some(s=>s.name === SENSITIVITY_SCENARIO)) SENSITIVITY_SCENARIO = '';
+  const select = document.createElement('select');
+  select.style.maxWidth = '260px';
+  for (let [value, text] of [['', 'Baseline'], ...SCENARIOS.map(s=>[s.name, s.name])]){
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    select.appendChild(opt);
+  }
+  select.value = SENSITIVITY_SCENARIO;
+  select.onchange = ()=>{
+    SENSITIVITY_SCENARIO = select.value;
+    renderScenarioResults();
+  };
+  row.appendChild(select);
+  scenarioResultsEl.appendChild(row);
+
+  if (!open){
+    const closed = document.createElement('p');
+    closed.className = 'small-label';
+    closed.textContent = 'The site is closed at the form\'s hour; pick an open hour to see which factor moves footfall most.';
+    scenarioResultsEl.appendChild(closed);
+    return;
+  }
+  const scenario = SCENARIOS.find(s=>s.name === SENSITIVITY_SCENARIO) || null;
+  const {base, bars} = withScenario(scenario, ()=>footfallSensitivity(inputs));
+  const width = Math.max(320, (scenarioContainer.clientWidth || 720) - 40);
+  const file = scenario ? scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '_') : 'baseline';
+  scenarioResultsEl.appendChild(tornadoChart(
+    `What moves footfall · ${locationName(inputs.location)} ${inputs.hour}:00 (${scenario ? scenario.name : 'baseline'}, expected ${Math.round(base).toLocaleString()})`,
+    base, bars, {width, height: 60 + 34 * bars.length, xLabel: 'expected visitors / hour', fileName: `sensitivity_${file}.png`}).figure);
+}
+
+/* -------------------------
+   DATA IMPORT: UI panel
+   ------------------------- */
+function toggleImportPanel(){
+  importContainer.style.display = importContainer.style.display === 'none' ? 'block' : 'none';
+  if (importContainer.style.display === 'none') return;
+  importContainer.innerHTML = '';
+  IMPORT_STATE = null;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Import Footfall Data';
+  title.style.marginBottom = '8px';
+  importContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = 'CSV or JSON. The exported schema is matched automatically; other files can be mapped column by column. Required: location, footfall, and a date (YYYY-MM-DD) or ISO datetime.';
+  importContainer.appendChild(hint);
+
+  const file = document.createElement('input');
+  file.type = 'file';
+  file.accept = '.csv,.json,text/csv,application/json';
+  file.style.marginTop = '10px';
+  file.onchange = ()=>{ if (file.files[0]) loadImportFile(file.files[0]); };
+  importContainer.appendChild(file);
+
+  const body = document.createElement('div');
+  body.id = 'importBody';
+  importContainer.appendChild(body);
+}
+
+async function loadImportFile(file){
+  const body = document.getElementById('importBody');
+  body.innerHTML = '';
+  try {
+    const text = await file.text();
+    const parsed = parseImportText(text, file.name);
+    if (parsed.records.length === 0) throw new Error("File contains no data rows.");
+    IMPORT_STATE = {fileName: file.name, ...parsed};
+    renderImportMapping();
+  } catch (err) {
+    IMPORT_STATE = null;
+    const msg = document.createElement('p');
+    msg.className = 'import-error';
+    msg.textContent = `Could not read ${file.name}: ${err.message}`;
+    body.appendChild(msg);
+  }
+}
+
+function renderImportMapping(){
+  const body = document.getElementById('importBody');
+  body.innerHTML = '';
+  const {fileName, columns, records} = IMPORT_STATE;
+  const mapping = autoMapColumns(columns);
+
+  const info = document.createElement('p');
+  info.className = 'small-label';
+  info.style.margin = '12px 0 8px';
+  info.textContent = `${fileName}: ${records.length.toLocaleString()} rows, ${columns.length} columns. Check the column mapping:`;
+  body.appendChild(info);
+
+  const grid = document.createElement('div');
+  grid.className = 'import-mapping';
+  const selects = {};
+  for (let f of IMPORT_FIELDS){
+    const wrap = document.createElement('div');
+    wrap.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = f.required ? `${f.key} *` : f.key;
+    const sel = document.createElement('select');
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— not in file —';
+    sel.appendChild(none);
+    for (let c of columns){
+      const opt = document.createElement('option');
+      opt.value = c;
+      opt.textContent = c;
+      sel.appendChild(opt);
+    }
+    sel.value = mapping[f.key];
+    selects[f.key] = sel;
+    wrap.appendChild(label);
+    wrap.appendChild(sel);
+    grid.appendChild(wrap);
+  }
+  body.appendChild(grid);
+
+  const row = document.createElement('div');
+  row.className = 'button-row';
+  const mode = document.createElement('select');
+  mode.style.width = 'auto';
+  [['replace','Replace dataset'],['merge','Merge into dataset']].forEach(([v,t])=>{
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = t;
+    mode.appendChild(opt);
+  });
+  const applyBtn = document.createElement('button');
+  applyBtn.className = 'btn primary';
+  applyBtn.textContent = 'Validate & Import';
+  applyBtn.onclick = (e)=>{
+    e.preventDefault();
+    const chosen = {};
+    for (let k of Object.keys(selects)) chosen[k] = selects[k].value;
+    applyImport(chosen, mode.value);
+  };
+  row.appendChild(mode);
+  row.appendChild(applyBtn);
+  body.appendChild(row);
+
+  const report = document.createElement('div');
+  report.id = 'importReport';
+  body.appendChild(report);
+}
+
+async function applyImport(mapping, mode){
+  const report = document.getElementById('importReport');
+  report.innerHTML = '';
+  if (GENERATING || TRAINING) return alert("Wait for generation / training to finish first.");
+  let result;
+  try {
+    result = validateImportRecords(IMPORT_STATE.records, mapping, `import:${IMPORT_STATE.fileName}`, IMPORT_STATE.firstLine);
+  } catch (err) {
+    const msg = document.createElement('p');
+    msg.className = 'import-error';
+    msg.textContent = err.message;
+    report.appendChild(msg);
+    return;
+  }
+  const {rows, errors} = result;
+
+  const summary = document.createElement('p');
+  summary.style.marginTop = '12px';
+  if (rows.length === 0){
+    summary.className = 'import-error';
+    summary.textContent = `No valid rows — ${errors.length.toLocaleString()} rejected. Dataset unchanged.`;
+  } else {
+    // merged rows go first so the explorer lists them first
+    const imported = datasetFromRows(rows);
+    const applied = await applyDatasetWithStats(mode === 'merge' ? concatDatasets(imported, DATASET) : imported);
+    predictFromUI();
+    if (!applied){
+      summary.className = 'import-error';
+      summary.textContent = `Labeling the ${rows.length.toLocaleString()} rows failed (see Total Samples). Dataset unchanged.`;
+    } else {
+      if (forecastContainer.style.display !== 'none') renderForecast();
+      summary.textContent = `${mode === 'merge' ? 'Merged' : 'Imported'} ${rows.length.toLocaleString()} rows (${errors.length.toLocaleString()} rejected). Dataset now has ${DATASET.length.toLocaleString()} rows; quartiles and location stats recomputed.`;
+    }
+  }
+  report.appendChild(summary);
+
+  if (errors.length){
+    const list = document.createElement('ul');
+    list.className = 'import-errors';
+    for (let e of errors.slice(0,50)){
+      const li = document.createElement('li');
+      li.textContent = `Line ${e.line}: ${e.messages.join('; ')}`;
+      list.appendChild(li);
+    }
+    if (errors.length > 50){
+      const li = document.createElement('li');
+      li.textContent = `… and ${(errors.length - 50).toLocaleString()} more`;
+      list.appendChild(li);
+    }
+    report.appendChild(list);
+  }
+}
+
+/* -------------------------
+   LOCATION EDITOR (UI)
+   - edits a draft copy; Save validates, persists to localStorage and
+     regenerates the synthetic dataset with the current seed
+   ------------------------- */
+let LOCATION_DRAFT = [];
+
+function toggleLocationEditor(){
+  locationEditorContainer.style.display = locationEditorContainer.style.display === 'none' ? 'block' : 'none';
+  if (locationEditorContainer.style.display === 'none') return;
+  LOCATION_DRAFT = LOCATION_REGISTRY.map(toLocationDraft);
+  renderLocationEditor();
+}
+
+// registry entry -> editable text fields
+function toLocationDraft(l){
+  return {...l, hours: formatHours(l.hours), closedDays: formatDays(l.closedDays || []), events: formatEvents(l.events || [])};
+}
+
+function renderLocationEditor(message, isError){
+  locationEditorContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Location Registry';
+  title.style.marginBottom = '8px';
+  locationEditorContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = 'Opening hours are comma-separated windows in whole hours, e.g. "6-13, 16-22" (closing hour excluded). Closed days: "Tue, Sun". Special events: "Light show @ 18-20 x1.5 on Sat, Sun" separated by ";" (days optional = daily). Saving regenerates the dataset with the current seed.';
+  locationEditorContainer.appendChild(hint);
+
+  const table = document.createElement('table');
+  table.className = 'data-table editor-table';
+  const thead = document.createElement('thead');
+  const hr = document.createElement('tr');
+  for (let h of ['Id','Display name','Category','Base scale','Popularity','Area m²','Safe capacity','Visitors / staff','Opening hours','Closed days','Special events','']){
+    const th = document.createElement('th');
+    th.textContent = h;
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  LOCATION_DRAFT.forEach((loc, i)=>{
+    const tr = document.createElement('tr');
+    const cell = (input)=>{ const td = document.createElement('td'); td.appendChild(input); tr.appendChild(td); };
+    const field = (key, type='text', attrs={})=>{
+      const input = document.createElement('input');
+      input.type = type;
+      input.value = loc[key];
+      Object.assign(input, attrs);
+      input.oninput = ()=>{ loc[key] = input.value; };
+      return input;
+    };
+    cell(field('id', 'text', {readOnly: !loc.isNew, title: loc.isNew ? '' : 'Ids of existing locations are fixed (they appear in datasets)'}));
+    cell(field('name'));
+    const cat = document.createElement('select');
+    for (let c of ['', ...LOCATION_CATEGORIES]){
+      const opt = document.createElement('option');
+      opt.value = c;
+      opt.textContent = c || '—';
+      cat.appendChild(opt);
+    }
+    cat.value = loc.category || '';
+    cat.onchange = ()=>{ loc.category = cat.value; };
+    cell(cat);
+    cell(field('baseScale', 'number', {min: 1, step: 1}));
+    cell(field('popularity', 'number', {min: 0.01, step: 0.05}));
+    cell(field('area', 'number', {min: 1, step: 10, title: 'Visitor area, used by capacity-based density labels'}));
+    cell(field('capacity', 'number', {min: 1, step: 10, title: 'Safe number of people on site; alerts fire from 80 %'}));
+    cell(field('staffRatio', 'number', {min: 1, step: 10, title: 'Visitors per volunteer / security staff member'}));
+    cell(field('hours'));
+    cell(field('closedDays'));
+    cell(field('events', 'text', {placeholder: 'Name @ 18-20 x1.5'}));
+    const del = document.createElement('button');
+    del.className = 'btn ghost';
+    del.textContent = '✕';
+    del.title = 'Remove location';
+    del.onclick = (e)=>{ e.preventDefault(); LOCATION_DRAFT.splice(i,1); renderLocationEditor(); };
+    cell(del);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  locationEditorContainer.appendChild(table);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const button = (text, cls, handler)=>{
+    const b = document.createElement('button');
+    b.className = `btn ${cls}`;
+    b.textContent = text;
+    b.onclick = (e)=>{ e.preventDefault(); handler(); };
+    row.appendChild(b);
+    return b;
+  };
+  button('Add Location', 'ghost', ()=>{
+    LOCATION_DRAFT.push({id:`Site_${LOCATION_DRAFT.length+1}`, name:'', category:'', baseScale:200, popularity:1.0, area:400, capacity:800, staffRatio:100, hours:'6-22', closedDays:'', events:'', isNew:true});
+    renderLocationEditor();
+  });
+  button('Save & Regenerate', 'primary', saveLocationDraft);
+  button('Reset to Defaults', 'ghost', ()=>{
+    LOCATION_DRAFT = DEFAULT_LOCATIONS.map(toLocationDraft);
+    renderLocationEditor('Defaults loaded — Save to apply.');
+  });
+  button('Export JSON', 'ghost', exportLocationRegistry);
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.onchange = ()=>{ if (fileInput.files[0]) importLocationRegistry(fileInput.files[0]); };
+  row.appendChild(fileInput);
+  button('Import JSON', 'ghost', ()=>fileInput.click());
+  locationEditorContainer.appendChild(row);
+
+  if (message){
+    const msg = document.createElement('p');
+    msg.className = isError ? 'import-error' : 'small-label';
+    msg.style.marginTop = '10px';
+    msg.textContent = message;
+    locationEditorContainer.appendChild(msg);
+  }
+}
+
+async function saveLocationDraft(){
+  if (GENERATING || TRAINING) return renderLocationEditor('Wait for generation / training to finish first.', true);
+  let registry;
+  try {
+    registry = validateRegistry(LOCATION_DRAFT);
+  } catch (err) {
+    return renderLocationEditor(err.message, true);
+  }
+  // the new sites must still be open somewhere inside the simulation's dates and hour window
+  const previous = LOCATION_REGISTRY;
+  applyLocationRegistry(registry);
+  try {
+    createSampler(SIMULATION);
+  } catch (err) {
+    applyLocationRegistry(previous);
+    return renderLocationEditor(err.message, true);
+  }
+  if (countImportedRows(DATASET) > 0 && !confirm('Regenerating replaces the imported rows in the dataset. Continue?')){
+    applyLocationRegistry(previous);
+    return;
+  }
+  populateLocationControls();
+  previewContainer.style.display = 'none';
+  analyticsContainer.style.display = 'none';
+  forecastContainer.style.display = 'none';
+  renderLocationEditor(`Regenerating dataset with ${registry.length} locations...`);
+  // only a registry that regenerated is persisted; otherwise the previous one comes back
+  const regenerated = await regenerateDataset(SEED);
+  if (regenerated){
+    saveLocationRegistry();
+    LOCATION_DRAFT = LOCATION_REGISTRY.map(toLocationDraft);
+  } else {
+    applyLocationRegistry(previous);
+    populateLocationControls();
+  }
+  predictFromUI();
+  renderLocationEditor(regenerated
+    ? `Saved ${registry.length} locations; dataset regenerated with seed ${SEED}.`
+    : 'Regeneration cancelled or failed; the previous registry and dataset are still in use.', !regenerated);
+}
+
+function exportLocationRegistry(){
+  downloadJSON({version:1, locations: LOCATION_REGISTRY}, 'crowd_locations.json');
+}
+
+function downloadJSON(obj, fileName){
+  downloadBlob(new Blob([JSON.stringify(obj, null, 2)], {type:'application/json'}), fileName);
+}
+
+async function importLocationRegistry(file){
+  try {
+    const parsed = JSON.parse(await file.text());
+    const registry = validateRegistry(Array.isArray(parsed) ? parsed : parsed.locations);
+    LOCATION_DRAFT = registry.map(l=>({...toLocationDraft(l), isNew: !LOCATIONS.includes(l.id)}));
+    renderLocationEditor(`Loaded ${registry.length} locations from ${file.name} — Save to apply.`);
+  } catch (err) {
+    renderLocationEditor(`Could not import ${file.name}: ${err.message}`, true);
+  }
+}
+
+/* -------------------------
+   CALENDAR EDITOR (UI)
+   - same draft / Save & Regenerate flow as the location editor
+   ------------------------- */
+let CALENDAR_DRAFT = null;
+
+function toCalendarDraft(calendar){
+  return {
+    weekendHolidays: calendar.weekendHolidays,
+    events: calendar.events.map(e=>({...e, when: formatWhen(e.when), locations: e.locations.length ? e.locations.join(', ') : 'all'}))
+  };
+}
+
+function toggleCalendarEditor(){
+  calendarEditorContainer.style.display = calendarEditorContainer.style.display === 'none' ? 'block' : 'none';
+  if (calendarEditorContainer.style.display === 'none') return;
+  CALENDAR_DRAFT = toCalendarDraft(CALENDAR);
+  renderCalendarEditor();
+}
+
+function renderCalendarEditor(message, isError){
+  calendarEditorContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Festival & Holiday Calendar';
+  title.style.marginBottom = '8px';
+  calendarEditorContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = `When: "2024-10-12", a range "2024-10-03..2024-10-12", or yearly "every 01-26" / "every 12-24..01-01". Locations: "all" or comma-separated ids (${LOCATIONS.join(', ')}). Intensity multiplies footfall while the event is on.`;
+  calendarEditorContainer.appendChild(hint);
+
+  const weekend = document.createElement('label');
+  weekend.className = 'check';
+  weekend.style.margin = '10px 0';
+  const weekendBox = document.createElement('input');
+  weekendBox.type = 'checkbox';
+  weekendBox.style.width = 'auto';
+  weekendBox.checked = CALENDAR_DRAFT.weekendHolidays;
+  weekendBox.onchange = ()=>{ CALENDAR_DRAFT.weekendHolidays = weekendBox.checked; };
+  weekend.appendChild(weekendBox);
+  weekend.appendChild(document.createTextNode(` Weekends count as holidays (${DEFAULT_HOLIDAY_INTENSITY}×)`));
+  calendarEditorContainer.appendChild(weekend);
+
+  const table = document.createElement('table');
+  table.className = 'data-table editor-table';
+  const thead = document.createElement('thead');
+  const hr = document.createElement('tr');
+  for (let h of ['Name','Type','When','Locations','Intensity','']){
+    const th = document.createElement('th');
+    th.textContent = h;
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  CALENDAR_DRAFT.events.forEach((ev, i)=>{
+    const tr = document.createElement('tr');
+    const cell = (input)=>{ const td = document.createElement('td'); td.appendChild(input); tr.appendChild(td); };
+    const field = (key, type='text', attrs={})=>{
+      const input = document.createElement('input');
+      input.type = type;
+      input.value = ev[key];
+      Object.assign(input, attrs);
+      input.oninput = ()=>{ ev[key] = input.value; };
+      return input;
+    };
+    cell(field('name'));
+    const type = document.createElement('select');
+    for (let t of CALENDAR_TYPES){
+      const opt = document.createElement('option');
+      opt.value = t;
+      opt.textContent = t;
+      type.appendChild(opt);
+    }
+    type.value = ev.type;
+    type.onchange = ()=>{ ev.type = type.value; };
+    cell(type);
+    cell(field('when'));
+    cell(field('locations'));
+    cell(field('intensity', 'number', {min: 0.1, step: 0.1}));
+    const del = document.createElement('button');
+    del.className = 'btn ghost';
+    del.textContent = '✕';
+    del.title = 'Remove event';
+    del.onclick = (e)=>{ e.preventDefault(); CALENDAR_DRAFT.events.splice(i,1); renderCalendarEditor(); };
+    cell(del);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  calendarEditorContainer.appendChild(table);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const button = (text, cls, handler)=>{
+    const b = document.createElement('button');
+    b.className = `btn ${cls}`;
+    b.textContent = text;
+    b.onclick = (e)=>{ e.preventDefault(); handler(); };
+    row.appendChild(b);
+    return b;
+  };
+  button('Add Event', 'ghost', ()=>{
+    CALENDAR_DRAFT.events.push({name:'', type:'festival', when: dateInput.value || '', locations:'all', intensity: DEFAULT_FESTIVAL_INTENSITY});
+    renderCalendarEditor();
+  });
+  button('Save & Regenerate', 'primary', saveCalendarDraft);
+  button('Reset to Defaults', 'ghost', ()=>{
+    CALENDAR_DRAFT = toCalendarDraft(validateCalendar(DEFAULT_CALENDAR, null));
+    renderCalendarEditor('Defaults loaded — Save to apply.');
+  });
+  button('Export JSON', 'ghost', ()=>downloadJSON({version:1, ...CALENDAR}, 'crowd_calendar.json'));
+  const jsonInput = document.createElement('input');
+  jsonInput.type = 'file';
+  jsonInput.accept = '.json,application/json';
+  jsonInput.style.display = 'none';
+  jsonInput.onchange = ()=>{ if (jsonInput.files[0]) importCalendarFile(jsonInput.files[0], 'json'); };
+  row.appendChild(jsonInput);
+  button('Import JSON', 'ghost', ()=>jsonInput.click());
+  calendarEditorContainer.appendChild(row);
+
+  // ICS import: every VEVENT becomes an event of the chosen type / intensity / location
+  const icsRow = document.createElement('div');
+  icsRow.className = 'button-row editor-actions ics-row';
+  const icsType = document.createElement('select');
+  for (let t of CALENDAR_TYPES){
+    const opt = document.createElement('option');
+    opt.value = t;
+    opt.textContent = `ICS as ${t}s`;
+    icsType.appendChild(opt);
+  }
+  const icsIntensity = document.createElement('input');
+  icsIntensity.type = 'number';
+  icsIntensity.min = 0.1;
+  icsIntensity.step = 0.1;
+  icsIntensity.placeholder = 'Intensity';
+  const icsLoc = document.createElement('select');
+  for (let id of ['', ...LOCATIONS]){
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = id ? locationName(id) : 'All locations';
+    icsLoc.appendChild(opt);
+  }
+  const icsInput = document.createElement('input');
+  icsInput.type = 'file';
+  icsInput.accept = '.ics,text/calendar';
+  icsInput.style.display = 'none';
+  icsInput.onchange = ()=>{
+    if (!icsInput.files[0]) return;
+    importCalendarFile(icsInput.files[0], 'ics', {
+      type: icsType.value,
+      intensity: icsIntensity.value === '' ? undefined : Number(icsIntensity.value),
+      locations: icsLoc.value ? [icsLoc.value] : []
+    });
+  };
+  icsRow.appendChild(icsType);
+  icsRow.appendChild(icsIntensity);
+  icsRow.appendChild(icsLoc);
+  icsRow.appendChild(icsInput);
+  const icsBtn = document.createElement('button');
+  icsBtn.className = 'btn ghost';
+  icsBtn.textContent = 'Import ICS';
+  icsBtn.onclick = (e)=>{ e.preventDefault(); icsInput.click(); };
+  icsRow.appendChild(icsBtn);
+  calendarEditorContainer.appendChild(icsRow);
+
+  if (message){
+    const msg = document.createElement('p');
+    msg.className = isError ? 'import-error' : 'small-label';
+    msg.style.marginTop = '10px';
+    msg.textContent = message;
+    calendarEditorContainer.appendChild(msg);
+  }
+}
+
+async function importCalendarFile(file, kind, icsOptions){
+  try {
+    const text = await file.text();
+    if (kind === 'ics'){
+      if (icsOptions.intensity !== undefined && !(icsOptions.intensity > 0)) throw new Error('intensity must be a positive number');
+      const {events, skipped} = parseICS(text, icsOptions);
+      if (events.length === 0) throw new Error('no VEVENT entries with a SUMMARY and DTSTART');
+      CALENDAR_DRAFT.events.push(...toCalendarDraft({weekendHolidays: true, events}).events);
+      renderCalendarEditor(`Added ${events.length} events from ${file.name}${skipped.length ? ` (${skipped.length} skipped)` : ''} — Save to apply.`);
+    } else {
+      const calendar = validateCalendar(JSON.parse(text), LOCATIONS);
+      CALENDAR_DRAFT = toCalendarDraft(calendar);
+      renderCalendarEditor(`Loaded ${calendar.events.length} events from ${file.name} — Save to apply.`);
+    }
+  } catch (err) {
+    renderCalendarEditor(`Could not import ${file.name}: ${err.message}`, true);
+  }
+}
+
+async function saveCalendarDraft(){
+  if (GENERATING || TRAINING) return renderCalendarEditor('Wait for generation / training to finish first.', true);
+  let calendar;
+  try {
+    calendar = validateCalendar(CALENDAR_DRAFT, LOCATIONS);
+  } catch (err) {
+    return renderCalendarEditor(err.message, true);
+  }
+  if (countImportedRows(DATASET) > 0 && !confirm('Regenerating replaces the imported rows in the dataset. Continue?')) return;
+  const previous = CALENDAR;
+  applyCalendar(calendar);
+  syncCalendarFlags();
+  previewContainer.style.display = 'none';
+  analyticsContainer.style.display = 'none';
+  forecastContainer.style.display = 'none';
+  renderCalendarEditor(`Regenerating dataset with ${calendar.events.length} events...`);
+  // only a calendar that regenerated is persisted; otherwise the previous one comes back
+  const regenerated = await regenerateDataset(SEED);
+  if (regenerated){
+    saveCalendar();
+    CALENDAR_DRAFT = toCalendarDraft(CALENDAR);
+  } else {
+    applyCalendar(previous);
+    syncCalendarFlags();
+  }
   predictFromUI();
+  renderCalendarEditor(regenerated
+    ? `Saved ${calendar.events.length} events; dataset regenerated with seed ${SEED}.`
+    : 'Regeneration cancelled or failed; the previous calendar and dataset are still in use.', !regenerated);
+}
+
+/* -------------------------
+   SIMULATION SETTINGS (UI)
+   - edits a draft of SIMULATION; "Regenerate with Settings" validates, persists
+     and regenerates with the current seed
+   ------------------------- */
+let SIMULATION_DRAFT = null;
+
+function toSimulationDraft(sim){
+  const draft = JSON.parse(JSON.stringify(sim));
+  draft.startDate = sim.startDate || '';
+  draft.endDate = sim.endDate || '';
+  for (let id of LOCATIONS) draft.locationWeights[id] = sim.locationWeights[id] ?? 1;
+  return draft;
+}
+
+function toggleSimulationPanel(){
+  simulationContainer.style.display = simulationContainer.style.display === 'none' ? 'block' : 'none';
+  if (simulationContainer.style.display === 'none') return;
+  SIMULATION_DRAFT = toSimulationDraft(SIMULATION);
+  renderSimulationPanel();
+}
+
+function renderSimulationPanel(message, isError){
+  const draft = SIMULATION_DRAFT;
+  simulationContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Simulation Settings';
+  title.style.marginBottom = '8px';
+  simulationContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  const range = simulationRange({...draft, startDate: draft.startDate || null, endDate: draft.endDate || null});
+  hint.textContent = `Blank dates = the two years up to ${DATA_END_DATE} (currently ${range.days.toLocaleString()} days). Weather columns are relative weights per month and each day keeps yesterday's weather with the persistence probability. Temperature = monthly mean + weather offset + day / night swing + daily anomaly. A location weight of 0 leaves it out.`;
+  simulationContainer.appendChild(hint);
+
+  // bind an <input> to obj[key]; numbers stay strings until validation
+  const input = (obj, key, type='number', attrs={})=>{
+    const el = document.createElement('input');
+    el.type = type;
+    el.value = obj[key];
+    Object.assign(el, attrs);
+    el.oninput = ()=>{ obj[key] = el.value; };
+    return el;
+  };
+  const field = (labelText, el)=>{
+    const wrap = document.createElement('label');
+    wrap.className = 'small-label';
+    wrap.textContent = labelText;
+    wrap.appendChild(el);
+    return wrap;
+  };
+
+  const general = document.createElement('div');
+  general.className = 'settings-grid';
+  const shapeSelect = document.createElement('select');
+  for (let [value, text] of [['samples', 'Random samples'], ['series', 'Hourly time series']]){
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    shapeSelect.appendChild(opt);
+  }
+  shapeSelect.value = draft.shape;
+  shapeSelect.onchange = ()=>{
+    draft.shape = shapeSelect.value;
+    renderSimulationPanel();
+  };
+  const series = draft.shape === 'series';
+  general.appendChild(field('Dataset shape', shapeSelect));
+  general.appendChild(field(series ? 'Rows (set by dates & hours)' : 'Rows', input(draft, 'rows', 'number', {min: 1000, max: MAX_SIMULATION_ROWS, step: 1000, disabled: series})));
+  general.appendChild(field('Start date', input(draft, 'startDate', 'date')));
+  general.appendChild(field('End date', input(draft, 'endDate', 'date')));
+  general.appendChild(field('Festival rate (0–1)', input(draft, 'festivalRate', 'number', {min: 0, max: 1, step: 0.005})));
+  general.appendChild(field('Hours from', input(draft.hours, 0, 'number', {min: 0, max: 23})));
+  general.appendChild(field('Hours to (exclusive)', input(draft.hours, 1, 'number', {min: 1, max: 24})));
+  general.appendChild(field('Weather persistence (0–0.95)', input(draft, 'weatherPersistence', 'number', {min: 0, max: 0.95, step: 0.05})));
+  general.appendChild(field('Day / night swing ± °C', input(draft.temperature, 'diurnal', 'number', {min: 0, max: 15, step: 0.5})));
+  general.appendChild(field('Daily anomaly ± °C', input(draft.temperature, 'spread', 'number', {min: 0, max: 20, step: 0.5})));
+  simulationContainer.appendChild(general);
+
+  if (series){
+    const seriesTitle = document.createElement('p');
+    seriesTitle.className = 'small-label';
+    seriesTitle.style.marginTop = '12px';
+    seriesTitle.textContent = 'Time series: every open hour of every site, in order. Footfall = heuristic × (1 + trend)^years × weekday factor × (1 + daily level) + hourly noise; the daily level and the noise are AR(1), so busy days and hours cluster.';
+    simulationContainer.appendChild(seriesTitle);
+    const seriesGrid = document.createElement('div');
+    seriesGrid.className = 'settings-grid';
+    seriesGrid.appendChild(field('Trend per year (0.08 = +8 %)', input(draft.series, 'trend', 'number', {min: -0.9, max: 2, step: 0.01})));
+    seriesGrid.appendChild(field('Day-to-day persistence (0–0.99)', input(draft.series, 'persistence', 'number', {min: 0, max: 0.99, step: 0.05})));
+    seriesGrid.appendChild(field('Daily level spread (0–1)', input(draft.series, 'dayNoise', 'number', {min: 0, max: 1, step: 0.01})));
+    seriesGrid.appendChild(field('Hour-to-hour persistence (0–0.99)', input(draft.series, 'hourPersistence', 'number', {min: 0, max: 0.99, step: 0.05})));
+    DAY_NAMES.forEach((d, i)=>seriesGrid.appendChild(field(`${d} factor`, input(draft.series.weekly, i, 'number', {min: 0, step: 0.05}))));
+    simulationContainer.appendChild(seriesGrid);
+  }
+
+  // month x (mean temperature, weather weights)
+  const weathers = Object.keys(weatherMultiplier);
+  const table = document.createElement('table');
+  table.className = 'data-table editor-table';
+  const thead = document.createElement('thead');
+  const hr = document.createElement('tr');
+  for (let h of ['Month', 'Mean °C', ...weathers]){
+    const th = document.createElement('th');
+    th.textContent = h;
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  MONTH_NAMES.forEach((name, m)=>{
+    const tr = document.createElement('tr');
+    const cell = (el)=>{ const td = document.createElement('td'); td.append(el); tr.appendChild(td); };
+    cell(name);
+    cell(input(draft.temperature.monthly, m, 'number', {step: 0.5}));
+    for (let w of weathers) cell(input(draft.weather[m], w, 'number', {min: 0, step: 0.01}));
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  simulationContainer.appendChild(table);
+
+  const weightsTitle = document.createElement('p');
+  weightsTitle.className = 'small-label';
+  weightsTitle.style.marginTop = '12px';
+  weightsTitle.textContent = 'Location weights';
+  simulationContainer.appendChild(weightsTitle);
+  const weights = document.createElement('div');
+  weights.className = 'settings-grid';
+  for (let id of LOCATIONS) weights.appendChild(field(locationName(id), input(draft.locationWeights, id, 'number', {min: 0, step: 0.1})));
+  simulationContainer.appendChild(weights);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const button = (text, cls, handler)=>{
+    const b = document.createElement('button');
+    b.className = `btn ${cls}`;
+    b.textContent = text;
+    b.onclick = (e)=>{ e.preventDefault(); handler(); };
+    row.appendChild(b);
+  };
+  button('Regenerate with Settings', 'primary', saveSimulationDraft);
+  button('Reset to Defaults', 'ghost', ()=>{
+    SIMULATION_DRAFT = toSimulationDraft(validateSimulation(DEFAULT_SIMULATION));
+    renderSimulationPanel('Defaults loaded — Regenerate to apply.');
+  });
+  button('Export JSON', 'ghost', ()=>downloadJSON({version:1, ...SIMULATION}, 'crowd_simulation.json'));
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.onchange = async ()=>{
+    const file = fileInput.files[0];
+    if (!file) return;
+    try {
+      SIMULATION_DRAFT = toSimulationDraft(validateSimulation(JSON.parse(await file.text())));
+      renderSimulationPanel(`Loaded ${file.name} — Regenerate to apply.`);
+    } catch (err) {
+      renderSimulationPanel(`Could not import ${file.name}: ${err.message}`, true);
+    }
+  };
+  row.appendChild(fileInput);
+  button('Import JSON', 'ghost', ()=>fileInput.click());
+  simulationContainer.appendChild(row);
+
+  if (message){
+    const msg = document.createElement('p');
+    msg.className = isError ? 'import-error' : 'small-label';
+    msg.style.marginTop = '10px';
+    msg.textContent = message;
+    simulationContainer.appendChild(msg);
+  }
+}
+
+async function saveSimulationDraft(){
+  if (GENERATING || TRAINING) return renderSimulationPanel('Wait for generation / training to finish first.', true);
+  let sim;
+  try {
+    sim = validateSimulation(SIMULATION_DRAFT);
+    createSampler(sim);
+  } catch (err) {
+    return renderSimulationPanel(err.message, true);
+  }
+  if (countImportedRows(DATASET) > 0 && !confirm('Regenerating replaces the imported rows in the dataset. Continue?')) return;
+  const previous = SIMULATION;
+  applySimulation(sim);
+  previewContainer.style.display = 'none';
+  analyticsContainer.style.display = 'none';
+  forecastContainer.style.display = 'none';
+  renderSimulationPanel(`Regenerating ${simulationRows(sim).toLocaleString()} rows...`);
+  const regenerated = await regenerateDataset(SEED);
+  if (!regenerated) applySimulation(previous);
+  else saveSimulation();
+  SIMULATION_DRAFT = toSimulationDraft(sim);
+  predictFromUI();
+  renderSimulationPanel(regenerated
+    ? `Settings saved; ${DATASET.length.toLocaleString()} rows regenerated with seed ${SEED}.`
+    : 'Regeneration cancelled or failed; the previous settings and dataset are still in use.', !regenerated);
+}
+
+/* -------------------------
+   STAFFING PLAN (UI)
+   - every open hour of every location on one day, predicted like the forecast
+     (selected prediction source, the form's weather / temperature; festival /
+     holiday from the checkboxes for the selected location, the calendar elsewhere)
+   - lists the hours at or above the warning level plus a per-location summary;
+     "Print" opens the plan alone in a new window
+   ------------------------- */
+let STAFFING_DATE = null;
+
+function toggleStaffingPlan(){
+  staffingContainer.style.display = staffingContainer.style.display === 'none' ? 'block' : 'none';
+  if (staffingContainer.style.display === 'none') return;
+  STAFFING_DATE = dateInput.value || new Date().toISOString().slice(0,10);
+  renderStaffingPlan();
+}
+
+// {date, alerts: [{hour, location, footfall, utilization, level, staff}], sites: [{location, open, peak, staffHours}]}
+function buildStaffingPlan(date){
+  const weather = weatherSelect.value;
+  const temp = parseFloat(tempInput.value) || 26.0;
+  const plan = {date, alerts: [], sites: []};
+  for (let location of LOCATIONS){
+    const selected = location === locationSelect.value && date === dateInput.value;
+    const cal = calendarFlags(date, location);
+    const forecast = buildForecast(location, date, 1, {
+      weather, temp,
+      festival: selected ? (isFestival.checked ? 1 : 0) : cal.is_festival,
+      holiday: selected ? (isHoliday.checked ? 1 : 0) : cal.is_holiday
+    });
+    const slots = forecast.days[0].slots;
+    const site = {location, open: 0, peak: null, staffHours: 0};
+    for (let hour of Object.keys(slots).map(Number).sort((a,b)=>a-b)){
+      const footfall = slots[hour].footfall;
+      const a = assessCapacity(location, footfall);
+      site.open++;
+      site.staffHours += a.staff;
+      if (!site.peak || footfall > site.peak.footfall) site.peak = {hour, footfall, ...a};
+      if (a.level !== 'ok') plan.alerts.push({hour, location, footfall, ...a});
+    }
+    plan.sites.push(site);
+  }
+  plan.alerts.sort((a,b)=>a.hour - b.hour || b.utilization - a.utilization);
+  return plan;
+}
+
+function renderStaffingPlan(){
+  staffingContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Staffing Plan';
+  title.style.marginBottom = '8px';
+  staffingContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = `Hours at or above ${Math.round(CAPACITY_ALERTS.warning*100)}% of a site's safe capacity (critical from ${Math.round(CAPACITY_ALERTS.critical*100)}%). Staff = one volunteer / security member per "visitors / staff" of the site (Edit Locations). Uses the form's weather, temperature and prediction source.`;
+  staffingContainer.appendChild(hint);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const dateField = document.createElement('input');
+  dateField.type = 'date';
+  dateField.value = STAFFING_DATE;
+  dateField.style.maxWidth = '180px';
+  dateField.onchange = ()=>{
+    if (!isValidISODate(dateField.value)) return;
+    STAFFING_DATE = dateField.value;
+    renderStaffingPlan();
+  };
+  row.appendChild(dateField);
+  const printBtn = document.createElement('button');
+  printBtn.className = 'btn ghost';
+  printBtn.textContent = 'Print';
+  printBtn.onclick = (e)=>{ e.preventDefault(); printStaffingPlan(); };
+  row.appendChild(printBtn);
+  staffingContainer.appendChild(row);
+
+  const plan = buildStaffingPlan(STAFFING_DATE);
+  const sheet = document.createElement('div');
+  sheet.className = 'staffing-sheet';
+  const heading = document.createElement('h4');
+  const dow = utcDayOfWeek(plan.date);
+  heading.textContent = `Staffing plan for ${DAY_NAMES[dow]} ${plan.date} · ${weatherSelect.value}, ${tempInput.value} °C`;
+  sheet.appendChild(heading);
+
+  const alertsNote = document.createElement('p');
+  alertsNote.className = 'small-label';
+  const critical = plan.alerts.filter(a=>a.level === 'critical').length;
+  alertsNote.textContent = plan.alerts.length
+    ? `${plan.alerts.length} site-hours cross the warning level, ${critical} of them critical.`
+    : 'No hour reaches the warning level.';
+  sheet.appendChild(alertsNote);
+  if (plan.alerts.length){
+    const table = makeTable(['Hour','Location','Expected visitors','Utilization','Alert','Staff'],
+      plan.alerts.map(a=>[`${a.hour}:00–${a.hour+1}:00`, locationName(a.location), a.footfall.toLocaleString(),
+        `${Math.round(a.utilization*100)}%`, a.level === 'critical' ? 'Critical' : 'Warning', String(a.staff)]));
+    plan.alerts.forEach((a, i)=>{ table.tBodies[0].rows[i].className = `alert-${a.level}`; });
+    sheet.appendChild(table);
+  }
+
+  const summaryTitle = document.createElement('h4');
+  summaryTitle.textContent = 'Per-location summary';
+  sheet.appendChild(summaryTitle);
+  sheet.appendChild(makeTable(['Location','Safe capacity','Open hours','Peak hour','Peak utilization','Staff at peak','Staff-hours'],
+    plan.sites.map(site=>site.open
+      ? [locationName(site.location), siteCapacity[site.location].toLocaleString(), String(site.open), `${site.peak.hour}:00`,
+        `${Math.round(site.peak.utilization*100)}%`, String(site.peak.staff), String(site.staffHours)]
+      : [locationName(site.location), siteCapacity[site.location].toLocaleString(), 'Closed', '—', '—', '—', '0'])));
+  staffingContainer.appendChild(sheet);
+}
+
+function printStaffingPlan(){
+  const sheet = staffingContainer.querySelector('.staffing-sheet');
+  const win = window.open('', '_blank');
+  if (!sheet || !win) return alert('Allow pop-ups for this page to print the staffing plan.');
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>Staffing plan ${STAFFING_DATE}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:24px;color:#111}
+table{width:100%;border-collapse:collapse;margin:8px 0 18px;font-size:13px}
+th,td{border:1px solid #999;padding:4px 6px;text-align:left}
+tr.alert-warning td{background:#fff3cd}
+tr.alert-critical td{background:#f8d7da;font-weight:700}
+</style></head><body>${sheet.innerHTML}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+/* -------------------------
+   PREDICTION HISTORY (UI)
+   - every Predict click is logged (inputs, source, output, seed, time) in the
+     IndexedDB "history" store, newest first, capped at HISTORY_LIMIT entries
+   - tick two or more entries to compare them side by side; export as CSV / JSON
+   ------------------------- */
+const HISTORY_LIMIT = 500;
+let PREDICTION_HISTORY = []; // newest first
+const HISTORY_SELECTED = new Set(); // ids ticked for comparison
+
+async function loadPredictionHistory(){
+  try {
+    PREDICTION_HISTORY = ((await stateRequest('history', 'readonly', store=>store.getAll())) || []).reverse();
+  } catch (err) {
+    console.warn('Ignoring saved prediction history', err);
+    PREDICTION_HISTORY = [];
+  }
+}
+
+// log LAST_PREDICTION (kept in memory too, so the panel works without IndexedDB)
+async function recordPrediction(){
+  if (!LAST_PREDICTION) return;
+  const {query, source, pred} = LAST_PREDICTION;
+  const entry = {
+    time: new Date().toISOString(), seed: SEED, labels: LABELING.mode, source,
+    inputs: {...query},
+    output: pred ? {mean: pred.mean, low: pred.low, high: pred.high, label: pred.label, probs: Array.from(pred.probs),
+      ...assessCapacity(query.location, pred.mean)} : null
+  };
+  try {
+    const id = await stateRequest('history', 'readwrite', store=>store.add(entry));
+    entry.id = id === null ? -(PREDICTION_HISTORY.length + 1) : id;
+    const stale = PREDICTION_HISTORY.slice(HISTORY_LIMIT - 1).filter(e=>e.id > 0);
+    if (stale.length) await stateRequest('history', 'readwrite', store=>{ stale.forEach(e=>store.delete(e.id)); return null; });
+  } catch (err) {
+    console.warn('Could not save the prediction', err);
+    entry.id = -(PREDICTION_HISTORY.length + 1);
+  }
+  PREDICTION_HISTORY = [entry, ...PREDICTION_HISTORY.slice(0, HISTORY_LIMIT - 1)];
+  if (historyContainer.style.display !== 'none') renderHistoryPanel();
+}
+
+function toggleHistoryPanel(){
+  historyContainer.style.display = historyContainer.style.display === 'none' ? 'block' : 'none';
+  if (historyContainer.style.display !== 'none') renderHistoryPanel();
+}
+
+// one flat record per entry (CSV columns, comparison rows)
+function historyRow(e){
+  const o = e.output;
+  return {
+    time: e.time, location: e.inputs.location, date: e.inputs.date, hour: e.inputs.hour,
+    weather: e.inputs.weather, temperature: e.inputs.temperature,
+    is_festival: e.inputs.is_festival, is_holiday: e.inputs.is_holiday,
+    source: e.source, seed: e.seed, labels: e.labels,
+    expected: o ? o.mean : '', p10: o ? o.low : '', p90: o ? o.high : '',
+    density_label: o ? o.label : 'Closed',
+    utilization: o ? Math.round(o.utilization * 100) / 100 : '', alert: o ? o.level : ''
+  };
+}
+
+const HISTORY_COLUMNS = ['time','location','date','hour','weather','temperature','is_festival','is_holiday','source','seed','labels','expected','p10','p90','density_label','utilization','alert'];
+
+function describeBand(e){
+  return e.output ? `${e.output.low.toLocaleString()} – ${e.output.high.toLocaleString()}` : '—';
+}
+
+function renderHistoryPanel(){
+  historyContainer.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Prediction History';
+  title.style.marginBottom = '8px';
+  historyContainer.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'small-label';
+  hint.textContent = `Every Predict click is kept in this browser (last ${HISTORY_LIMIT}). Tick two or more to compare them; "Load" puts an entry's inputs back into the form.`;
+  historyContainer.appendChild(hint);
+
+  const row = document.createElement('div');
+  row.className = 'button-row editor-actions';
+  const addButton = (text, onclick)=>{
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost';
+    btn.textContent = text;
+    btn.onclick = (e)=>{ e.preventDefault(); onclick(); };
+    row.appendChild(btn);
+    return btn;
+  };
+  addButton('Export CSV', exportHistoryCSV).disabled = PREDICTION_HISTORY.length === 0;
+  addButton('Export JSON', ()=>downloadJSON({version:1, predictions: PREDICTION_HISTORY}, 'crowd_prediction_history.json')).disabled = PREDICTION_HISTORY.length === 0;
+  addButton('Clear history', clearPredictionHistory).disabled = PREDICTION_HISTORY.length === 0;
+  addButton('Reset saved data', resetSavedData);
+  historyContainer.appendChild(row);
+
+  if (PREDICTION_HISTORY.length === 0){
+    const empty = document.createElement('p');
+    empty.className = 'small-label';
+    empty.textContent = 'No predictions yet.';
+    historyContainer.appendChild(empty);
+    return;
+  }
+
+  const table = makeTable(['', 'Time', 'Location', 'Date', 'Hour', 'Weather', 'Temp', 'Fest / Hol', 'Source', 'Expected', 'P10–P90', 'Density', ''],
+    PREDICTION_HISTORY.map(e=>['', new Date(e.time).toLocaleString(), locationName(e.inputs.location), e.inputs.date, `${e.inputs.hour}:00`,
+      e.inputs.weather, `${e.inputs.temperature} °C`, `${e.inputs.is_festival ? 'F' : '–'} / ${e.inputs.is_holiday ? 'H' : '–'}`,
+      e.source, e.output ? e.output.mean.toLocaleString() : '—', describeBand(e), e.output ? e.output.label.replace(/_/g,' ') : 'Closed', '']));
+  table.classList.add('editor-table');
+  PREDICTION_HISTORY.forEach((e, i)=>{
+    const cells = table.tBodies[0].rows[i].cells;
+    const tick = document.createElement('input');
+    tick.type = 'checkbox';
+    tick.checked = HISTORY_SELECTED.has(e.id);
+    tick.onchange = ()=>{
+      if (tick.checked) HISTORY_SELECTED.add(e.id);
+      else HISTORY_SELECTED.delete(e.id);
+      renderHistoryComparison();
+    };
+    cells[0].appendChild(tick);
+    const load = document.createElement('button');
+    load.className = 'btn ghost';
+    load.textContent = 'Load';
+    load.onclick = (ev)=>{ ev.preventDefault(); loadHistoryInputs(e); };
+    cells[cells.length - 1].appendChild(load);
+  });
+  historyContainer.appendChild(table);
+
+  const compare = document.createElement('div');
+  compare.className = 'history-compare';
+  historyContainer.appendChild(compare);
+  renderHistoryComparison();
+}
+
+// ticked entries side by side (oldest first); rows whose values differ are highlighted
+function renderHistoryComparison(){
+  const compare = historyContainer.querySelector('.history-compare');
+  if (!compare) return;
+  compare.innerHTML = '';
+  const entries = PREDICTION_HISTORY.filter(e=>HISTORY_SELECTED.has(e.id)).reverse();
+  if (entries.length < 2) return;
+  const heading = document.createElement('h4');
+  heading.textContent = `Comparing ${entries.length} predictions`;
+  compare.appendChild(heading);
+
+  const base = entries[0].output ? entries[0].output.mean : null;
+  const fields = [
+    ['Location', e=>locationName(e.inputs.location)],
+    ['Date', e=>`${DAY_NAMES[utcDayOfWeek(e.inputs.date)]} ${e.inputs.date}`],
+    ['Hour', e=>`${e.inputs.hour}:00`],
+    ['Weather', e=>e.inputs.weather],
+    ['Temperature', e=>`${e.inputs.temperature} °C`],
+    ['Festival', e=>e.inputs.is_festival ? 'Yes' : 'No'],
+    ['Holiday', e=>e.inputs.is_holiday ? 'Yes' : 'No'],
+    ['Source', e=>e.source],
+    ['Seed', e=>String(e.seed)],
+    ['Expected', e=>{
+      if (!e.output) return 'Closed';
+      const delta = base ? Math.round((e.output.mean - base) / base * 100) : null;
+      return e === entries[0] || delta === null ? e.output.mean.toLocaleString() : `${e.output.mean.toLocaleString()} (${delta >= 0 ? '+' : ''}${delta}%)`;
+    }],
+    ['P10–P90', describeBand],
+    ['Density', e=>e.output ? e.output.label.replace(/_/g,' ') : 'Closed'],
+    ['Utilization', e=>e.output ? `${Math.round(e.output.utilization * 100)}%` : '—'],
+    ['Staff', e=>e.output ? String(e.output.staff) : '—']
+  ];
+  const table = makeTable(['', ...entries.map(e=>new Date(e.time).toLocaleString())],
+    fields.map(([name, get])=>[name, ...entries.map(get)]));
+  fields.forEach(([name, get], i)=>{
+    const values = entries.map(name === 'Expected' ? (e=>e.output ? e.output.mean : null) : get);
+    if (new Set(values).size > 1) table.tBodies[0].rows[i].className = 'history-diff';
+  });
+  compare.appendChild(table);
+}
+
+function loadHistoryInputs(e){
+  if (!applyFormInputs(e.inputs)) return alert(`${locationName(e.inputs.location)} is no longer in the location registry.`);
+  syncPredictionToURL(true);
+  predictFromUI();
+}
+
+function exportHistoryCSV(){
+  const lines = PREDICTION_HISTORY.map(e=>{
+    const r = historyRow(e);
+    return HISTORY_COLUMNS.map(h=>`"${String(r[h]).replace(/"/g,'""')}"`).join(',');
+  });
+  const blob = new Blob([[HISTORY_COLUMNS.join(','), ...lines].join('\n')], {type: 'text/csv;charset=utf-8;'});
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'crowd_prediction_history.csv';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function clearPredictionHistory(){
+  if (!confirm('Delete all saved predictions?')) return;
+  try {
+    await stateRequest('history', 'readwrite', store=>store.clear());
+  } catch (err) {
+    console.warn('Could not clear the prediction history', err);
+  }
+  PREDICTION_HISTORY = [];
+  HISTORY_SELECTED.clear();
+  renderHistoryPanel();
+}
+
+/* -------------------------
+   MAPS & QUARTILE DISPLAY
+   ------------------------- */
+function refreshStatsUI(){
+  sampleCountEl.textContent = DATASET.length.toLocaleString();
+  if (QUARTILES) quartilesEl.textContent = formatQuartiles(QUARTILES);
+  else quartilesEl.textContent = '—';
+  labelNoteEl.textContent = {
+    global: 'Labels: global quartiles (Low / Medium / High upper bounds above).',
+    location: 'Labels: each location\'s own quartiles (see Location Analytics).',
+    capacity: `Labels: people per m² of visitor area, Low ≤ ${LABELING.thresholds[0]}, Medium ≤ ${LABELING.thresholds[1]}, High ≤ ${LABELING.thresholds[2]}.`
+  }[LABELING.mode];
+  const hasImported = countImportedRows(DATASET) > 0;
+  seedValueEl.textContent = SEED === null ? '—' : (hasImported ? `${SEED} + imported` : String(SEED));
+  refreshStorageNote();
+  refreshDataExplorer();
+}
+
+/* -------------------------
+   UTIL: download a sample JSON (for quick testing) - optional
+   ------------------------- */
+function downloadSampleJSON(){
+  const sample = datasetRows(DATASET, Array.from({length: Math.min(500, DATASET.length)}, (_, i)=>i));
+  downloadJSON(sample, 'sample_temples.json');
+}
+
+/* -------------------------
+   INIT: generate dataset & wire events
+   ------------------------- */
+async function initEverything(){
+  populateUI();
+
+  // the saved dataset when the settings still match, else a fresh one
+  const url = readURLSettings();
+  syncLabelingControls();
+  const saved = await loadDatasetState();
+  if (isRestorable(saved, url)) restoreDatasetState(saved);
+  else {
+    const seed = url.seed === null ? randomSeed() : url.seed;
+    if (!await regenerateDataset(seed) && !generateFallbackDataset(seed)) return;
+  }
+  await loadPredictionHistory();
+
+  // initial predict: the link's inputs, else random ones
+  if (!url.prediction || !applyFormInputs(url.prediction)) randomizeInputs();
+  predictFromUI();
+  window.addEventListener('popstate', ()=>{ restoreURLState(); });
 
   // wire buttons
-  predictBtn.onclick = (e)=>{ e.preventDefault(); predictFromUI(); };
-  randomizeBtn.onclick = (e)=>{ e.preventDefault(); randomizeInputs(); predictFromUI(); };
-}
-
-// helper: generate small chunk and append to DATASET (used during init)
-function generateChunkAndAppend(n){
-  const weatherTypes = Object.keys(weatherMultiplier);
-  const base_temp_by_month = [22,23,25,27,28,28,27,27,26,25,24,23];
-  const now = new Date();
-  const start = new Date(now.getFullYear()-2, now.getMonth(), now.getDate());
-  const msRange = now.getTime() - start.getTime();
-
-  for (let i=0;i<n;i++){
-    const randMs = Math.floor(Math.random()*msRange);
-    const dt = new Date(start.getTime() + randMs);
-    const month = dt.getMonth()+1;
-    const dateStr = dt.toISOString().slice(0,10);
-    const dow = dt.getDay();
-    const hour = Math.floor(Math.random()*(21-6+1))+6;
-    const location = LOCATIONS[Math.floor(Math.random()*LOCATIONS.length)];
-    // bias clear weather
-    const weather = (Math.random() < 0.65) ? "Clear" : weatherTypes[Math.floor(Math.random()*weatherTypes.length)];
-    const temp = base_temp_by_month[month-1] + (Math.random()*4-2);
-    const is_festival = FESTIVAL_DATES.has(dateStr) ? 1 : (Math.random() < 0.02 ? 1 : 0);
-    const is_holiday = (dow === 0 || dow === 6) ? 1 : 0;
-    const footfall = computeFootfallSample({location,hour,weather,temp,is_festival,is_holiday});
-    DATASET.push({
-      datetime: dt.toISOString(),
-      date: dateStr,
-      day_of_week: dow,
-      month: month,
-      hour: hour,
-      location: location,
-      weather: weather,
-      temperature: Number(temp.toFixed(1)),
-      is_festival: is_festival,
-      is_holiday: is_holiday,
-      footfall: footfall
+  predictBtn.onclick = (e)=>{ e.preventDefault(); syncPredictionToURL(true); predictFromUI(); recordPrediction(); };
+  randomizeBtn.onclick = (e)=>{ e.preventDefault(); randomizeInputs(); syncPredictionToURL(true); predictFromUI(); };
+  shareBtn.onclick = (e)=>{ e.preventDefault(); copyPredictionLink(); };
+  trainBtn.onclick = (e)=>{ e.preventDefault(); trainModelFromUI(); };
+  exportModelBtn.onclick = (e)=>{ e.preventDefault(); exportModelFromUI(); };
+  loadModelBtn.onclick = (e)=>{ e.preventDefault(); modelFileInput.click(); };
+  modelFileInput.onchange = ()=>{ if (modelFileInput.files[0]) loadModelFromFile(modelFileInput.files[0]); };
+  modeHeuristic.onchange = predictFromUI;
+  modeModel.onchange = predictFromUI;
+  forecastViewSelect.onchange = predictFromUI;
+  compareCategorySelect.onchange = predictFromUI;
+  seedBtn.onclick = async (e)=>{
+    e.preventDefault();
+    if (GENERATING || TRAINING) return;
+    const raw = seedInput.value;
+    const seed = parseSeed(raw);
+    if (raw.trim() !== '' && seed === null) return alert("Seed must be a whole number between 0 and 4294967295.");
+    seedBtn.disabled = true;
+    // stale views would show rows from the previous seed
+    previewContainer.style.display = 'none';
+    analyticsContainer.style.display = 'none';
+    forecastContainer.style.display = 'none';
+    try {
+      if (await regenerateDataset(seed === null ? randomSeed() : seed)) seedInput.value = '';
+    } finally {
+      seedBtn.disabled = false;
+    }
+    predictFromUI();
+  };
+}
+
+// (re)seed the PRNG and rebuild DATASET + stats in the worker; resolves false when
+// cancelled or failed (the previous dataset, seed and model stay in place, a failure
+// is shown under the sample count), so callers only roll back their own settings
+async function regenerateDataset(seed){
+  GENERATING = true;
+  trainBtn.disabled = true;
+  datasetErrorEl.hidden = true;
+  sampleCountEl.textContent = 'Generating...';
+  genProgressEl.style.width = '0%';
+  try {
+    const job = startEngineJob('generate', {config: engineConfig(), seed}, ({fraction, message})=>{
+      sampleCountEl.textContent = message;
+      genProgressEl.style.width = `${Math.round(fraction*100)}%`;
     });
+    cancelGenBtn.hidden = false;
+    cancelGenBtn.onclick = (e)=>{ e.preventDefault(); job.cancel(); };
+    const result = await job.promise;
+    resetModel();
+    setSeed(seed);
+    rngState = result.rngState;
+    syncSeedToURL();
+    DATASET = result.data;
+    QUARTILES = result.quartiles;
+    PER_LOCATION_STATS = result.perLocation;
+    saveDatasetState();
+    return true;
+  } catch (err) {
+    if (err.name !== 'CancelledError') showDatasetError('Generation failed', err);
+    return false;
+  } finally {
+    GENERATING = false;
+    trainBtn.disabled = false;
+    cancelGenBtn.hidden = true;
+    genProgressEl.style.width = '0%';
+    refreshStatsUI();
+  }
+}
+
+// relabel + restat a new dataset (after an import) in the worker, then make it current;
+// resolves false when that failed (shown like a generation failure, DATASET unchanged)
+async function applyDatasetWithStats(data){
+  GENERATING = true;
+  trainBtn.disabled = true;
+  datasetErrorEl.hidden = true;
+  sampleCountEl.textContent = 'Labeling...';
+  try {
+    const result = await startEngineJob('stats', {config: engineConfig(), data}).promise;
+    data.columns.density = result.density;
+    DATASET = data;
+    QUARTILES = result.quartiles;
+    PER_LOCATION_STATS = result.perLocation;
+    resetModel();
+    saveDatasetState();
+    return true;
+  } catch (err) {
+    showDatasetError('Labeling failed', err);
+    return false;
+  } finally {
+    GENERATING = false;
+    trainBtn.disabled = false;
+    refreshStatsUI();
   }
 }
 
+function showDatasetError(what, err){
+  console.error(what, err);
+  datasetErrorEl.textContent = `${what}: ${err.message}`;
+  datasetErrorEl.hidden = false;
+}
+
+// last resort when the worker could not build the dataset: a small one on this thread
+// (a time series is sized by its dates, not rows, so this one is always random samples)
+function generateFallbackDataset(seed){
+  GENERATING = false;
+  try {
+    setSeed(seed);
+    DATASET = generateDataset({...SIMULATION, shape: 'samples', rows: Math.min(SIMULATION.rows, 5000)});
+    QUARTILES = labelDataset(DATASET);
+    PER_LOCATION_STATS = computeLocationStats(DATASET);
+    refreshStatsUI();
+    return true;
+  } catch (err) {
+    showDatasetError('Could not generate a dataset', err);
+    return false;
+  }
+}
+
+/* -------------------------
+   OFFLINE APP (sw.js + manifest.webmanifest)
+   - the service worker precaches every file the page needs; with the dataset
+     restored from IndexedDB (SAVED SESSION) the app starts without a network
+   - the header badge follows navigator.onLine
+   ------------------------- */
+function registerServiceWorker(){
+  // file:// pages and old browsers have no service workers: the app simply needs the network
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register('sw.js').catch(err=>console.warn('Service worker registration failed', err));
+}
+
+function refreshOfflineBadge(){
+  document.getElementById('offlineBadge').hidden = navigator.onLine !== false;
+}
+
 /* -------------------------
    BOOT
    ------------------------- */
+registerServiceWorker();
+window.addEventListener('online', refreshOfflineBadge);
+window.addEventListener('offline', refreshOfflineBadge);
+
 document.addEventListener('DOMContentLoaded', ()=>{
+  refreshOfflineBadge();
   initEverything().catch(err=>{
     console.error('Init failed', err);
-    // fallback: try smaller dataset
-    DATASET = [];
-    generateDataset(5000);
-    refreshStatsUI();
+    if (DATASET.length === 0) generateFallbackDataset(SEED === null ? randomSeed() : SEED);
   });
 });
@@ -0,0 +1,505 @@
+/* simulator.js
+   Headless API of the crowd density predictor: the same generator, labeling,
+   prediction and CSV code the page uses, without any DOM.
+
+   - browser: classic script after calendar.js, model.js, engine.js and arrow.js;
+     script.js builds on the helpers below (prediction inputs, Monte Carlo band,
+     CSV / Arrow / bundle export, import parsing / validation)
+   - Node: require('./simulator.js') runs those four scripts and this file in a
+     private vm context and exports the API built there, so the host's globals
+     are left alone (createSimulator().run() swaps its state in that context).
+     `engine` reads (and for tests, replaces) that context's top-level bindings
+     by name: engine.LOCATIONS, engine.validateRegistry(...). Results are objects
+     of that context: compare them by value, not with instanceof Array.
+
+     const {createSimulator} = require('./simulator.js');
+     const sim = createSimulator({seed: 42, endDate: '2026-10-19', simulation: {rows: 10000}});
+     sim.generate();
+     sim.predict({location: 'Mysore_Palace', date: '2026-10-20', hour: 11, weather: 'Clear', temperature: 27});
+     fs.writeFileSync('data.csv', sim.toCSV());
+     fs.writeFileSync('data.arrow', sim.toArrow());   // pandas.read_feather('data.arrow')
+
+   A seed + config reproduces the page's dataset row for row (the worker runs the
+   same generateChunk / labelDataset / computeLocationStats).
+*/
+// Node: the code below (this file included) runs again inside the private context;
+// its definitions in this module's own scope are unused
+if (typeof module === 'object' && module.exports){
+  const fs = require('fs'), path = require('path'), vm = require('vm');
+  const context = vm.createContext({console, setTimeout, clearTimeout, TextEncoder, TextDecoder});
+  for (const file of ['calendar.js', 'model.js', 'engine.js', 'arrow.js', 'simulator.js']){
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, {filename});
+  }
+  const binding = /^[A-Za-z_$][\w$]*$/;
+  const engine = new Proxy({}, {
+    get: (target, name)=>typeof name === 'string' && binding.test(name)
+      ? vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context)
+      : undefined,
+    set: (target, name, value)=>{
+      if (typeof name !== 'string' || !binding.test(name)) return false;
+      vm.runInContext(`(value)=>{ ${name} = value; }`, context)(value);
+      return true;
+    }
+  });
+  module.exports = {...vm.runInContext('SIMULATOR_API', context), engine};
+}
+
+/* -------------------------
+   CONFIG CHECKS (against the engine's current state)
+   ------------------------- */
+// both sides normalized, so key order (default table vs a validated registry) doesn't matter
+function isDefaultRegistry(){
+  return JSON.stringify(validateRegistry(LOCATION_REGISTRY)) === JSON.stringify(validateRegistry(DEFAULT_LOCATIONS));
+}
+
+function isDefaultCalendar(){
+  return JSON.stringify(CALENDAR) === JSON.stringify(validateCalendar(DEFAULT_CALENDAR, null));
+}
+
+function isDefaultSimulation(){
+  return JSON.stringify(SIMULATION) === JSON.stringify(validateSimulation(DEFAULT_SIMULATION));
+}
+
+/* -------------------------
+   PREDICTION
+   - predictionInputs(): a query {location, date, hour, weather, temperature,
+     is_festival?, is_holiday?} -> heuristic / model inputs; the flags default
+     to the calendar, intensities always come from it
+   - labels: a labelDataset() result; model: a trainModels() bundle or null
+   ------------------------- */
+function predictionInputs({location, date, hour, weather, temperature, is_festival, is_holiday}){
+  const d = new Date(date + 'T00:00:00Z');
+  const dow = d.getUTCDay();
+  const cal = calendarFlags(date, location, dow);
+  return {
+    location, hour, weather, temp: temperature, temperature, day_of_week: dow, month: d.getUTCMonth()+1,
+    is_festival: is_festival ?? cal.is_festival, is_holiday: is_holiday ?? cal.is_holiday,
+    festival_intensity: cal.festival_intensity, holiday_intensity: cal.holiday_intensity
+  };
+}
+
+// {footfall, label} without noise: the model's estimate or the heuristic's expected value
+function predictExpected(inputs, {labels, model=null}){
+  if (model){
+    const res = predictWithModel(model, inputs);
+    return {footfall: res.footfall, label: res.label};
+  }
+  const footfall = Math.round(expectedFootfall(inputs));
+  return {footfall, label: labels ? DENSITY_LABELS[densityClass(footfall, inputs.location, labels)] : 'Unknown'};
+}
+
+// {mean, low, high, probs, label}: P10 / P90 band and class probabilities from the
+// model's validation residuals, or from `draws` noisy heuristic samples
+function predictDistribution(inputs, {labels, model=null, draws=1000}){
+  if (model){
+    const res = predictWithModel(model, inputs);
+    return {mean: res.footfall, low: res.low, high: res.high, probs: res.probs, label: res.label};
+  }
+  const samples = new Float64Array(draws);
+  const counts = DENSITY_LABELS.map(()=>0);
+  let sum = 0;
+  for (let i=0;i<draws;i++){
+    const f = computeFootfallSample(inputs);
+    samples[i] = f;
+    sum += f;
+    if (labels) counts[densityClass(f, inputs.location, labels)]++;
+  }
+  samples.sort();
+  const probs = counts.map(c=>c / draws);
+  return {
+    mean: Math.round(sum / draws),
+    low: Math.round(quantileSorted(samples, 0.1)),
+    high: Math.round(quantileSorted(samples, 0.9)),
+    probs,
+    label: labels ? DENSITY_LABELS[argmax(probs)] : 'Unknown'
+  };
+}
+
+/* -------------------------
+   CSV EXPORT
+   - first line is a '#' comment recording how to regenerate the dataset
+     (pandas: comment='#'); registry / calendar / simulation = custom means
+     regenerating also needs their JSON exports
+   ------------------------- */
+const EXPORT_COLUMNS = ["datetime","date","day_of_week","month","hour","location","weather","temperature","is_festival","is_holiday","footfall","density_label","density_int","source"];
+
+function datasetMetaLine(data, seed, {indices=null, filterNote=''}={}){
+  let meta = `# seed=${seed},end=${DATA_END_DATE},rows=${data.length},imported=${countImportedRows(data)},registry=${isDefaultRegistry() ? 'default' : 'custom'},calendar=${isDefaultCalendar() ? 'default' : 'custom'},simulation=${isDefaultSimulation() ? 'default' : 'custom'},labels=${LABELING.mode}`;
+  if (indices) meta += `,exported=${indices.length},filter=${filterNote || 'none'}`;
+  return meta;
+}
+
+// meta line, header and one quoted line per row (all rows, or `indices` in order)
+function datasetToCSV(data, seed, {indices=null, filterNote=''}={}){
+  const n = indices ? indices.length : data.length;
+  const lines = new Array(n);
+  for (let k=0;k<n;k++){
+    const r = datasetRow(data, indices ? indices[k] : k);
+    lines[k] = EXPORT_COLUMNS.map(h => {
+      let v = r[h];
+      if (v === undefined) v = '';
+      return `"${String(v).replace(/"/g,'""')}"`;
+    }).join(',');
+  }
+  return [datasetMetaLine(data, seed, {indices, filterNote}), EXPORT_COLUMNS.join(','), ...lines].join('\n');
+}
+
+/* -------------------------
+   ARROW / BUNDLE EXPORT
+   - datasetToArrow: the CSV columns as a typed Arrow IPC file (arrow.js);
+     location / weather / source / density_label are categoricals, the density
+     columns are null on unlabeled rows, the CSV meta line is schema metadata
+   - datasetBundle: what regenerating the dataset and reproducing its labels
+     needs (generator config, seed, quartiles, per-location stats), no rows
+   ------------------------- */
+const BUNDLE_FORMAT = "crowd-predictor/dataset-bundle";
+
+function datasetToArrow(data, seed){
+  const c = data.columns, n = data.length;
+  const labeled = Uint8Array.from(c.density, d=>d >= 0 ? 1 : 0);
+  const dict = (name, values, dictionary, valid)=>({name, type: 'dictionary', values: Int32Array.from(values, v=>Math.max(v, 0)), dictionary, valid});
+  const columns = [
+    {name: 'datetime', type: 'timestamp', values: BigInt64Array.from(c.time, t=>BigInt(t))},
+    {name: 'date', type: 'date', values: c.day},
+    {name: 'day_of_week', type: 'int8', values: Int8Array.from(c.dow)},
+    {name: 'month', type: 'int8', values: Int8Array.from(c.month)},
+    {name: 'hour', type: 'int8', values: Int8Array.from(c.hour)},
+    dict('location', c.location, data.locations),
+    dict('weather', c.weather, data.weathers),
+    {name: 'temperature', type: 'float64', values: Float64Array.from(c.temp10, t=>t / 10)},
+    {name: 'is_festival', type: 'int8', values: Int8Array.from(c.festival)},
+    {name: 'is_holiday', type: 'int8', values: Int8Array.from(c.holiday)},
+    {name: 'footfall', type: 'int32', values: c.footfall},
+    dict('density_label', c.density, DENSITY_LABELS, labeled),
+    {name: 'density_int', type: 'int8', values: c.density, valid: labeled},
+    dict('source', c.source, data.sources)
+  ];
+  return arrowFile(columns, {length: n, metadata: {generator: datasetMetaLine(data, seed).slice(2), seed: String(seed), end_date: DATA_END_DATE, labels: LABELING.mode}});
+}
+
+function datasetBundle(data, seed, {quartiles=null, perLocationStats=null}={}){
+  return {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    seed,
+    rows: data.length,
+    imported: countImportedRows(data),
+    config: engineConfig(),
+    quartiles,
+    perLocationStats
+  };
+}
+
+/* -------------------------
+   DATA IMPORT: parsing
+   - CSV (RFC 4180 quoting, '#' comment lines before the header are skipped)
+   - JSON: array of row objects, or {rows:[...]}
+   ------------------------- */
+function parseCSV(text){
+  const records = [];
+  let row = [], field = '', inQuotes = false;
+  for (let i=0;i<text.length;i++){
+    const ch = text[i];
+    if (inQuotes){
+      if (ch === '"'){
+        if (text[i+1] === '"'){ field += '"'; i++; }
+        else inQuotes = false;
+      } else field += ch;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === ','){ row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r'){
+      if (ch === '\r' && text[i+1] === '\n') i++;
+      row.push(field); field = '';
+      records.push(row); row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); records.push(row); }
+  return records;
+}
+
+// returns {columns, records: [{column: value}], firstLine} where firstLine is the file line of records[0]
+function parseImportText(text, fileName){
+  if (/\.json$/i.test(fileName) || /^\s*[\[{]/.test(text)){
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.rows) ? parsed.rows : null;
+    if (!list) throw new Error("JSON must be an array of rows or an object with a 'rows' array.");
+    const columns = [];
+    for (let r of list){
+      if (!r || typeof r !== 'object') continue;
+      for (let k of Object.keys(r)) if (!columns.includes(k)) columns.push(k);
+    }
+    return {columns, records: list.map(r=>(r && typeof r === 'object') ? r : {}), firstLine: 1};
+  }
+  const lines = parseCSV(text);
+  let h = 0;
+  while (h < lines.length && (lines[h].length === 1 && lines[h][0].trim() === '' || /^\s*#/.test(lines[h][0] || ''))) h++;
+  if (h >= lines.length) throw new Error("CSV has no header row.");
+  const columns = lines[h].map(c=>c.trim());
+  const records = [];
+  for (let i=h+1;i<lines.length;i++){
+    if (lines[i].length === 1 && lines[i][0].trim() === '') continue;
+    const rec = {__line: i+1};
+    columns.forEach((c, j)=>{ rec[c] = lines[i][j] === undefined ? '' : lines[i][j]; });
+    records.push(rec);
+  }
+  return {columns, records, firstLine: h+2};
+}
+
+/* -------------------------
+   DATA IMPORT: column mapping & validation
+   - location, footfall and a date (date or datetime) are required
+   - day_of_week / month are always derived from the date; density labels are recomputed
+   - missing optional fields fall back to the generator's rules
+     (festival / holiday calendar, monthly base temperature)
+   ------------------------- */
+const IMPORT_FIELDS = [
+  {key:"datetime", required:false, aliases:["timestamp","date_time"]},
+  {key:"date", required:false, aliases:["day","visit_date"]},
+  {key:"hour", required:false, aliases:["hr","time","hour_of_day"]},
+  {key:"location", required:true, aliases:["site","place","spot","location_name"]},
+  {key:"weather", required:false, aliases:["conditions","weather_type"]},
+  {key:"temperature", required:false, aliases:["temp","temp_c","temperature_c"]},
+  {key:"is_festival", required:false, aliases:["festival"]},
+  {key:"is_holiday", required:false, aliases:["holiday"]},
+  {key:"footfall", required:true, aliases:["count","visitors","visitor_count","tickets","ticket_count"]}
+];
+
+function autoMapColumns(columns){
+  const norm = c => String(c).trim().toLowerCase().replace(/[\s-]+/g,'_');
+  const mapping = {};
+  for (let f of IMPORT_FIELDS){
+    const hit = columns.find(c=>norm(c) === f.key) || columns.find(c=>f.aliases.includes(norm(c)));
+    mapping[f.key] = hit || '';
+  }
+  return mapping;
+}
+
+function parseFlag(v){
+  if (v === '' || v === null || v === undefined) return null;
+  const s = String(v).trim().toLowerCase();
+  if (["1","true","yes","y"].includes(s)) return 1;
+  if (["0","false","no","n"].includes(s)) return 0;
+  return NaN;
+}
+
+// accepts a registry id or display name, case-insensitively
+function normalizeLocation(v){
+  const raw = String(v || '').trim().toLowerCase();
+  const s = raw.replace(/\s+/g,'_');
+  const hit = LOCATION_REGISTRY.find(l=>l.id.toLowerCase() === s || l.name.toLowerCase() === raw);
+  return hit ? hit.id : null;
+}
+
+// -> {rows, errors: [{line, messages}]}
+function validateImportRecords(records, mapping, sourceTag, firstLine=2){
+  const get = (rec, key) => mapping[key] ? rec[mapping[key]] : undefined;
+  const blank = v => v === undefined || v === null || String(v).trim() === '';
+  const rows = [], errors = [];
+  if (!mapping.location || !mapping.footfall || !(mapping.date || mapping.datetime)){
+    throw new Error("Map at least location, footfall and one of date / datetime.");
+  }
+  records.forEach((rec, idx)=>{
+    const line = rec.__line || (firstLine + idx);
+    const messages = [];
+
+    const rawDt = get(rec, 'datetime');
+    const rawDate = get(rec, 'date');
+    let date = null, dtHour = null;
+    if (!blank(rawDate)){
+      const m = String(rawDate).trim().match(/^(\d{4}-\d{2}-\d{2})/);
+      if (m && !isNaN(Date.parse(m[1]))) date = m[1];
+      else messages.push(`date "${rawDate}" is not YYYY-MM-DD`);
+    }
+    if (!blank(rawDt)){
+      const m = String(rawDt).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):\d{2})?/);
+      if (m && !isNaN(Date.parse(m[1]))){
+        if (!date) date = m[1];
+        if (m[2] !== undefined) dtHour = Number(m[2]);
+      } else messages.push(`datetime "${rawDt}" is not ISO 8601`);
+    }
+    if (!date && blank(rawDate) && blank(rawDt)) messages.push('missing date');
+
+    let hour = dtHour;
+    const rawHour = get(rec, 'hour');
+    if (!blank(rawHour)){
+      const hm = String(rawHour).trim().match(/^(\d{1,2})(?::\d{2})?$/);
+      hour = hm ? Number(hm[1]) : NaN;
+    }
+    if (hour === null) messages.push('missing hour (map hour or a datetime with a time)');
+    else if (!Number.isInteger(hour) || hour < 0 || hour > 23) messages.push(`hour "${rawHour}" must be 0–23`);
+
+    const rawLoc = get(rec, 'location');
+    const location = normalizeLocation(rawLoc);
+    if (!location) messages.push(blank(rawLoc) ? 'missing location' : `unknown location "${rawLoc}"`);
+
+    const rawFoot = get(rec, 'footfall');
+    const footfall = blank(rawFoot) ? NaN : Number(rawFoot);
+    if (!Number.isFinite(footfall) || footfall < 0) messages.push(blank(rawFoot) ? 'missing footfall' : `footfall "${rawFoot}" must be a non-negative number`);
+
+    let weather = "Unknown";
+    const rawWeather = get(rec, 'weather');
+    if (!blank(rawWeather)){
+      const w = Object.keys(weatherMultiplier).find(k=>k.toLowerCase() === String(rawWeather).trim().toLowerCase());
+      if (w) weather = w;
+      else messages.push(`unknown weather "${rawWeather}"`);
+    }
+
+    let temperature = null;
+    const rawTemp = get(rec, 'temperature');
+    if (!blank(rawTemp)){
+      temperature = Number(rawTemp);
+      if (!Number.isFinite(temperature) || temperature < -10 || temperature > 55) messages.push(`temperature "${rawTemp}" is out of range`);
+    }
+
+    const fest = parseFlag(get(rec, 'is_festival'));
+    const hol = parseFlag(get(rec, 'is_holiday'));
+    if (Number.isNaN(fest)) messages.push('is_festival must be 0/1 or true/false');
+    if (Number.isNaN(hol)) messages.push('is_holiday must be 0/1 or true/false');
+
+    if (messages.length){
+      errors.push({line, messages});
+      return;
+    }
+    const d = new Date(date + 'T00:00:00Z');
+    const month = d.getUTCMonth()+1;
+    const dow = d.getUTCDay();
+    const cal = calendarFlags(date, location, dow);
+    rows.push({
+      datetime: blank(rawDt) ? `${date}T${String(hour).padStart(2,'0')}:00:00.000Z` : String(rawDt).trim(),
+      date: date,
+      day_of_week: dow,
+      month: month,
+      hour: hour,
+      location: location,
+      weather: weather,
+      temperature: Number((temperature === null ? typicalTemperature(month, weather, hour) : temperature).toFixed(1)),
+      is_festival: fest === null ? cal.is_festival : fest,
+      is_holiday: hol === null ? cal.is_holiday : hol,
+      footfall: Math.round(footfall),
+      source: sourceTag
+    });
+  });
+  return {rows, errors};
+}
+
+/* -------------------------
+   createSimulator(config)
+   - config: {registry?, calendar?, simulation?, labeling?, endDate?, seed?};
+     omitted parts use the defaults, `simulation` / `labeling` may be partial
+   - generate({seed?}) -> dataset (also sim.data, with sim.labels / sim.stats)
+   - computeStats(data?) -> {labels, stats}: relabels a dataset (e.g. one built
+     with datasetFromRows) and makes it current
+   - predict(query, {model?, draws?, scenario?}) -> {open, mean, low, high, probs, label,
+     expected, utilization, level, staff}; open: false outside opening hours;
+     a validated what-if scenario (engine.js) applies to the heuristic only
+   - toCSV({indices?, filterNote?}) -> the page's "Download CSV" text
+   - toArrow() -> Uint8Array Arrow IPC file; toBundle() -> the "Download Bundle" JSON
+   - forecast(location, {horizon?}) -> forecastLocation() (engine.js) on sim.data:
+     daily totals, a backtest on the last `horizon` days and the next `horizon`
+     days; needs simulation: {shape: 'series'}
+   - engine state is global: each call installs this simulator's config and PRNG
+     state, and puts back whatever was installed before
+   ------------------------- */
+function createSimulator(config={}){
+  const registry = validateRegistry(config.registry || DEFAULT_LOCATIONS);
+  const engine = {
+    registry,
+    calendar: validateCalendar(config.calendar || DEFAULT_CALENDAR, registry.map(l=>l.id)),
+    simulation: validateSimulation({...DEFAULT_SIMULATION, ...config.simulation}),
+    labeling: validateLabeling({...DEFAULT_LABELING, ...config.labeling}),
+    endDate: config.endDate || new Date().toISOString().slice(0,10)
+  };
+  if (!isValidISODate(engine.endDate)) throw new Error(`End date "${engine.endDate}" must be YYYY-MM-DD.`);
+  const seed = config.seed ?? Math.floor(Math.random() * 4294967296);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) throw new Error('Seed must be a whole number between 0 and 4294967295.');
+
+  const sim = {
+    config: engine,
+    seed,
+    rngState: seed >>> 0,
+    data: null,
+    labels: null,
+    stats: null,
+    generate, computeStats, predict, toCSV, toArrow, toBundle, forecast
+  };
+
+  function run(fn){
+    const previous = SIMULATION ? {config: engineConfig(), seed: SEED, rngState} : null;
+    configureEngine(engine);
+    SEED = sim.seed;
+    rngState = sim.rngState;
+    try {
+      return fn();
+    } finally {
+      sim.rngState = rngState;
+      if (previous){
+        configureEngine(previous.config);
+        SEED = previous.seed;
+        rngState = previous.rngState;
+      }
+    }
+  }
+
+  function generate({seed=sim.seed}={}){
+    sim.seed = seed;
+    sim.rngState = seed >>> 0;
+    return run(()=>{
+      sim.data = generateDataset(SIMULATION);
+      sim.labels = labelDataset(sim.data);
+      sim.stats = computeLocationStats(sim.data);
+      return sim.data;
+    });
+  }
+
+  function computeStats(data=sim.data){
+    if (!data) throw new Error('No dataset: call generate() first or pass one.');
+    return run(()=>{
+      sim.data = data;
+      sim.labels = labelDataset(data);
+      sim.stats = computeLocationStats(data);
+      return {labels: sim.labels, stats: sim.stats};
+    });
+  }
+
+  function predict(query, {model=null, draws=1000, scenario=null}={}){
+    if (!model && !sim.labels) throw new Error('No density labels: call generate() or computeStats() first.');
+    return run(()=>withScenario(scenario, ()=>{
+      const inputs = predictionInputs(query);
+      if (!LOCATIONS.includes(inputs.location)) throw new Error(`Unknown location "${inputs.location}".`);
+      if (!isOpenAt(inputs.location, inputs.day_of_week, inputs.hour)) return {open: false};
+      const pred = predictDistribution(inputs, {labels: sim.labels, model, draws});
+      const expected = predictExpected(inputs, {labels: sim.labels, model}).footfall;
+      return {open: true, ...pred, expected, ...assessCapacity(inputs.location, pred.mean)};
+    }));
+  }
+
+  function toCSV(options={}){
+    if (!sim.data) throw new Error('No dataset: call generate() first.');
+    return run(()=>datasetToCSV(sim.data, sim.seed, options));
+  }
+
+  function forecast(location, {horizon=14}={}){
+    if (!sim.data) throw new Error('No dataset: call generate() first.');
+    return run(()=>forecastLocation(sim.data, location, {horizon}));
+  }
+
+  function toArrow(){
+    if (!sim.data) throw new Error('No dataset: call generate() first.');
+    return run(()=>datasetToArrow(sim.data, sim.seed));
+  }
+
+  function toBundle(){
+    if (!sim.data) throw new Error('No dataset: call generate() first.');
+    return run(()=>datasetBundle(sim.data, sim.seed, {quartiles: sim.labels, perLocationStats: sim.stats}));
+  }
+
+  return sim;
+}
+
+// the public API (under Node, the top of this file exports the one built in the private context)
+const SIMULATOR_API = {
+  createSimulator, predictionInputs, predictExpected, predictDistribution,
+  datasetToCSV, EXPORT_COLUMNS, datasetToArrow, datasetBundle, parseCSV, parseImportText, autoMapColumns, validateImportRecords
+};
@@ -0,0 +1,73 @@
+/* sw.js
+   Service worker: keeps the whole app available offline (temple gates often have
+   no signal). Everything the page and worker.js load is precached on install.
+
+   - page loads (navigations, any ?seed= / ?loc= query): network first so a new
+     release shows up when online, the cached index.html when offline
+   - other same-origin GETs: cache first, then network (added to the cache)
+   - bump CACHE_VERSION whenever a precached file changes; activate drops this
+     app's older caches
+   The dataset itself is not here: the page restores it from IndexedDB.
+*/
+const CACHE_PREFIX = 'crowd-predictor-';
+const CACHE_VERSION = `${CACHE_PREFIX}v14`;
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'simulator.js',
+  'arrow.js',
+  'charts.js',
+  'engine.js',
+  'calendar.js',
+  'model.js',
+  'worker.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'fonts/poppins-latin-300-normal.woff2',
+  'fonts/poppins-latin-400-normal.woff2',
+  'fonts/poppins-latin-600-normal.woff2',
+  'fonts/poppins-latin-700-normal.woff2',
+  'fonts/poppins-latin-800-normal.woff2'
+];
+
+self.addEventListener('install', (e)=>{
+  e.waitUntil(caches.open(CACHE_VERSION).then(cache=>cache.addAll(PRECACHE)).then(()=>self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e)=>{
+  e.waitUntil(caches.keys()
+    .then(keys=>Promise.all(keys.filter(k=>k.startsWith(CACHE_PREFIX) && k !== CACHE_VERSION).map(k=>caches.delete(k))))
+    .then(()=>self.clients.claim()));
+});
+
+self.addEventListener('fetch', (e)=>{
+  const request = e.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate'){
+    e.respondWith(fetch(request)
+      .then(response=>{
+        if (response.ok && /(\/|index\.html)$/.test(url.pathname)){
+          const copy = response.clone();
+          caches.open(CACHE_VERSION).then(cache=>cache.put('index.html', copy));
+        }
+        return response;
+      })
+      .catch(()=>caches.match('index.html')));
+    return;
+  }
+
+  e.respondWith(caches.match(request, {ignoreSearch: true}).then(cached=>cached || fetch(request).then(response=>{
+    if (response.ok){
+      const copy = response.clone();
+      caches.open(CACHE_VERSION).then(cache=>cache.put(request, copy));
+    }
+    return response;
+  })));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {simulator, useDefaults, engine} = require('./setup.js');
+const {DEFAULT_FESTIVAL_INTENSITY, DEFAULT_HOLIDAY_INTENSITY, calendarFlags, comfortFactor, computeFootfallSample, expectedFootfall, generateDataset, setSeed, tempFactor, timeFactor} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+test('timeFactor switches exactly at the band edges', ()=>{
+  const cases = [[0,0.6],[5,0.6],[6,0.9],[8,0.9],[9,1.0],[11,1.0],[12,0.8],[14,0.8],[15,1.1],[17,1.1],[18,1.4],[20,1.4],[21,0.6],[23,0.6]];
+  for (const [hour, factor] of cases) assert.equal(timeFactor(hour), factor, `hour ${hour}`);
+});
+
+test('tempFactor keeps 20..32 °C neutral, boundaries included', ()=>{
+  assert.equal(tempFactor(19.9), 0.85);
+  assert.equal(tempFactor(20), 1.0);
+  assert.equal(tempFactor(32), 1.0);
+  assert.equal(tempFactor(32.1), 0.8);
+});
+
+test('comfortFactor penalizes muggy heat more than heat alone', ()=>{
+  assert.equal(comfortFactor('Humid', 33), 0.85);
+  assert.equal(comfortFactor('Humid', 30), 0.92);
+  assert.equal(comfortFactor('Cloudy', 33), 1.0);
+  assert.equal(comfortFactor('Rain', 18), 0.9);
+  assert.equal(comfortFactor('Clear', 24), 1.05);
+  const inputs = {location: 'Mysore_Palace', hour: 11, temp: 34, is_festival: 0, is_holiday: 0, day_of_week: 3};
+  assert.ok(expectedFootfall({...inputs, weather: 'Humid'}) < expectedFootfall({...inputs, weather: 'Humid', temp: 30}));
+});
+
+test('computeFootfallSample is reproducible and centred on the expected value', ()=>{
+  const inputs = {location: 'Chamundi_Temple', hour: 10, weather: 'Clear', temp: 25, is_festival: 0, is_holiday: 0, day_of_week: 2};
+  const draw = (seed)=>{
+    setSeed(seed);
+    return Array.from({length: 4000}, ()=>computeFootfallSample(inputs));
+  };
+  const a = draw(7), b = draw(7);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, draw(8));
+
+  const expected = expectedFootfall(inputs);
+  const mean = a.reduce((s, v)=>s + v, 0) / a.length;
+  const sd = Math.sqrt(a.reduce((s, v)=>s + (v - mean) ** 2, 0) / a.length);
+  // noise is N(0, 0.15 * baseScale); 4000 draws put the mean within ~2 visitors
+  assert.ok(Math.abs(mean - expected) < 5, `mean ${mean} vs ${expected}`);
+  assert.ok(Math.abs(sd - 0.15 * 500) < 5, `sd ${sd}`);
+  assert.ok(a.every(v=>Number.isInteger(v) && v >= 0));
+});
+
+test('a ticked festival / holiday box on a date without an event uses the default multipliers', ()=>{
+  const query = {location: 'KRS_Dam', date: '2026-06-10', hour: 11, weather: 'Clear', temperature: 27};
+  const cal = calendarFlags(query.date, query.location);
+  assert.equal(cal.festival_intensity, null);
+  assert.equal(cal.holiday_intensity, null);
+  const plain = expectedFootfall(simulator.predictionInputs({...query, is_festival: 0, is_holiday: 0}));
+  const festival = expectedFootfall(simulator.predictionInputs({...query, is_festival: 1, is_holiday: 0}));
+  const holiday = expectedFootfall(simulator.predictionInputs({...query, is_festival: 0, is_holiday: 1}));
+  assert.ok(Math.abs(festival - plain * DEFAULT_FESTIVAL_INTENSITY) < 1e-9, `${festival} vs ${plain}`);
+  assert.ok(Math.abs(holiday - plain * DEFAULT_HOLIDAY_INTENSITY) < 1e-9, `${holiday} vs ${plain}`);
+  // a listed event keeps its own intensity
+  assert.equal(calendarFlags('2026-10-15', 'Mysore_Palace').festival_intensity, 3);
+});
+
+test('generated weather follows the monthly tables', ()=>{
+  useDefaults({simulation: {rows: 60000, weatherPersistence: 0}});
+  setSeed(3);
+  const data = generateDataset(engine.SIMULATION);
+  const c = data.columns;
+  const rain = data.weathers.indexOf('Rain');
+  const share = (month)=>{
+    let n = 0, hits = 0;
+    for (let i=0;i<data.length;i++) if (c.month[i] === month){ n++; if (c.weather[i] === rain) hits++; }
+    return hits / n;
+  };
+  // daily weather, so the sampling unit is ~60 days per month over two years
+  assert.ok(share(7) > 0.3, `July rain ${share(7)}`);
+  assert.ok(share(1) < 0.1, `January rain ${share(1)}`);
+});
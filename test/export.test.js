@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {simulator, useDefaults, END_DATE, engine, plain} = require('./setup.js');
+const {DENSITY_LABELS, createDataset, datasetRows, datasetTable, engineConfig, evaluateModel, modelFromJSON, modelToJSON, predictWithModel, rng, runEngineJob, setSeed, trainModels, weatherMultiplier} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+const ascii = (bytes)=>String.fromCharCode(...bytes);
+
+test('the Arrow export is an IPC file with every CSV column and the generator metadata', ()=>{
+  const sim = simulator.createSimulator({seed: 7, simulation: {rows: 1500}, endDate: END_DATE});
+  sim.generate();
+  const bytes = sim.toArrow();
+  assert.equal(ascii(bytes.subarray(0, 6)), 'ARROW1');
+  assert.equal(ascii(bytes.subarray(bytes.length - 6)), 'ARROW1');
+  const footerLength = new DataView(bytes.buffer, bytes.byteOffset).getInt32(bytes.length - 10, true);
+  assert.ok(footerLength > 0 && footerLength < bytes.length);
+
+  const text = Buffer.from(bytes).toString('latin1');
+  let at = 0;
+  for (const name of simulator.EXPORT_COLUMNS){
+    const i = text.indexOf(name, at);
+    assert.ok(i > 0, name);
+    at = i;
+  }
+  assert.ok(text.includes('seed=7,end=2026-10-19,rows=1500'));
+  // the footfall column is stored as-is: its int32 values appear verbatim in the body
+  const footfall = Buffer.from(sim.data.columns.footfall.buffer);
+  assert.ok(Buffer.from(bytes).indexOf(footfall) > 0);
+});
+
+test('unlabeled rows export null density columns', ()=>{
+  const data = createDataset(3, {locations: engine.LOCATIONS, weathers: ['Clear'], sources: ['synthetic']});
+  data.columns.density.set([2, -1, 0]);
+  const columns = [];
+  const arrowFileOf = engine.arrowFile;
+  engine.arrowFile = (cols, opts)=>{ columns.push(...cols); return arrowFileOf(cols, opts); };
+  try {
+    simulator.datasetToArrow(data, 1);
+  } finally {
+    engine.arrowFile = arrowFileOf;
+  }
+  const label = columns.find(c=>c.name === 'density_label');
+  assert.deepEqual(Array.from(label.valid), [1, 0, 1]);
+  assert.deepEqual(Array.from(label.values), [2, 0, 0]);
+  assert.deepEqual(label.dictionary, DENSITY_LABELS);
+  assert.deepEqual(Array.from(columns.find(c=>c.name === 'density_int').valid), [1, 0, 1]);
+});
+
+test('a dataset bundle regenerates the same dataset, labels and stats', ()=>{
+  const sim = simulator.createSimulator({seed: 11, simulation: {rows: 1200}, endDate: END_DATE, labeling: {mode: 'location'}});
+  sim.generate();
+  const bundle = JSON.parse(JSON.stringify(sim.toBundle()));
+  assert.equal(bundle.format, 'crowd-predictor/dataset-bundle');
+  assert.equal(bundle.rows, 1200);
+  assert.equal(bundle.imported, 0);
+
+  const again = simulator.createSimulator({...bundle.config, seed: bundle.seed});
+  again.generate();
+  assert.deepEqual(Array.from(again.data.columns.footfall), Array.from(sim.data.columns.footfall));
+  assert.deepEqual(JSON.parse(JSON.stringify(again.labels)), bundle.quartiles);
+  assert.deepEqual(JSON.parse(JSON.stringify(again.stats)), bundle.perLocationStats);
+});
+
+test('a model saved as JSON predicts exactly like the trained one', async ()=>{
+  const sim = simulator.createSimulator({seed: 3, simulation: {rows: 2000}, endDate: END_DATE});
+  sim.generate();
+  const rows = datasetRows(sim.data);
+  let s = 1;
+  const model = await trainModels(rows, {locations: engine.LOCATIONS, weathers: Object.keys(weatherMultiplier), epochs: 3, random: ()=>(s = (s * 16807) % 2147483647) / 2147483647});
+
+  const file = JSON.parse(JSON.stringify(modelToJSON(model, {seed: 3})));
+  assert.equal(file.encoding.columns.length, model.encoder.size);
+  assert.equal(file.encoding.columns[1], `location=${engine.LOCATIONS[0]}`);
+  assert.equal(file.classifier.weights.length, DENSITY_LABELS.length);
+  assert.equal(file.split, undefined);
+
+  const loaded = modelFromJSON(file);
+  assert.equal(loaded.split, null);
+  assert.deepEqual(loaded.dataset, {seed: 3});
+  for (const row of rows.slice(0, 50)) assert.deepEqual(predictWithModel(loaded, row), predictWithModel(model, row));
+
+  const query = {location: 'KRS_Dam', date: '2026-10-14', hour: 10, weather: 'Clear', temperature: 25};
+  assert.deepEqual(sim.predict(query, {model: loaded}), sim.predict(query, {model}));
+});
+
+test('the train job draws its split from the seed alone and leaves the PRNG alone', async ()=>{
+  useDefaults({simulation: {rows: 1500}});
+  const sim = simulator.createSimulator({seed: 4, simulation: {rows: 1500}, endDate: END_DATE});
+  sim.generate();
+  const train = async (draws)=>{
+    setSeed(4);
+    for (let k=0;k<draws;k++) rng(); // a Monte Carlo band, a Randomize...
+    const before = engine.rngState;
+    const result = await runEngineJob('train', {config: engineConfig(), data: sim.data, seed: 4});
+    assert.equal(engine.rngState, before);
+    assert.equal(engine.SEED, 4);
+    return result.model;
+  };
+  const a = await train(0), b = await train(1000);
+  assert.deepEqual(Array.from(a.split.valIdx), Array.from(b.split.valIdx));
+  assert.deepEqual(Array.from(a.regression.weights), Array.from(b.regression.weights));
+  assert.deepEqual(Array.from(a.classifier.weights), Array.from(b.classifier.weights));
+});
+
+test('training from the dataset columns matches training from row objects', async ()=>{
+  const sim = simulator.createSimulator({seed: 5, simulation: {rows: 1500}, endDate: END_DATE});
+  sim.generate();
+  const train = (rows)=>{
+    let s = 7;
+    return trainModels(rows, {locations: engine.LOCATIONS, weathers: Object.keys(weatherMultiplier), epochs: 2, random: ()=>(s = (s * 16807) % 2147483647) / 2147483647});
+  };
+  const rows = datasetRows(sim.data), table = datasetTable(sim.data);
+  const fromRows = await train(rows), fromColumns = await train(table);
+  assert.deepEqual(Array.from(fromColumns.split.valIdx), Array.from(fromRows.split.valIdx));
+  assert.deepEqual(plain(fromColumns.encoder), plain(fromRows.encoder));
+  assert.deepEqual(Array.from(fromColumns.regression.weights), Array.from(fromRows.regression.weights));
+  assert.deepEqual(Array.from(fromColumns.classifier.weights), Array.from(fromRows.classifier.weights));
+  assert.deepEqual(plain(evaluateModel(fromColumns, table, fromColumns.split.valIdx, engine.LOCATIONS)),
+    plain(evaluateModel(fromRows, rows, fromRows.split.valIdx, engine.LOCATIONS)));
+});
+
+test('modelFromJSON rejects files that are not compatible models', ()=>{
+  assert.throws(()=>modelFromJSON({format: 'other'}), /Not a model file/);
+  const base = {
+    format: 'crowd-predictor/model', version: 1, labels: DENSITY_LABELS,
+    encoding: {locations: ['A'], weathers: ['Clear'], hours: [9], numeric: ['month'], means: [6], stds: [3]},
+    regression: {weights: [0, 0, 0, 0, 0], smearing: 1},
+    classifier: {weights: DENSITY_LABELS.map(()=>[0, 0, 0, 0, 0])}
+  };
+  assert.equal(modelFromJSON(base).encoder.size, 5);
+  assert.throws(()=>modelFromJSON({...base, version: 2}), /version 2/);
+  assert.throws(()=>modelFromJSON({...base, regression: {weights: [0, 0], smearing: 1}}), /regression.weights has 2 values, expected 5/);
+  assert.throws(()=>modelFromJSON({...base, encoding: {...base.encoding, numeric: ['rain'], means: [0], stds: [1]}}), /Unknown numeric feature "rain"/);
+  assert.throws(()=>modelFromJSON({...base, labels: ['Low', 'High']}), /Labels must be/);
+  assert.throws(()=>modelFromJSON({...base, classifier: {weights: [[0, 0, 0, 0, 0]]}}), /one row per label/);
+  assert.throws(()=>modelFromJSON({...base, metrics: 'good'}), /metrics must be an object/);
+  assert.throws(()=>modelFromJSON({...base, metrics: {valMAE: '12.5', valAccuracy: 0.8}}), /metrics.valMAE must be a number or null/);
+  assert.deepEqual(plain(modelFromJSON({...base, metrics: {valAccuracy: 0.8}}).metrics), {valMAE: null, valAccuracy: 0.8, trainSize: null, valSize: null});
+  assert.equal(modelFromJSON(base).metrics, null);
+});
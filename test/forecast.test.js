@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {simulator, useDefaults, END_DATE, engine, plain} = require('./setup.js');
+const {DAY_MS, DEFAULT_SIMULATION, backtestForecast, dailySeries, datasetFromRows, datasetRows, engineConfig, fitHoltWinters, forecastErrors, forecastHoltWinters, openSlotsOn, runEngineJob, simulationRows, validateSimulation} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+const SERIES = {shape: 'series', startDate: '2025-10-20', endDate: END_DATE};
+
+test('a time series has one row per open hour, in order per site, and chunks match one pass', async ()=>{
+  useDefaults({simulation: SERIES});
+  const expected = simulationRows(engine.SIMULATION);
+  const sim = simulator.createSimulator({seed: 8, simulation: SERIES, endDate: END_DATE});
+  const data = sim.generate();
+  assert.equal(data.length, expected);
+
+  const c = data.columns;
+  for (let i=1;i<data.length;i++){
+    if (c.location[i] === c.location[i-1]) assert.ok(c.time[i] > c.time[i-1], `row ${i}`);
+  }
+  const zoo = data.locations.indexOf('Mysore_Zoo');
+  for (let i=0;i<data.length;i++) if (c.location[i] === zoo) assert.notEqual(c.dow[i], 2); // closed on Tuesdays
+  const perSite = engine.LOCATIONS.map(id=>c.location.filter(l=>data.locations[l] === id).length);
+  assert.deepEqual(perSite, engine.LOCATIONS.map(id=>{
+    let n = 0;
+    for (let day=Date.parse('2025-10-20')/DAY_MS; day<=Date.parse(END_DATE)/DAY_MS; day++) n += openSlotsOn(id, (day + 4) % 7).length;
+    return n;
+  }));
+
+  const {data: chunked} = await runEngineJob('generate', {config: engineConfig(), seed: 8});
+  assert.deepEqual(Array.from(chunked.columns.footfall), Array.from(c.footfall));
+});
+
+test('trend and weekday factors shape the series', ()=>{
+  const mean = (data, pick)=>{
+    let sum = 0, n = 0;
+    for (let i=0;i<data.length;i++) if (pick(i)){ sum += data.columns.footfall[i]; n++; }
+    return sum / n;
+  };
+  const flat = {trend: 0, weekly: [3, 1, 1, 1, 1, 1, 1], persistence: 0, dayNoise: 0, hourPersistence: 0};
+  const weekly = simulator.createSimulator({seed: 2, simulation: {...SERIES, series: flat}, endDate: END_DATE}).generate();
+  const ratio = mean(weekly, i=>weekly.columns.dow[i] === 0) / mean(weekly, i=>weekly.columns.dow[i] === 3);
+  assert.ok(ratio > 2.5, `Sunday / Wednesday ${ratio}`);
+
+  // same seed, so the same draws: only the trend differs between the two runs
+  const steady = simulator.createSimulator({seed: 2, simulation: {...SERIES, series: {...flat, weekly: [1, 1, 1, 1, 1, 1, 1]}}, endDate: END_DATE}).generate();
+  const growing = simulator.createSimulator({seed: 2, simulation: {...SERIES, series: {...flat, weekly: [1, 1, 1, 1, 1, 1, 1], trend: 1}}, endDate: END_DATE}).generate();
+  const first = steady.columns.day[0];
+  const late = (i)=>steady.columns.day[i] - first >= 335;
+  const growth = mean(growing, late) / mean(steady, late);
+  assert.ok(growth > 1.8 && growth < 2, `the last month of a +100 % a year trend: ${growth}`);
+  assert.equal(mean(growing, i=>steady.columns.day[i] === first), mean(steady, i=>steady.columns.day[i] === first));
+});
+
+test('validateSimulation checks the shape and series settings, older settings sample', ()=>{
+  const {shape, series, ...older} = validateSimulation(DEFAULT_SIMULATION);
+  assert.equal(validateSimulation(older).shape, 'samples');
+  assert.deepEqual(validateSimulation(older).series, DEFAULT_SIMULATION.series);
+  assert.throws(()=>validateSimulation({...older, shape: 'grid'}), /Dataset shape must be one of samples, series/);
+  assert.throws(()=>validateSimulation({...older, series: {weekly: [1, 1]}}), /one factor per weekday/);
+  assert.throws(()=>validateSimulation({...older, series: {persistence: 1}}), /Day-to-day persistence must be a number between 0 and 0.99/);
+});
+
+test('Holt-Winters follows trend + weekly season and its band widens with the horizon', ()=>{
+  const season = [40, -10, -20, -5, 0, 5, 30];
+  const y = Array.from({length: 140}, (_, t)=>200 + 2 * t + season[t % 7]);
+  const fit = fitHoltWinters(y);
+  const {mean, low, high} = forecastHoltWinters(fit, 14);
+  mean.forEach((m, j)=>assert.ok(Math.abs(m - (200 + 2 * (140 + j) + season[(140 + j) % 7])) < 1, `day ${j}: ${m}`));
+
+  let s = 5;
+  const noisy = y.map(v=>v + ((s = (s * 16807) % 2147483647) / 2147483647 - 0.5) * 40);
+  const band = forecastHoltWinters(fitHoltWinters(noisy), 14);
+  assert.ok(band.high[13] - band.low[13] > band.high[0] - band.low[0]);
+  assert.ok(band.low[0] < band.mean[0] && band.mean[0] < band.high[0]);
+
+  const bt = backtestForecast(noisy, 14);
+  assert.equal(bt.split, 126);
+  assert.deepEqual(plain(bt.naive.slice(0, 7)), noisy.slice(119, 126));
+  assert.ok(forecastErrors(bt.actual, bt.forecast.mean).mae < forecastErrors(bt.actual, bt.naive).mae);
+  assert.throws(()=>backtestForecast(noisy.slice(0, 20), 14), /needs at least 29 days of history/);
+  assert.deepEqual(plain(forecastErrors([0, 10], [2, 5])), {mae: 3.5, rmse: Math.sqrt(14.5), mape: 0.5});
+});
+
+test('dailySeries refuses random samples and fills a missing day from the week before', ()=>{
+  const samples = simulator.createSimulator({seed: 4, simulation: {rows: 20000}, endDate: END_DATE}).generate();
+  assert.throws(()=>dailySeries(samples, 'KRS_Dam'), /not an hourly time series/);
+
+  useDefaults({simulation: SERIES});
+  const data = simulator.createSimulator({seed: 4, simulation: SERIES, endDate: END_DATE}).generate();
+  const full = dailySeries(data, 'KRS_Dam');
+  assert.equal(full.filled, 0);
+  assert.equal(full.totals.length, 365);
+
+  // drop every KRS_Dam row of day 100
+  const dam = data.locations.indexOf('KRS_Dam'), gone = full.startDay + 100;
+  const keep = Int32Array.from({length: data.length}, (_, i)=>i).filter(i=>!(data.columns.location[i] === dam && data.columns.day[i] === gone));
+  const gappy = datasetFromRows(datasetRows(data, keep));
+  const filled = dailySeries(gappy, 'KRS_Dam');
+  assert.equal(filled.filled, 1);
+  assert.equal(filled.totals[100], full.totals[93]);
+});
+
+test('sim.forecast projects the next days with closed days at zero', ()=>{
+  const sim = simulator.createSimulator({seed: 6, simulation: SERIES, endDate: END_DATE});
+  sim.generate();
+  const f = sim.forecast('Mysore_Zoo', {horizon: 10});
+  assert.equal(f.forecast.mean.length, 10);
+  assert.equal(f.forecast.startDay, Date.parse(END_DATE) / DAY_MS + 1);
+  f.forecast.mean.forEach((m, j)=>{
+    const closed = (f.forecast.startDay + j + 4) % 7 === 2;
+    assert.equal(m === 0, closed, `day ${j}`);
+    assert.ok(f.forecast.low[j] <= m && m <= f.forecast.high[j]);
+  });
+  assert.equal(f.backtest.actual.length, 10);
+  assert.equal(f.backtest.startDay, f.startDay + f.totals.length - 10);
+  for (const e of Object.values(f.backtest.errors)) assert.ok(e.mae >= 0 && e.mape > 0);
+  assert.ok(f.params.alpha > 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {useDefaults, datasetOf, engine, plain} = require('./setup.js');
+const {computeLocationStats, densityClass, labelDataset, validateLabeling} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+test('empty dataset labels to zero cutoffs', ()=>{
+  const labels = labelDataset(datasetOf([]));
+  assert.deepEqual([labels.q1, labels.q2, labels.q3], [0, 0, 0]);
+  const stats = computeLocationStats(datasetOf([]));
+  for (const id of engine.LOCATIONS) assert.deepEqual(plain(stats[id]), {q1:0, q2:0, q3:0, topHours:[], sources:{}});
+});
+
+test('quartiles interpolate between order statistics', ()=>{
+  const data = datasetOf([10, 20, 30, 40].map(f=>['KRS_Dam', 9, f]));
+  const labels = labelDataset(data);
+  assert.deepEqual([labels.q1, labels.q2, labels.q3], [17.5, 25, 32.5]);
+  assert.deepEqual(Array.from(data.columns.density), [0, 1, 2, 3]);
+});
+
+test('labels use upper-inclusive cutoffs', ()=>{
+  const data = datasetOf([1, 2, 3, 4, 5].map(f=>['KRS_Dam', 9, f]));
+  const labels = labelDataset(data);
+  assert.deepEqual([labels.q1, labels.q2, labels.q3], [2, 3, 4]);
+  assert.deepEqual(Array.from(data.columns.density), [0, 0, 1, 2, 3]);
+  assert.equal(densityClass(2, 'KRS_Dam', labels), 0);
+  assert.equal(densityClass(4.5, 'KRS_Dam', labels), 3);
+});
+
+test('duplicate-heavy data keeps ties in the lower class', ()=>{
+  const values = [...Array(90).fill(100), 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100];
+  const data = datasetOf(values.map(f=>['KRS_Dam', 9, f]));
+  const labels = labelDataset(data);
+  assert.deepEqual([labels.q1, labels.q2, labels.q3], [100, 100, 100]);
+  const density = Array.from(data.columns.density);
+  assert.equal(density.filter(d=>d === 0).length, 90);
+  assert.equal(density.filter(d=>d === 3).length, 10);
+  assert.equal(density.filter(d=>d === 1 || d === 2).length, 0);
+
+  const same = datasetOf(Array(20).fill(['KRS_Dam', 9, 42]));
+  labelDataset(same);
+  assert.ok(Array.from(same.columns.density).every(d=>d === 0));
+});
+
+test('per-location mode labels each site against its own quartiles', ()=>{
+  const rows = [];
+  for (let f=1; f<=8; f++) rows.push(['Mysore_Palace', 11, 1000 + f*100], ['Srirangapatna_Temple', 11, f*10]);
+  const global = labelDataset(datasetOf(rows));
+  const data = datasetOf(rows);
+  const local = labelDataset(data, validateLabeling({mode: 'location'}));
+  assert.equal(local.mode, 'location');
+  assert.deepEqual([local.q1, local.q2, local.q3], [global.q1, global.q2, global.q3]);
+  const classes = (id)=>rows.map((r, i)=>r[0] === id ? data.columns.density[i] : null).filter(v=>v !== null);
+  assert.deepEqual(classes('Srirangapatna_Temple'), [0, 0, 1, 1, 2, 2, 3, 3]);
+  assert.deepEqual(classes('Mysore_Palace'), [0, 0, 1, 1, 2, 2, 3, 3]);
+});
+
+test('capacity mode labels by people per m² of visitor area', ()=>{
+  const area = engine.siteArea.KRS_Dam;
+  const data = datasetOf([0.5, 0.51, 1, 2, 2.01].map(ppm=>['KRS_Dam', 9, Math.round(ppm * area)]));
+  const labels = labelDataset(data, validateLabeling({mode: 'capacity', thresholds: [0.5, 1, 2]}));
+  assert.deepEqual(plain(labels.cutoffs.KRS_Dam), [0.5 * area, area, 2 * area]);
+  assert.deepEqual(Array.from(data.columns.density), [0, 1, 1, 2, 3]);
+  assert.throws(()=>validateLabeling({mode: 'capacity', thresholds: [1, 0.5, 2]}), /increase/);
+  assert.throws(()=>validateLabeling({mode: 'busy'}), /Unknown labeling mode/);
+});
+
+test('per-location stats rank top hours by average footfall', ()=>{
+  const data = datasetOf([
+    ['Mysore_Zoo', 9, 100], ['Mysore_Zoo', 9, 300], // avg 200
+    ['Mysore_Zoo', 10, 250],                        // avg 250
+    ['Mysore_Zoo', 16, 50], ['Mysore_Zoo', 16, 70], // avg 60
+    ['KRS_Dam', 9, 999]
+  ]);
+  const stats = computeLocationStats(data);
+  assert.deepEqual(plain(stats.Mysore_Zoo.topHours), [{hour: 10, avg: 250}, {hour: 9, avg: 200}, {hour: 16, avg: 60}]);
+  assert.deepEqual(plain(stats.KRS_Dam.topHours), [{hour: 9, avg: 999}]);
+  assert.deepEqual(plain(stats.Mysore_Zoo.sources), {synthetic: 5});
+  assert.deepEqual(plain(stats.Chamundi_Temple.topHours), []);
+});
+
+test('top hours keep at most five entries', ()=>{
+  const data = datasetOf(Array.from({length: 8}, (_, h)=>['Brindavan_Gardens', 8 + h, 100 + h]));
+  const top = computeLocationStats(data).Brindavan_Gardens.topHours;
+  assert.equal(top.length, 5);
+  assert.deepEqual(plain(top.map(t=>t.hour)), [15, 14, 13, 12, 11]);
+});
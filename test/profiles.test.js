@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {useDefaults, datasetOf, engine, plain} = require('./setup.js');
+const {ALL_SITES, boxStats, datasetProfiles} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+test('box stats use Tukey whiskers and count outliers', ()=>{
+  const b = boxStats(Int32Array.from([1, 2, 3, 4, 5, 6, 7, 8, 100]));
+  assert.deepEqual([b.q1, b.median, b.q3], [3, 5, 7]);
+  assert.equal(b.low, 1);
+  assert.equal(b.high, 8); // 100 is beyond Q3 + 1.5 × IQR = 13
+  assert.equal(b.outliers, 1);
+  assert.equal(b.max, 100);
+  assert.equal(boxStats(new Int32Array(0)), null);
+});
+
+test('profiles average per hour, weekday, month × hour and weather', ()=>{
+  const data = datasetOf([['KRS_Dam', 9, 100], ['KRS_Dam', 9, 300], ['Mysore_Zoo', 9, 50], ['Mysore_Zoo', 14, 70]]);
+  data.columns.dow.set([1, 1, 2, 2]);
+  data.columns.month.set([1, 1, 1, 7]);
+  const p = datasetProfiles(data);
+
+  assert.equal(p.hour.KRS_Dam[9], 200);
+  assert.equal(p.hour.KRS_Dam[14], null);
+  assert.equal(p.hour[ALL_SITES][9], 150);
+  assert.deepEqual(plain(p.weekday.Mysore_Zoo.slice(0, 3)), [null, null, 60]);
+  assert.equal(p.monthHour[ALL_SITES][0][9], 150);
+  assert.equal(p.monthHour.Mysore_Zoo[6][14], 70);
+  assert.equal(p.weather.KRS_Dam[data.weathers[0]], 200);
+  assert.equal(p.boxes.Chamundi_Temple, null);
+  assert.equal(p.boxes[ALL_SITES].n, 4);
+});
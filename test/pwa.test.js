@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const read = (file)=>fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+test('the service worker precaches files that exist, including every script the page loads', ()=>{
+  const list = read('sw.js').match(/const PRECACHE = \[([\s\S]*?)\];/)[1];
+  const files = Array.from(list.matchAll(/'([^']+)'/g), m=>m[1]).filter(f=>f !== './');
+  for (const file of files) assert.ok(fs.existsSync(path.join(ROOT, file)), file);
+
+  const html = read('index.html');
+  const pageAssets = Array.from(html.matchAll(/(?:src|href)="([^"#]+)"/g), m=>m[1]);
+  const workerAssets = Array.from(read('worker.js').match(/importScripts\(([^)]*)\)/)[1].matchAll(/'([^']+)'/g), m=>m[1]);
+  const fonts = Array.from(read('style.css').matchAll(/url\("([^"]+)"\)/g), m=>m[1]);
+  for (const asset of [...pageAssets, ...workerAssets, ...fonts, 'worker.js']) assert.ok(files.includes(asset), `${asset} is not precached`);
+});
+
+test('the page has no third-party requests and links its manifest', ()=>{
+  const html = read('index.html');
+  assert.doesNotMatch(html, /(?:src|href)="https?:/);
+  assert.match(html, /<link rel="manifest" href="manifest.webmanifest">/);
+  const manifest = JSON.parse(read('manifest.webmanifest'));
+  assert.equal(manifest.display, 'standalone');
+  const sizes = manifest.icons.map(i=>i.sizes);
+  assert.ok(sizes.includes('192x192') && sizes.includes('512x512'));
+  for (const icon of manifest.icons) assert.ok(fs.existsSync(path.join(ROOT, icon.src)), icon.src);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {simulator, useDefaults, END_DATE, engine, plain} = require('./setup.js');
+const {DEFAULT_FESTIVAL_INTENSITY, engineConfig, expectedFootfall, footfallSensitivity, runEngineJob, setSeed, timeFactor, validateScenario, weatherMultiplier, withScenario} = engine;
+
+test.beforeEach(()=>useDefaults());
+
+const INPUTS = {location: 'Mysore_Zoo', hour: 10, weather: 'Clear', temp: 25, is_festival: 0, is_holiday: 0, day_of_week: 3};
+
+test('scenarios override factors inside withScenario and restore the baseline after', ()=>{
+  const base = expectedFootfall(INPUTS);
+  const scenario = validateScenario({name: 'Busy zoo', popularity: {Mysore_Zoo: 2}, weather: {Clear: 0.5}, time: {morning: 1.5}});
+  const inside = withScenario(scenario, ()=>expectedFootfall(INPUTS));
+  assert.ok(Math.abs(inside - base * 2 * 0.5 * 1.5) < 1e-9);
+  assert.equal(expectedFootfall(INPUTS), base);
+  assert.equal(weatherMultiplier.Clear, 1.0);
+  assert.equal(timeFactor(10), 1.0);
+
+  // restored even when the callback throws
+  assert.throws(()=>withScenario(scenario, ()=>{ throw new Error('boom'); }), /boom/);
+  assert.equal(engine.locPopularity.Mysore_Zoo, 1.0);
+});
+
+test('festival / holiday overrides replace the calendar intensity', ()=>{
+  const inputs = {...INPUTS, is_festival: 1, festival_intensity: 3};
+  const none = expectedFootfall({...INPUTS});
+  assert.ok(Math.abs(expectedFootfall(inputs) - none * 3) < 1e-9);
+  const scenario = validateScenario({name: 'Quiet festival', festival: 1.2, holiday: ''});
+  assert.equal(scenario.holiday, null);
+  assert.ok(Math.abs(withScenario(scenario, ()=>expectedFootfall(inputs)) - none * 1.2) < 1e-9);
+});
+
+test('validateScenario drops blanks and rejects unknown keys or bad factors', ()=>{
+  const s = validateScenario({name: ' Rainy ', weather: {Rain: '0.3', Clear: ''}, baseScale: {}});
+  assert.equal(s.name, 'Rainy');
+  assert.deepEqual(plain(s.weather), {Rain: 0.3});
+  assert.throws(()=>validateScenario({name: ''}), /needs a name/);
+  assert.throws(()=>validateScenario({name: 'x', popularity: {Nowhere: 1}}), /unknown location "Nowhere"/);
+  assert.throws(()=>validateScenario({name: 'x', time: {dawn: 1}}), /unknown time bucket "dawn"/);
+  assert.throws(()=>validateScenario({name: 'x', holiday: -1}), /holiday factor must be a number ≥ 0/);
+});
+
+test('sensitivity ranks the factors by how far they swing the expected footfall', ()=>{
+  const {base, bars} = footfallSensitivity(INPUTS);
+  assert.equal(base, expectedFootfall(INPUTS));
+  const widths = bars.map(b=>b.high - b.low);
+  assert.deepEqual(widths, widths.slice().sort((a, b)=>b - a));
+  for (const b of bars) assert.ok(b.low <= base + 1e-9 && b.high >= base - 1e-9, b.factor);
+
+  const weather = bars.find(b=>b.factor === 'weather');
+  assert.equal(weather.lowLabel, 'Rain');
+  assert.equal(weather.highLabel, 'Clear');
+  const festival = bars.find(b=>b.factor === 'festival');
+  assert.ok(Math.abs(festival.high / festival.low - DEFAULT_FESTIVAL_INTENSITY) < 1e-9);
+  const scale = bars.find(b=>b.factor === 'scale');
+  assert.ok(Math.abs(scale.high - base * 1.2) < 1e-9);
+});
+
+test('the scenarios job regenerates every scenario from one seed and leaves the PRNG alone', async ()=>{
+  useDefaults({simulation: {rows: 2000}});
+  const sim = simulator.createSimulator({seed: 5, simulation: {rows: 2000}, endDate: END_DATE});
+  sim.generate();
+  setSeed(99);
+  const before = engine.rngState;
+  const double = validateScenario({name: 'Double', baseScale: Object.fromEntries(engine.LOCATIONS.map(id=>[id, 2 * engine.baseScale[id]]))});
+  const {results} = await runEngineJob('scenarios', {config: engineConfig(), seed: 5, scenarios: [null, double], labels: sim.labels});
+  assert.equal(engine.rngState, before);
+  assert.equal(engine.SEED, 99);
+
+  const [baseline, doubled] = results;
+  assert.equal(baseline.rows, 2000);
+  assert.ok(Math.abs(baseline.mean - sim.data.columns.footfall.reduce((a, f)=>a + f, 0) / 2000) < 1e-9);
+  // same rows and noise draws: doubling the scale (noise included) doubles footfall up to rounding
+  assert.ok(Math.abs(doubled.mean / baseline.mean - 2) < 0.01, `${doubled.mean / baseline.mean}`);
+  assert.ok(doubled.busyShare > baseline.busyShare);
+  assert.ok(doubled.capacity.warning + doubled.capacity.critical >= baseline.capacity.warning + baseline.capacity.critical);
+  assert.equal(Object.keys(doubled.perLocation).length, engine.LOCATIONS.length);
+});
+
+test('createSimulator predictions accept a scenario', ()=>{
+  const sim = simulator.createSimulator({seed: 1, simulation: {rows: 1000}, endDate: END_DATE});
+  sim.generate();
+  const query = {location: 'KRS_Dam', date: '2026-10-14', hour: 10, weather: 'Clear', temperature: 25, is_festival: 0, is_holiday: 0};
+  const base = sim.predict(query).expected;
+  const half = validateScenario({name: 'Half', popularity: {KRS_Dam: 0.35}});
+  assert.ok(Math.abs(sim.predict(query, {scenario: half}).expected - base / 2) <= 1);
+  assert.equal(sim.predict(query).expected, base);
+});
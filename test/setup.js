@@ -0,0 +1,37 @@
+/* test/setup.js
+   Loads the DOM-free core (simulator.js runs calendar.js, model.js, engine.js and arrow.js
+   in a private context; `engine` reads its bindings) and installs a known engine configuration.
+*/
+const simulator = require('../simulator.js');
+const {engine} = simulator;
+const {DEFAULT_CALENDAR, DEFAULT_LABELING, DEFAULT_LOCATIONS, DEFAULT_SIMULATION, configureEngine, createDataset, validateCalendar, validateLabeling, validateRegistry, validateSimulation, weatherMultiplier} = engine;
+
+const END_DATE = '2026-10-19';
+
+// default registry / calendar / labeling, simulation settings overridable
+function useDefaults({simulation={}, labeling={}}={}){
+  configureEngine({
+    registry: validateRegistry(DEFAULT_LOCATIONS),
+    calendar: validateCalendar(DEFAULT_CALENDAR, null),
+    simulation: validateSimulation({...DEFAULT_SIMULATION, ...simulation}),
+    labeling: validateLabeling({...DEFAULT_LABELING, ...labeling}),
+    endDate: END_DATE
+  });
+}
+
+// a dataset with the given footfall values at one location / hour each
+function datasetOf(entries){
+  const data = createDataset(entries.length, {locations: engine.LOCATIONS, weathers: Object.keys(weatherMultiplier), sources: ['synthetic']});
+  entries.forEach(([location, hour, footfall], i)=>{
+    data.columns.location[i] = data.locations.indexOf(location);
+    data.columns.hour[i] = hour;
+    data.columns.footfall[i] = footfall;
+  });
+  return data;
+}
+
+// the engine's objects come from its own context (other Array / Object prototypes):
+// copy one into this realm before deepEqual compares it with a literal
+const plain = (value)=>structuredClone(value);
+
+module.exports = {simulator, engine, plain, useDefaults, datasetOf, END_DATE};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {simulator, END_DATE, engine, plain} = require('./setup.js');
+const {DATASET_COLUMNS, DENSITY_LABELS, datasetFromRows, datasetRow, datasetRows, isOpenAt, simulationRange} = engine;
+const {createSimulator, EXPORT_COLUMNS, parseImportText, autoMapColumns, validateImportRecords} = simulator;
+
+test('same seed and config generate the same dataset', ()=>{
+  const a = createSimulator({seed: 11, endDate: END_DATE, simulation: {rows: 3000}});
+  const b = createSimulator({seed: 11, endDate: END_DATE, simulation: {rows: 3000}});
+  a.generate();
+  b.generate();
+  for (const key of Object.keys(DATASET_COLUMNS)) assert.deepEqual(a.data.columns[key], b.data.columns[key], key);
+  assert.deepEqual(a.labels, b.labels);
+  assert.notDeepEqual(createSimulator({seed: 12, endDate: END_DATE, simulation: {rows: 3000}}).generate().columns.footfall, a.data.columns.footfall);
+});
+
+test('generated rows respect opening hours and the date range', ()=>{
+  const sim = createSimulator({seed: 5, endDate: END_DATE, simulation: {rows: 5000}});
+  sim.generate();
+  const {startDay, days} = simulationRange(sim.config.simulation);
+  for (let i=0;i<sim.data.length;i++){
+    const r = datasetRow(sim.data, i);
+    assert.ok(isOpenAt(r.location, r.day_of_week, r.hour), `${r.location} ${r.datetime}`);
+    const day = sim.data.columns.day[i];
+    assert.ok(day >= startDay && day < startDay + days);
+  }
+});
+
+test('CSV export round-trips through the import parser', ()=>{
+  const sim = createSimulator({seed: 21, endDate: END_DATE, simulation: {rows: 2000}});
+  sim.generate();
+  const csv = sim.toCSV();
+  assert.match(csv.split('\n')[0], /^# seed=21,end=2026-10-19,rows=2000,imported=0,registry=default,calendar=default,simulation=custom,labels=global$/);
+
+  const {columns, records} = parseImportText(csv, 'export.csv');
+  assert.deepEqual(columns, EXPORT_COLUMNS);
+  assert.equal(records.length, sim.data.length);
+  const {rows, errors} = validateImportRecords(records, autoMapColumns(columns), 'synthetic');
+  assert.deepEqual(plain(errors), []);
+  const original = datasetRows(sim.data);
+  rows.forEach((row, i)=>{
+    const o = original[i];
+    for (const key of ['datetime','date','day_of_week','month','hour','location','weather','temperature','is_festival','is_holiday','footfall','source']){
+      assert.equal(row[key], o[key], `row ${i} ${key}`);
+    }
+  });
+
+  // re-import -> relabel gives back the same density column
+  const reimported = datasetFromRows(rows);
+  createSimulator({seed: 21, endDate: END_DATE}).computeStats(reimported);
+  assert.deepEqual(reimported.columns.density, sim.data.columns.density);
+});
+
+test('CSV quoting survives commas and quotes in source tags', ()=>{
+  const sim = createSimulator({seed: 2, endDate: END_DATE, simulation: {rows: 1000}});
+  sim.generate();
+  const rows = datasetRows(sim.data, [0, 1]).map(r=>({...r, source: 'import:"odd", name.csv'}));
+  const data = datasetFromRows(rows);
+  sim.computeStats(data);
+  const {records} = parseImportText(sim.toCSV(), 'x.csv');
+  assert.equal(records[0].source, 'import:"odd", name.csv');
+  assert.match(sim.toCSV().split('\n')[0], /imported=2/);
+});
+
+test('predict reports the band, label and capacity assessment', ()=>{
+  const sim = createSimulator({seed: 42, endDate: END_DATE, simulation: {rows: 5000}});
+  sim.generate();
+  const query = {location: 'Mysore_Palace', date: '2026-11-18', hour: 11, weather: 'Clear', temperature: 27};
+  const a = sim.predict(query);
+  assert.equal(a.open, true);
+  assert.ok(a.low <= a.mean && a.mean <= a.high);
+  assert.ok(DENSITY_LABELS.includes(a.label));
+  assert.equal(Math.abs(a.probs.reduce((s, p)=>s + p, 0) - 1) < 1e-9, true);
+  assert.equal(a.utilization, a.mean / engine.siteCapacity.Mysore_Palace);
+  assert.equal(sim.predict({...query, hour: 20}).open, false);
+  assert.throws(()=>sim.predict({...query, location: 'Nowhere'}), /Unknown location/);
+});
+
+test('the engine runs in its own context and leaves the host globals alone', ()=>{
+  for (const name of ['configureEngine', 'expectedFootfall', 'LOCATIONS', 'SIMULATION', 'rng', 'SEED']) assert.equal(name in globalThis, false, name);
+  assert.equal(typeof engine.configureEngine, 'function');
+  assert.equal(engine.nothingByThatName, undefined);
+
+  // two simulators side by side: each keeps its own seed, settings and stream
+  const a = createSimulator({seed: 5, endDate: END_DATE, simulation: {rows: 1000}});
+  const b = createSimulator({seed: 6, endDate: END_DATE, simulation: {rows: 1500}, labeling: {mode: 'location'}});
+  const first = Array.from(a.generate().columns.footfall);
+  b.generate();
+  assert.deepEqual(Array.from(a.generate().columns.footfall), first);
+  assert.equal(b.data.length, 1500);
+  assert.match(b.toCSV().split('\n')[0], /seed=6,.*labels=location$/);
+});
+
+test('config validation surfaces readable errors', ()=>{
+  assert.throws(()=>createSimulator({simulation: {rows: 10}}), /Rows must be/);
+  assert.throws(()=>createSimulator({seed: -1}), /Seed must be/);
+  assert.throws(()=>createSimulator({endDate: '19-10-2026'}), /End date/);
+  assert.throws(()=>createSimulator({registry: [{id: 'bad id'}]}), /letters, digits/);
+});
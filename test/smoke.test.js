@@ -0,0 +1,241 @@
+// Loads index.html in jsdom and checks that initEverything wires the page up.
+// Canvas has no backend here, so getContext hands out a no-op 2D context.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {JSDOM, VirtualConsole, ResourceLoader} = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost/';
+
+// serve the repo from disk, never touch the network (web fonts etc.)
+class LocalLoader extends ResourceLoader {
+  fetch(url){
+    if (!url.startsWith(ORIGIN)) return Promise.resolve(Buffer.from(''));
+    return Promise.resolve(fs.readFileSync(path.join(ROOT, url.slice(ORIGIN.length).split(/[?#]/)[0])));
+  }
+}
+
+function stubCanvas(window){
+  const ctx = new Proxy({}, {
+    get: (t, k)=>k in t ? t[k]
+      : k === 'measureText' ? ()=>({width: 10})
+      : (k === 'createLinearGradient' || k === 'createRadialGradient') ? ()=>({addColorStop(){}})
+      : ()=>{},
+    set: (t, k, v)=>{ t[k] = v; return true; }
+  });
+  window.HTMLCanvasElement.prototype.getContext = ()=>ctx;
+  window.HTMLCanvasElement.prototype.toDataURL = ()=>'data:,';
+}
+
+async function loadPage(query){
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', e=>errors.push(e.message));
+  virtualConsole.on('error', (...a)=>errors.push(a.join(' ')));
+  const dom = await JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+    url: ORIGIN + 'index.html' + query,
+    resources: new LocalLoader(),
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window){
+      stubCanvas(window);
+      window.alert = (m)=>errors.push('alert: ' + m);
+    }
+  });
+  return {dom, errors};
+}
+
+async function waitFor(check, ms=60000){
+  const start = Date.now();
+  while (!check()){
+    if (Date.now() - start > ms) throw new Error('timed out waiting for the page');
+    await new Promise(r=>setTimeout(r, 50));
+  }
+}
+
+test('index.html boots, generates the dataset and predicts', async ()=>{
+  const {dom, errors} = await loadPage('?seed=1&rows=1000');
+  const {document, Event} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+
+    assert.equal($('sampleCount').textContent.replace(/\D/g, ''), '1000');
+    assert.equal(dom.window.eval('SEED'), 1);
+    assert.equal($('location').options.length, dom.window.eval('LOCATIONS.length'));
+    assert.ok(['Low','Medium','High','Very High'].includes($('densityBadge').textContent), $('densityBadge').textContent);
+    for (const id of ['predictBtn','randomizeBtn','trainBtn','seedBtn','exportModelBtn','loadModelBtn']) assert.equal(typeof $(id).onclick, 'function', id);
+
+    // a new hour goes through predictFromUI and re-renders the result
+    $('location').value = 'Mysore_Palace';
+    $('hour').value = '11';
+    $('predictBtn').click();
+    assert.match($('footfall').textContent, /\d/);
+
+    // Predict clicks are logged even without IndexedDB (jsdom has none)
+    await waitFor(()=>dom.window.eval('PREDICTION_HISTORY.length') === 1);
+    assert.equal(dom.window.eval('PREDICTION_HISTORY[0].inputs.location'), 'Mysore_Palace');
+
+    $('location').dispatchEvent(new Event('change'));
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('Randomize only picks hours the site opens on the drawn day', async ()=>{
+  const {dom, errors} = await loadPage('?seed=1&rows=1000');
+  const {document} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    // Mysore Palace on a weekday, last slot: the Sunday-only 19:00 Illumination hour used to win
+    const palace = dom.window.eval("LOCATIONS.indexOf('Mysore_Palace')");
+    const offset = dom.window.eval("(()=>{ for (let k=0;k<7;k++){ const d = new Date(); d.setDate(d.getDate() + k); if (utcDayOfWeek(d.toISOString().slice(0,10)) !== 0) return k; } })()");
+    const draws = [(palace + 0.5) / dom.window.eval('LOCATIONS.length'), (offset + 0.5) / 90];
+    dom.window.eval(`rng = (()=>{ const draws = ${JSON.stringify(draws)}; return ()=>draws.length ? draws.shift() : 0.999; })()`);
+    $('randomizeBtn').click();
+
+    assert.equal($('location').value, 'Mysore_Palace');
+    assert.notEqual(dom.window.eval("utcDayOfWeek(document.getElementById('date').value)"), 0);
+    assert.equal($('hour').value, '17');
+    assert.match($('footfall').textContent, /\d/);
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('failed worker jobs keep the previous dataset and settings and show the error', async ()=>{
+  const {dom, errors} = await loadPage('?seed=5&rows=1000');
+  const {document} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    dom.window.eval("startEngineJob = ()=>({promise: Promise.reject(new Error('worker crashed')), cancel(){}})");
+    $('seedInput').value = '9';
+    $('seedBtn').click();
+    await waitFor(()=>!$('datasetError').hidden);
+
+    assert.equal($('datasetError').textContent, 'Generation failed: worker crashed');
+    assert.equal($('seedBtn').disabled, false);
+    assert.equal($('seedInput').value, '9');
+    assert.equal($('seedValue').textContent, '5');
+    assert.equal($('sampleCount').textContent, '1,000');
+
+    await dom.window.eval("changeLabeling({mode: 'location'})");
+    assert.equal($('datasetError').textContent, 'Labeling failed: worker crashed');
+    assert.equal(dom.window.eval('LABELING.mode'), 'global');
+    assert.equal($('labelMode').value, 'global');
+    assert.equal(dom.window.localStorage.getItem('crowdPredictor.labeling'), null);
+
+    await dom.window.eval("SIMULATION_DRAFT = toSimulationDraft({...SIMULATION, rows: 2000}); saveSimulationDraft()");
+    assert.equal(dom.window.eval('SIMULATION.rows'), 1000);
+    assert.equal($('sampleCount').textContent, '1,000');
+    assert.equal(dom.window.eval('GENERATING'), false);
+    assert.deepEqual(errors.filter(e=>!/worker crashed/.test(e)), []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('a registry with no site open in the hour window is rejected and not saved', async ()=>{
+  const {dom, errors} = await loadPage('?seed=5&rows=1000');
+  const {document} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    dom.window.eval("applySimulation(validateSimulation({...SIMULATION, hours: [6, 8]}))");
+    dom.window.eval("LOCATION_DRAFT = LOCATION_REGISTRY.map(l=>({...toLocationDraft(l), hours: '10-18', events: ''}))");
+    await dom.window.eval('saveLocationDraft()');
+
+    assert.match(dom.window.eval('locationEditorContainer').textContent, /No location is open within the chosen dates and hour window/);
+    assert.equal(dom.window.localStorage.getItem('crowdPredictor.locations'), null);
+    assert.equal(dom.window.eval('LOCATION_REGISTRY[0].hours[0][0]'), 7);
+    assert.equal($('sampleCount').textContent, '1,000');
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('a shared link restores the prediction form and labeling', async ()=>{
+  const {dom, errors} = await loadPage('?seed=3&rows=1000&loc=Mysore_Zoo&date=2026-11-18&hour=10&weather=Rain&temp=22.5&fest=1&hol=0&labels=location');
+  const $ = (id)=>dom.window.document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    assert.deepEqual(
+      ['location','date','hour','weather','temp'].map(id=>$(id).value),
+      ['Mysore_Zoo','2026-11-18','10','Rain','22.5']);
+    assert.equal($('is_festival').checked, true);
+    assert.equal($('is_holiday').checked, false);
+    assert.equal(dom.window.eval('LABELING.mode'), 'location');
+
+    // Predict with a new hour adds a browser history entry carrying it
+    const before = dom.window.history.length;
+    $('hour').value = '14';
+    $('predictBtn').click();
+    assert.equal(dom.window.history.length, before + 1);
+    const params = new URL(dom.window.location.href).searchParams;
+    assert.equal(params.get('hour'), '14');
+    // the dataset travels with the link: seed, the end date it was generated up to, size
+    assert.deepEqual(['seed', 'end', 'rows'].map(k=>params.get(k)), ['3', dom.window.eval('DATA_END_DATE'), '1000']);
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('the scenario panel compares saved scenarios with the baseline', async ()=>{
+  const {dom, errors} = await loadPage('?seed=2&rows=1000&loc=Mysore_Zoo&date=2026-11-18&hour=10&weather=Clear&temp=25&fest=0&hol=0');
+  const {document} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    dom.window.localStorage.setItem('crowdPredictor.scenarios', JSON.stringify({version: 1, scenarios: [{name: 'Zoo boom', popularity: {Mysore_Zoo: 2}}]}));
+    dom.window.eval('toggleScenarioPanel()');
+    const cells = ()=>Array.from(document.querySelectorAll('.scenario-table tbody tr'), tr=>Array.from(tr.children, td=>td.textContent));
+    assert.deepEqual(Array.from(document.querySelectorAll('.scenario-table th'), th=>th.textContent), ['', 'Baseline', 'Zoo boom']);
+    const [base, boom] = cells()[0].slice(1).map(t=>Number(t.split(' ')[0].replace(/,/g, '')));
+    assert.ok(Math.abs(boom - 2 * base) <= 1, `${base} -> ${boom}`);
+
+    Array.from(document.querySelectorAll('button')).find(b=>b.textContent === 'Run Dataset Comparison').click();
+    await waitFor(()=>cells().length > 1);
+    assert.match(cells()[1][0], /mean footfall/);
+    assert.equal(dom.window.eval('GENERATING'), false);
+    assert.ok(Array.from(document.querySelectorAll('.chart figcaption span')).some(el=>el.textContent.startsWith('What moves footfall')));
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('a time-series dataset feeds the forecast panel', async ()=>{
+  const {dom, errors} = await loadPage('?seed=3&rows=1000');
+  const {document} = dom.window;
+  const $ = (id)=>document.getElementById(id);
+  const button = (text)=>Array.from(document.querySelectorAll('button')).find(b=>b.textContent === text);
+  try {
+    await waitFor(()=>/^\d/.test($('sampleCount').textContent) && $('footfall').textContent !== '--');
+    button('Forecast').click();
+    assert.match(document.querySelector('.import-error').textContent, /not an hourly time series/);
+
+    button('Simulation Settings').click();
+    dom.window.eval("Object.assign(SIMULATION_DRAFT, {shape: 'series', startDate: '2026-06-01', endDate: '2026-08-31'})");
+    button('Regenerate with Settings').click();
+    await waitFor(()=>!dom.window.eval('GENERATING') && $('sampleCount').textContent === dom.window.eval('DATASET.length').toLocaleString());
+    assert.equal(dom.window.eval('DATASET.length'), dom.window.eval('simulationRows(SIMULATION)'));
+
+    button('Forecast').click();
+    const rows = Array.from(document.querySelectorAll('.analytics-table tbody tr'), tr=>tr.children[0].textContent);
+    assert.deepEqual(rows.slice(-2), ['Holt-Winters', 'Seasonal naive']);
+    const titles = Array.from(document.querySelectorAll('.chart figcaption span'), el=>el.textContent);
+    assert.ok(titles.some(t=>t.startsWith('Backtest ·')) && titles.some(t=>t.startsWith('Next 14 days ·')), titles.join(' | '));
+    assert.deepEqual(errors, []);
+  } finally {
+    dom.window.close();
+  }
+});
@@ -0,0 +1,31 @@
+/* worker.js
+   Runs engine jobs (generation, labeling, per-location stats, model training)
+   off the main thread so the page stays responsive for large datasets.
+
+   Messages in:  {id, type: 'generate' | 'stats' | 'train' | 'scenarios', payload}, {id, type: 'cancel'}
+   Messages out: {id, progress}, {id, result} (dataset buffers transferred),
+                 {id, error, cancelled}
+*/
+importScripts('calendar.js', 'model.js', 'engine.js');
+
+const SIGNALS = {}; // job id -> {cancelled}
+
+self.onmessage = async (e)=>{
+  const {id, type, payload} = e.data;
+  if (type === 'cancel'){
+    if (SIGNALS[id]) SIGNALS[id].cancelled = true;
+    return;
+  }
+  const signal = SIGNALS[id] = {cancelled: false};
+  try {
+    const result = await runEngineJob(type, payload, {
+      signal,
+      onProgress: (progress)=>self.postMessage({id, progress})
+    });
+    self.postMessage({id, result}, jobTransferList(result));
+  } catch (err) {
+    self.postMessage({id, error: err.message, cancelled: err.name === 'CancelledError'});
+  } finally {
+    delete SIGNALS[id];
+  }
+};